@@ -40,5 +40,7 @@ module.exports = {
   BLIP_URL: process.env.BLIP_URL || 'https://blip-ucsf-pilot.tidepool.io',
   CARELINK: stringToBoolean(process.env.CARELINK, true),
   DEFAULT_TIMEZONE: process.env.DEFAULT_TIMEZONE || 'America/Los_Angeles',
-  DEFAULT_CARELINK_DAYS: process.env.DEFAULT_CARELINK_DAYS || '180'
+  DEFAULT_CARELINK_DAYS: process.env.DEFAULT_CARELINK_DAYS || '180',
+  UPLOAD_CONCURRENCY: process.env.UPLOAD_CONCURRENCY || '4',
+  RECORD_TRAFFIC: stringToBoolean(process.env.RECORD_TRAFFIC, false)
 };
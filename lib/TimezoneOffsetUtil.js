@@ -27,7 +27,12 @@ var annotate = require('./eventAnnotations');
 var isBrowser = typeof window !== 'undefined';
 var debug = isBrowser ? require('./bows')('TimezoneOffsetUtil') : console.log;
 
-module.exports = function(timezone, mostRecent, changes) {
+/*
+ * `measuredDrift` (optional) is how far the device's clock was off when it was
+ * read, in milliseconds (see clockDrift.js); it's the `clockDriftOffset` of
+ * the most recent data, which the changes adjust for earlier data.
+ */
+module.exports = function(timezone, mostRecent, changes, measuredDrift) {
   var self = this;
   self.type = 'across-the-board-timezone';
 
@@ -35,7 +40,7 @@ module.exports = function(timezone, mostRecent, changes) {
 
   var offsetIntervals = [];
   var timezoneOffset = null;
-  var clockDriftOffset = 0, conversionOffset = 0;
+  var clockDriftOffset = measuredDrift || 0, conversionOffset = 0;
   var currentIndex = null;
 
   this.findOffsetDifferences = function(event) {
@@ -195,7 +200,7 @@ module.exports = function(timezone, mostRecent, changes) {
         return {
           time: utc,
           timezoneOffset: sundial.getOffsetFromZone(utc, timezone),
-          clockDriftOffset: 0,
+          clockDriftOffset: clockDriftOffset,
           conversionOffset: 0
         };
       };
@@ -0,0 +1,169 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/*
+ * The FreeStyle InsuLinx's HID text protocol.
+ *
+ * Every HID report is 64 bytes: the message type, the length of the content,
+ * then the content. After an init message, commands like `$serlnum?` are sent
+ * as text messages and the meter answers with text messages, ending its reply
+ * with a checksum and `CMD OK` (or `CMD Fail!`):
+ *
+ *   JAGZ123-A1234\r\nCKSM:00000311\r\nCMD OK\r\n
+ *
+ * The checksum is the sum of the bytes of the reply before it. Replies to
+ * `$result?` are records, one to a line, of comma-separated values, followed
+ * by the number of records and their checksum, so a reply with one glucose
+ * reading (type 0) of 132 mg/dL on March 21 2015 at 16:45 is:
+ *
+ *   0,1,03,21,15,16,45,0,0,0,0,0,0,132,0,0\r\n1,0000071E\r\n
+ */
+
+var _ = require('lodash');
+var sundial = require('sundial');
+
+var REPORT_SIZE = 64;
+
+var MESSAGE_TYPES = {
+  INIT: 0x01,
+  INIT_REPLY: 0x71,
+  KEEP_ALIVE: 0x22,
+  TEXT: 0x60
+};
+
+var TEXT_REPLY = /^([\s\S]*)CKSM:([0-9A-F]{8})\r\nCMD (OK|Fail!)\r\n$/;
+var RECORDS = /^([\s\S]+\r\n)([0-9]+),([0-9A-F]{8})\r\n$/;
+
+// the fields of a reading record
+var READING = {
+  TYPE: 0,
+  MONTH: 2,
+  DAY: 3,
+  YEAR: 4,
+  HOUR: 5,
+  MINUTE: 6,
+  VALUE: 13
+};
+var GLUCOSE_READING = '0';
+
+function checksum(text) {
+  return _.reduce(text, function(sum, c) { return sum + c.charCodeAt(0); }, 0);
+}
+
+var insulinx = {};
+
+insulinx.REPORT_SIZE = REPORT_SIZE;
+insulinx.MESSAGE_TYPES = MESSAGE_TYPES;
+
+insulinx.buildReport = function(type, text) {
+  text = text || '';
+  var report = new Uint8Array(REPORT_SIZE);
+  report[0] = type;
+  report[1] = text.length;
+  for (var i = 0; i < text.length; ++i) {
+    report[2 + i] = text.charCodeAt(i);
+  }
+  return report;
+};
+
+insulinx.buildCommand = function(command) {
+  return insulinx.buildReport(MESSAGE_TYPES.TEXT, command + '\r\n');
+};
+
+// returns the report's `type` and its `content` as text
+insulinx.readReport = function(bytes) {
+  var length = Math.min(bytes[1], REPORT_SIZE - 2);
+  var content = '';
+  for (var i = 0; i < length; ++i) {
+    content += String.fromCharCode(bytes[2 + i]);
+  }
+  return { type: bytes[0], content: content };
+};
+
+// whether the text received so far is a whole reply
+insulinx.isComplete = function(text) {
+  return /CMD (?:OK|Fail!)\r\n$/.test(text);
+};
+
+/**
+ * Checks a reply to a text command.
+ *
+ * @param text the content of the reply's text messages, run together
+ * @returns {Object} `{message}`, or `{error}` if the reply is malformed, fails its checksum or the command failed
+ */
+insulinx.parseReply = function(text) {
+  var match = text.match(TEXT_REPLY);
+  if (match == null) {
+    return { error: 'Malformed reply: ' + JSON.stringify(text) };
+  }
+  if (checksum(match[1]) !== parseInt(match[2], 16)) {
+    return { error: 'Failed checksum in reply: ' + JSON.stringify(text) };
+  }
+  if (match[3] !== 'OK') {
+    return { error: 'Command failed' };
+  }
+  return { message: match[1] };
+};
+
+/**
+ * Splits the reply to a command like `$result?` into its records.
+ *
+ * @param message the reply, as parseReply() found it
+ * @returns {Array} the records, each an array of its values, or null if the count or checksum is wrong
+ */
+insulinx.parseRecords = function(message) {
+  if (message === 'Log Empty\r\n') {
+    return [];
+  }
+  var match = message.match(RECORDS);
+  if (match == null || checksum(match[1]) !== parseInt(match[3], 16)) {
+    return null;
+  }
+  var records = _.map(_.initial(match[1].split('\r\n')), function(line) {
+    return line.split(',');
+  });
+  if (records.length !== parseInt(match[2], 10)) {
+    return null;
+  }
+  return records;
+};
+
+/**
+ * Reads a glucose reading from a `$result?` record.
+ *
+ * @param record the record's values
+ * @returns {Object} the reading's `jsDate` (whose UTC fields are the meter's time) and `value`
+ *   in mg/dL, or null if the record isn't a glucose reading
+ */
+insulinx.parseReading = function(record) {
+  if (record[READING.TYPE] !== GLUCOSE_READING || record.length <= READING.VALUE) {
+    return null;
+  }
+  var field = function(name) { return parseInt(record[READING[name]], 10); };
+  return {
+    jsDate: new Date(Date.UTC(2000 + field('YEAR'), field('MONTH') - 1, field('DAY'),
+      field('HOUR'), field('MINUTE'))),
+    value: field('VALUE')
+  };
+};
+
+// the meter's clock, from its replies to `$date?` (`MM,DD,YY`) and `$time?` (`HH,MM`)
+insulinx.parseClock = function(date, time) {
+  return sundial.parseFromFormat(date.trim() + ' ' + time.trim(), 'MM,DD,YY HH,mm');
+};
+
+module.exports = insulinx;
@@ -0,0 +1,140 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+
+/*
+ * How we talk to the meters on each cable (by driverId):
+ *
+ * - the Precision Xtra's strip port cable and the stereo plug cable of the
+ *   FreeStyle Lite and Freedom Lite are FTDI serial cables, and the meters
+ *   answer text commands with a dump of their log (see extractPacket in
+ *   abbottFreeStyle.js). `id` is the command we identify the meter with and
+ *   `log` the one that dumps the whole log; `logEntry` is the pattern for
+ *   what follows the date and time of an entry in the dump: the reading type
+ *   (`K` for ketones) and the status.
+ * - the InsuLinx is a HID device that takes its text commands in HID
+ *   reports (see insulinx.js).
+ *
+ * `defaultModel` is the model we take a meter on the cable to be when we
+ * don't recognize its serial number.
+ */
+var PROTOCOLS = {
+  AbbottFreeStyle: {
+    comms: 'serial',
+    id: '$xlog,1',
+    log: '$xmem',
+    logEntry: '([KG]) (0x[0-9A-Fa-f][0-9A-Fa-f])',
+    defaultModel: 'AbbFreePrecXtra'
+  },
+  // the Lite meters only log glucose, and have a two digit field where
+  // the Precision Xtra has the reading type
+  AbbottFreeStyleLite: {
+    comms: 'serial',
+    id: 'mem',
+    log: 'mem',
+    logEntry: '([0-9]{2}) (0x[0-9A-Fa-f][0-9A-Fa-f])',
+    defaultModel: 'AbbFreeLite'
+  },
+  AbbottFreeStyleInsuLinx: {
+    comms: 'hid',
+    defaultModel: 'AbbInsuLinx'
+  }
+};
+
+/*
+ * Whatever units a meter displays, its log is always in mg/dL, and neither the
+ * log's header nor anything else the meters send says which units they display.
+ * So glucose is always uploaded in mg/dL, whichever the model.
+ */
+var GLUCOSE_UNITS = 'mg/dL';
+
+/*
+ * The FreeStyle meters we know, identified by their serial number among the
+ * meters that use the same cable.
+ *
+ * Ketones are logged as 18 times their mmol/L value. Readings outside the
+ * meter's range are logged as `HI` or `LO`; `low` and `high` are the limits
+ * of that range, in mg/dL for glucose and mmol/L for ketones. Ketones are never `LO`.
+ */
+var MODELS = [
+  {
+    model: 'AbbFreePrecXtra',
+    name: 'FreeStyle Precision Xtra',
+    driverId: 'AbbottFreeStyle',
+    serialNumber: /^(?:[A-Z]-....-.....|[A-Z][A-Z][A-Z]....-.....|[XC][A-Z][GM]........)$/,
+    glucose: { low: 20, high: 500 },
+    ketone: { scale: 18, high: 8.0 }
+  },
+  {
+    model: 'AbbFreeLite',
+    name: 'FreeStyle Lite',
+    driverId: 'AbbottFreeStyleLite',
+    serialNumber: /^DC[A-Z][A-Z]...-.....$/,
+    glucose: { low: 20, high: 500 }
+  },
+  {
+    model: 'AbbFreedomLite',
+    name: 'FreeStyle Freedom Lite',
+    driverId: 'AbbottFreeStyleLite',
+    serialNumber: /^DA[A-Z][A-Z]...-.....$/,
+    glucose: { low: 20, high: 500 }
+  },
+  {
+    model: 'AbbInsuLinx',
+    name: 'FreeStyle InsuLinx',
+    driverId: 'AbbottFreeStyleInsuLinx',
+    serialNumber: /^[A-Z][A-Z][A-Z][A-Z]...-.....$/,
+    glucose: { low: 20, high: 500 }
+  }
+];
+
+var models = {};
+
+models.GLUCOSE_UNITS = GLUCOSE_UNITS;
+
+// how we talk to the meters on the driverId's cable
+models.protocol = function(driverId) {
+  return PROTOCOLS[driverId] || null;
+};
+
+/**
+ * Identifies a meter from its serial number.
+ *
+ * @param driverId the driverId of the cable the meter is on
+ * @param serialNumber as the meter sent it
+ * @returns {Object} the meter's model and ranges, or null if we don't know it
+ *   (see defaultFor())
+ */
+models.identify = function(driverId, serialNumber) {
+  return _.find(MODELS, function(m) {
+    return m.driverId === driverId && m.serialNumber.test(serialNumber);
+  }) || null;
+};
+
+// by the `model` identify() found
+models.find = function(model) {
+  return _.find(MODELS, {model: model}) || null;
+};
+
+// the model we take a meter on the driverId's cable to be, if identify() doesn't know it
+models.defaultFor = function(driverId) {
+  var protocol = models.protocol(driverId);
+  return protocol == null ? null : models.find(protocol.defaultModel);
+};
+
+module.exports = models;
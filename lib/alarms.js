@@ -0,0 +1,121 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+
+/*
+ * The alarms we know about, whatever device raised them. Each driver maps its
+ * own alarm codes into these, so that the same condition looks the same in the
+ * data no matter whose device it came from.
+ *
+ * `alarmType` is the value for the alarm deviceEvent's `alarmType` and
+ * `stopsDelivery` says whether the pump stops delivering insulin when
+ * it raises the alarm (always false for alarms that aren't a pump's).
+ */
+var ALARMS = {
+  // pump
+  lowReservoir: { alarmType: 'low_insulin', stopsDelivery: false },
+  emptyReservoir: { alarmType: 'no_insulin', stopsDelivery: true },
+  occlusion: { alarmType: 'occlusion', stopsDelivery: true },
+  lowBattery: { alarmType: 'low_power', stopsDelivery: false },
+  emptyBattery: { alarmType: 'no_power', stopsDelivery: true },
+  autoOffWarning: { alarmType: 'other', stopsDelivery: false },
+  autoOff: { alarmType: 'auto_off', stopsDelivery: true },
+  expiryWarning: { alarmType: 'other', stopsDelivery: false },
+  expired: { alarmType: 'no_delivery', stopsDelivery: true },
+  activationFailed: { alarmType: 'other', stopsDelivery: false },
+  overLimit: { alarmType: 'over_limit', stopsDelivery: false },
+  suspendEnded: { alarmType: 'other', stopsDelivery: false },
+  pumpError: { alarmType: 'no_delivery', stopsDelivery: true },
+  // the pump's controller (e.g., an OmniPod PDM); the pump carries on without it
+  controllerError: { alarmType: 'other', stopsDelivery: false },
+  systemError: { alarmType: 'other', stopsDelivery: false },
+  stuckButton: { alarmType: 'other', stopsDelivery: false },
+  clockReset: { alarmType: 'other', stopsDelivery: false },
+  // CGM
+  urgentLowGlucose: { alarmType: 'other', stopsDelivery: false },
+  lowGlucose: { alarmType: 'other', stopsDelivery: false },
+  highGlucose: { alarmType: 'other', stopsDelivery: false },
+  risingGlucose: { alarmType: 'other', stopsDelivery: false },
+  fallingGlucose: { alarmType: 'other', stopsDelivery: false },
+  predictedLowGlucose: { alarmType: 'other', stopsDelivery: false },
+  predictedHighGlucose: { alarmType: 'other', stopsDelivery: false },
+  signalLoss: { alarmType: 'other', stopsDelivery: false },
+  calibrationRequired: { alarmType: 'other', stopsDelivery: false },
+  calibrationError: { alarmType: 'other', stopsDelivery: false },
+  sensorExpired: { alarmType: 'other', stopsDelivery: false },
+  // for vendor codes we don't have a mapping for
+  unknown: { alarmType: 'other', stopsDelivery: false }
+};
+
+exports.ALARMS = ALARMS;
+
+/**
+ * Describes one of the alarms in the vocabulary as the fields of an alarm deviceEvent.
+ *
+ * The payload always has the vocabulary `alarm`, whether it `stopsDelivery`
+ * and the `vendorCode` the device reported it with, plus any other details.
+ *
+ * @param alarm the name of the alarm in ALARMS
+ * @param vendorCode the device's own code for the alarm
+ * @param details (optional) anything else to put in the payload
+ * @returns {Object} the alarm's `alarmType` and `payload`
+ */
+exports.describe = function(alarm, vendorCode, details) {
+  var entry = ALARMS[alarm];
+  if (entry == null) {
+    throw new Error('Unknown alarm [' + alarm + ']. It needs adding to the alarm vocabulary.');
+  }
+
+  return {
+    alarmType: entry.alarmType,
+    payload: _.assign({
+      alarm: alarm,
+      stopsDelivery: entry.stopsDelivery,
+      vendorCode: vendorCode
+    }, details)
+  };
+};
+
+/**
+ * Makes an alarm deviceEvent for one of the alarms in the vocabulary (see describe()).
+ *
+ * @param builder the objectBuilder
+ * @param alarm the name of the alarm in ALARMS
+ * @param vendorCode the device's own code for the alarm
+ * @param details (optional) anything else to put in the payload
+ * @returns a (not yet done) alarm builder object
+ */
+exports.makeAlarm = function(builder, alarm, vendorCode, details) {
+  var fields = exports.describe(alarm, vendorCode, details);
+  return builder.makeDeviceEventAlarm()
+    .with_alarmType(fields.alarmType)
+    .with_payload(fields.payload);
+};
+
+/**
+ * Checks whether an alarm event stopped insulin delivery.
+ *
+ * @param event the alarm event
+ */
+exports.stopsDelivery = function(event) {
+  var payload = event.payload || {};
+  if (payload.stopsDelivery != null) {
+    return payload.stopsDelivery === true;
+  }
+  return ALARMS[payload.alarm] != null && ALARMS[payload.alarm].stopsDelivery;
+};
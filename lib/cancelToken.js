@@ -0,0 +1,87 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+
+var E_CANCELLED = 'E_CANCELLED';
+
+/**
+ * A cancellation token is handed to driverManager (and through the driver
+ * config to each driver) when an upload starts; calling `cancel()` stops
+ * the drivers sending the device any more commands, and the upload
+ * disconnects once the step it was in has stopped.
+ */
+var cancelToken = function() {
+  var cancelled = false;
+  var listeners = [];
+
+  return {
+    cancel: function() {
+      if (cancelled) {
+        return;
+      }
+      cancelled = true;
+      var toCall = listeners;
+      listeners = [];
+      _.forEach(toCall, function(listener) {
+        listener();
+      });
+    },
+
+    isCancelled: function() {
+      return cancelled;
+    },
+
+    // calls `listener` when the token is cancelled (straight away if it
+    // already is), and returns a function that stops listening
+    onCancel: function(listener) {
+      if (cancelled) {
+        listener();
+        return _.noop;
+      }
+      listeners.push(listener);
+      return function() {
+        listeners = _.without(listeners, listener);
+      };
+    }
+  };
+};
+
+cancelToken.E_CANCELLED = E_CANCELLED;
+
+// the error an upload fails with when it's cancelled during `step`
+cancelToken.makeError = function(step) {
+  var err = new Error('Upload cancelled');
+  err.code = E_CANCELLED;
+  err.cancelled = true;
+  if (step != null) {
+    err.step = step;
+  }
+  return err;
+};
+
+// whether `token` has been cancelled; drivers check this before each command they
+// send the device, and may have been given no token at all (e.g., when detecting)
+cancelToken.isCancelled = function(token) {
+  return token != null && token.isCancelled();
+};
+
+cancelToken.isCancelError = function(err) {
+  return err != null && err.cancelled === true;
+};
+
+module.exports = cancelToken;
@@ -0,0 +1,124 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+
+var alarms = require('../alarms');
+var common = require('./common.js');
+var parsing = require('./parsing.js');
+
+var RAW_TYPE = 'Raw-Type';
+var RAW_VALUES = 'Raw-Values';
+
+var RV_KEYS = {
+  ALARM_TYPE: 'ALARM_TYPE',
+  AMOUNT: 'AMOUNT'
+};
+
+// what the pump's alarm codes are in the shared alarm vocabulary (see lib/alarms.js)
+var PUMP_ALARMS = {
+  // battery out limit exceeded, i.e., the battery was out long enough that the clock needs setting
+  3: 'emptyBattery',
+  // no delivery, i.e., an occlusion
+  4: 'occlusion',
+  // battery depleted
+  5: 'emptyBattery',
+  6: 'autoOff',
+  // button error
+  59: 'stuckButton',
+  // prime error
+  60: 'pumpError',
+  // rewind error
+  61: 'pumpError',
+  62: 'emptyReservoir'
+};
+
+// and the sensor's, as raised by the pump
+var SENSOR_ALARMS = {
+  101: 'highGlucose',
+  102: 'lowGlucose',
+  // meter BG now
+  104: 'calibrationRequired',
+  // calibration reminder
+  105: 'calibrationRequired',
+  106: 'calibrationError',
+  // sensor end
+  107: 'sensorExpired',
+  // weak signal
+  112: 'signalLoss',
+  // lost sensor
+  113: 'signalLoss',
+  114: 'predictedHighGlucose',
+  115: 'predictedLowGlucose',
+  116: 'risingGlucose',
+  117: 'fallingGlucose'
+};
+
+// the pump records its low reservoir and low battery warnings as journal entries
+var JOURNAL_ALARMS = {
+  JournalEntryPumpLowBattery: 'lowBattery',
+  JournalEntryPumpLowReservoir: 'lowReservoir'
+};
+
+var alarmCode = parsing.asNumber([RAW_VALUES, RV_KEYS.ALARM_TYPE]);
+var amount = parsing.asNumber([RAW_VALUES, RV_KEYS.AMOUNT]);
+
+// the alarm's `alarmType` and `payload`, keeping any amount (e.g., of insulin left) that came with it
+function describe(alarm, vendorCode, e) {
+  var details = amount(e) == null ? null : {amount: amount(e)};
+  return alarms.describe(alarm, vendorCode, details);
+}
+
+function describeCode(vocabulary) {
+  return function(e) {
+    var code = alarmCode(e);
+    // codes we don't know are kept as `unknown` alarms
+    return describe(vocabulary[code] || 'unknown', code, e);
+  };
+}
+
+function describeJournalEntry(e) {
+  return describe(JOURNAL_ALARMS[e[RAW_TYPE]], e[RAW_TYPE], e);
+}
+
+module.exports = function () {
+  var specs = {
+    AlarmPump: [
+      common.makeCommonVals(),
+      describeCode(PUMP_ALARMS)
+    ],
+    AlarmSensor: [
+      common.makeCommonVals(),
+      describeCode(SENSOR_ALARMS)
+    ]
+  };
+  _.forEach(JOURNAL_ALARMS, function(alarm, rawType) {
+    specs[rawType] = [common.makeCommonVals(), describeJournalEntry];
+  });
+
+  var parser = common.makeParser(specs);
+
+  return function (simulator, data) {
+    var parsed = parser(data);
+    // if parsed *is* null, we're just in a row of the CSV
+    // that isn't relevant to this processor
+    // hence the lack of an `else` condition
+    if (parsed != null) {
+      simulator.alarm(parsed);
+    }
+  };
+};
@@ -19,6 +19,7 @@ var _ = require('lodash');
 
 var annotate = require('../eventAnnotations');
 var common = require('./common.js');
+var models = require('./models.js');
 var parsing = require('./parsing.js');
 
 var RAW_TYPE = 'Raw-Type', RAW_VALUES = 'Raw-Values';
@@ -168,7 +169,7 @@ module.exports = function(opts) {
    * for the "modern" pumps.
    */
   function makeFindNormalFn() {
-    if (common.autoGenModels[opts.model]) {
+    if (models.autoGenScheduleds(opts.model)) {
       return function(parsed, i) {
         var obj;
         i = i || 0;
@@ -281,7 +282,7 @@ module.exports = function(opts) {
    * "modern" pumps.
    */
   function makeFindSquareFn() {
-    if (common.autoGenModels[opts.model]) {
+    if (models.autoGenScheduleds(opts.model)) {
       return function(parsed, i) {
         var obj;
         i = i || 0;
@@ -382,7 +383,7 @@ module.exports = function(opts) {
    * makeFindNormalFn and makeFindSquareFn above.)
    */
   function makeFindWizardFn() {
-    if (common.autoGenModels[opts.model]) {
+    if (models.autoGenScheduleds(opts.model)) {
       return function(bolus) {
         var obj;
         if (bolus.type === 'bolusNormal') {
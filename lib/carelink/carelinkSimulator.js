@@ -309,6 +309,16 @@ exports.make = function(config){
   }
 
   return {
+    /**
+     * Report an alarm event.
+     *
+     * @param argument... Variable number of arguments, each should be an object.  The field:value pairs passed in
+     *                    are smooshed together into an alarm deviceEvent event recorded by the simulator
+     */
+    alarm: function(){
+      addEvent(bob.makeDeviceEventAlarm(), ensureTimestamp(combineArguments(arguments)));
+    },
+
     /**
      * Report a scheduled basal event.
      *
@@ -535,6 +545,16 @@ exports.make = function(config){
       addEvent(bob.makeSquareBolus(), ensureTimestamp(combineArguments(arguments)));
     },
 
+    /**
+     * Report a calibration of the sensor with a fingerstick reading.
+     *
+     * @param argument... Variable number of arguments, each should be an object.  The field:value pairs passed in
+     *                    are smooshed together into a calibration deviceEvent event recorded by the simulator
+     */
+    calibration: function(){
+      addEvent(bob.makeDeviceEventCalibration(), ensureTimestamp(combineArguments(arguments)));
+    },
+
     /**
      * Report a cbg event.
      *
@@ -575,6 +595,16 @@ exports.make = function(config){
       events.push(timeChange);
     },
 
+    /**
+     * Report a rewind of the pump to change its reservoir.
+     *
+     * @param argument... Variable number of arguments, each should be an object.  The field:value pairs passed in
+     *                    are smooshed together into a reservoirChange deviceEvent event recorded by the simulator
+     */
+    changeReservoir: function(){
+      addEvent(bob.makeDeviceEventReservoirChange(), ensureTimestamp(combineArguments(arguments)));
+    },
+
     /**
      * Resumes basal and bolus delivery from a previous LGS suspend.
      * This is the case that will *not* resume a temp basal that would still have been in effect
@@ -864,6 +894,16 @@ exports.make = function(config){
       setCurrBasal(nextBasal);
     },
 
+    /**
+     * Report a prime of the tubing or cannula.
+     *
+     * @param argument... Variable number of arguments, each should be an object.  The field:value pairs passed in
+     *                    are smooshed together into a prime deviceEvent event recorded by the simulator
+     */
+    prime: function(){
+      addEvent(bob.makeDeviceEventPrime(), ensureTimestamp(combineArguments(arguments)));
+    },
+
     /**
      * Report a settings event.
      *
@@ -916,6 +956,16 @@ exports.make = function(config){
       }
     },
 
+    /**
+     * Report a point in the life of a sensor (e.g., its start).
+     *
+     * @param argument... Variable number of arguments, each should be an object.  The field:value pairs passed in
+     *                    are smooshed together into a sensorState deviceEvent event recorded by the simulator
+     */
+    sensorState: function(){
+      addEvent(bob.makeDeviceEventSensorState(), ensureTimestamp(combineArguments(arguments)));
+    },
+
     /**
      * Report an smbg event.
      *
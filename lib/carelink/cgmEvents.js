@@ -0,0 +1,86 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var common = require('./common.js');
+var parsing = require('./parsing.js');
+
+var RAW_VALUES = 'Raw-Values';
+
+var RV_KEYS = {
+  ACTION_REQUESTOR: 'ACTION_REQUESTOR',
+  TYPE: 'TYPE'
+};
+
+// the rows (and which of their types) that mark a point in a sensor's life,
+// as the `state` of a sensorState deviceEvent
+var LIFECYCLE = {
+  // the pump starts initializing a newly inserted sensor
+  SensorPacket: { init: 'sensorStart', re_init: 'sensorRestart' },
+  // the sensor reached the end of its life
+  SensorError: { end: 'sensorStop' },
+  // the pump linked up with a different sensor
+  SensorSync: { 'new': 'sensorChange' }
+};
+
+module.exports = function (opts) {
+  var lifecycleSpecs = {};
+  Object.keys(LIFECYCLE).forEach(function(rawType) {
+    lifecycleSpecs[rawType] = [
+      common.makeCommonVals(),
+      {
+        state: parsing.map([RAW_VALUES, RV_KEYS.TYPE], function(type) {
+          // the rest of each row's types aren't part of the sensor's lifecycle
+          return LIFECYCLE[rawType][type] || null;
+        }),
+        payload: {
+          type: parsing.extract([RAW_VALUES, RV_KEYS.TYPE])
+        }
+      }
+    ];
+  });
+
+  var lifecycleParser = common.makeParser(lifecycleSpecs);
+
+  var calibrationParser = common.makeParser(
+    {
+      SensorCalBG: [
+        common.makeCommonVals(),
+        {
+          units: opts.units,
+          value: parsing.asNumber(opts.colNames.calibrationGlucose),
+          payload: {
+            'action-requestor': parsing.extract([RAW_VALUES, RV_KEYS.ACTION_REQUESTOR])
+          }
+        }
+      ]
+    }
+  );
+
+  return function (simulator, data) {
+    // if a parser returns null, we're just in a row of the CSV
+    // that isn't relevant to it
+    var calibration = calibrationParser(data);
+    if (calibration != null) {
+      simulator.calibration(calibration);
+    }
+
+    var lifecycle = lifecycleParser(data);
+    if (lifecycle != null && lifecycle.state != null) {
+      simulator.sensorState(lifecycle);
+    }
+  };
+};
@@ -16,7 +16,7 @@ var intro = 'CareLink CLI:';
 /*
  * Load the given carelink file and then parse and send the data to the tp-platform
  */
-function loadFile(filePath, tz, userid) {
+function loadFile(filePath, tz, userid, dryRun) {
   fs.readFile(filePath, 'utf8', function(error, data) {
     console.log(intro, 'Reading', filePath);
     if (error) {
@@ -24,23 +24,29 @@ function loadFile(filePath, tz, userid) {
       return;
     }
 
-    var drivers = {'Carelink': carelinkDriver(pwdSimulator, api)};
+    var drivers = {'Carelink': carelinkDriver(pwdSimulator, dryRun ? {upload: dryRun} : api)};
     var cfg = { 'Carelink': { filename: filePath, fileData: data, timezone: tz, version : pkg.name+' '+pkg.version, groupId: userid } };
 
-    processCarelink(driverManager(drivers,cfg));
+    processCarelink(driverManager(drivers,cfg), dryRun);
   });
 }
 
 /*
  * Process our raw carelink data
  */
-function processCarelink(driverMgr){
+function processCarelink(driverMgr, dryRun){
   driverMgr.process('Carelink', function(err, result) {
     if (err) {
       console.log(intro, 'Error processing CareLink data:', err);
       console.log(err.stack);
       process.exit();
     }
+    if (dryRun) {
+      var output = program.output || program.file + '.dry-run.json';
+      fs.writeFileSync(output, dryRun.serialize());
+      console.log(intro + ' Dry run! Wrote the [%s] events that would be uploaded to %s', result.post_records.length, output);
+      process.exit();
+    }
     console.log(intro + ' All good! Uploaded [%s] events - check in blip :)', result.post_records.length);
     process.exit();
   });
@@ -66,11 +72,20 @@ program
   .option('-u, --username [user]', 'username')
   .option('-p, --password [pw]', 'password')
   .option('-t, --timezone [tz]', 'named timezone', config.DEFAULT_TIMEZONE)//default is 'America/Los_Angeles'
+  .option('-n, --dry-run', 'don\'t upload, but write what would be uploaded to a JSON file')
+  .option('-o, --output [path]', 'the file for a dry run, by default the csv file path + .dry-run.json')
   .parse(process.argv);
 
 console.log(intro, 'Loading CareLink CSV...');
 
-if(program.file && program.username && program.password) {
+if(program.file && program.dryRun) {
+  if (fs.existsSync(program.file)){
+    console.log(intro, 'Loading using the timezone', program.timezone);
+    loadFile(program.file, program.timezone, null, api.upload.makeDryRun());
+  }else{
+    console.log(intro + ' CSV file at [%s] not found', program.file);
+  }
+}else if(program.file && program.username && program.password) {
   if (fs.existsSync(program.file)){
 
     login(program.username, program.password, config, function(err, data){
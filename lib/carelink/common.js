@@ -26,11 +26,6 @@ var RAW_SEQ_NUM = 'Raw-Seq Num';
 var RAW_TYPE = 'Raw-Type';
 var RAW_UPLOAD_ID = 'Raw-Upload ID';
 
-exports.autoGenModels = {
-  'Paradigm 522': true,
-  'Paradigm 722': true
-};
-
 exports.makeCommonVals = function(){
   return function (line) {
 
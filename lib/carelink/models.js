@@ -0,0 +1,172 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+
+/*
+ * The CSV rows we read, by `Raw-Type`, with the `Raw-Values` keys the processors
+ * can't do without. A row without them is from an export we don't understand.
+ * The rows with `cgm` set are the sensor's, which come in their own uploads.
+ */
+var ROW_TYPES = {
+  // basal
+  BasalProfileStart: { keys: ['PATTERN_NAME', 'RATE'] },
+  ChangeTempBasalPercent: { keys: ['DURATION', 'PERCENT_OF_RATE'] },
+  ChangeTempBasal: { keys: ['DURATION', 'RATE'] },
+  ChangeTime: { keys: ['NEW_TIME'] },
+  // bolus and wizard
+  BolusNormal: { keys: ['AMOUNT', 'PROGRAMMED_AMOUNT'] },
+  BolusSquare: { keys: ['AMOUNT', 'DURATION', 'PROGRAMMED_AMOUNT'] },
+  BolusWizardBolusEstimate: { keys: ['BG_INPUT', 'BOLUS_ESTIMATE', 'CARB_INPUT'] },
+  // settings
+  ChangeBasalProfile: { keys: ['RATE', 'START_TIME'] },
+  ChangeBasalProfilePre: { keys: ['RATE', 'START_TIME'] },
+  CurrentBasalProfile: { keys: ['RATE', 'START_TIME'] },
+  ChangeBGTargetRange: { keys: ['AMOUNT_HIGH', 'AMOUNT_LOW', 'START_TIME'] },
+  ChangeBGTargetRangePattern: { keys: ['SIZE'] },
+  CurrentBGTargetRange: { keys: ['AMOUNT_HIGH', 'AMOUNT_LOW', 'START_TIME'] },
+  ChangeCarbRatio: { keys: ['AMOUNT', 'START_TIME'] },
+  ChangeCarbRatioPattern: { keys: ['SIZE'] },
+  CurrentCarbRatio: { keys: ['AMOUNT', 'START_TIME'] },
+  ChangeInsulinSensitivity: { keys: ['AMOUNT', 'START_TIME'] },
+  ChangeInsulinSensitivityPattern: { keys: ['SIZE'] },
+  CurrentInsulinSensitivity: { keys: ['AMOUNT', 'START_TIME'] },
+  CurrentActiveBasalProfilePattern: { keys: ['PATTERN_NAME'] },
+  CurrentBasalProfilePattern: { keys: ['NUM_PROFILES', 'PATTERN_NAME'] },
+  CurrentBGTargetRangePattern: { keys: ['SIZE'] },
+  CurrentBolusWizardBGUnits: { keys: ['UNITS'] },
+  CurrentBolusWizardCarbUnits: { keys: ['UNITS'] },
+  CurrentBolusWizardEnable: { keys: ['ENABLE'] },
+  CurrentCarbRatioPattern: { keys: ['SIZE'] },
+  CurrentInsulinSensitivityPattern: { keys: ['SIZE'] },
+  ChangeBolusWizardSetup: { keys: ['NEW_CONFIG_DATUM_ID', 'OLD_CONFIG_DATUM_ID'] },
+  ChangeBolusWizardSetupConfig: { keys: ['BG_UNITS', 'CARB_UNITS'] },
+  ChangeBasalProfilePattern: { keys: ['NUM_PROFILES', 'PATTERN_NAME'] },
+  ChangeBasalProfilePatternPre: { keys: ['NUM_PROFILES', 'PATTERN_NAME'] },
+  ChangeActiveBasalProfilePattern: { keys: ['PATTERN_NAME'] },
+  // smbg
+  BGCapturedOnPump: { keys: ['AMOUNT'] },
+  // suspend
+  ChangeSuspendState: { keys: ['STATE'] },
+  // alarms
+  AlarmPump: { keys: ['ALARM_TYPE'] },
+  JournalEntryPumpLowBattery: { keys: [] },
+  JournalEntryPumpLowReservoir: { keys: [] },
+  // reservoir changes
+  Prime: { keys: ['AMOUNT', 'TYPE'] },
+  Rewind: { keys: [] },
+  // cgm
+  AlarmSensor: { keys: ['ALARM_TYPE'], cgm: true },
+  SensorCalBG: { keys: ['AMOUNT'], cgm: true },
+  ChangeTimeGH: { keys: ['NEW_TIME'], cgm: true },
+  SensorError: { keys: ['TYPE'], cgm: true },
+  SensorPacket: { keys: ['TYPE'], cgm: true },
+  SensorSync: { keys: ['TYPE'], cgm: true },
+  GlucoseSensorData: { keys: ['AMOUNT'], cgm: true },
+  GlucoseSensorDataHigh: { keys: ['AMOUNT'], cgm: true },
+  GlucoseSensorDataLow: { keys: ['AMOUNT'], cgm: true }
+};
+
+/*
+ * What each generation of pump can do, and the rows it doesn't record (`without`).
+ *
+ * `autoGenScheduleds` is for the x22s, which don't record the start of each
+ * scheduled basal; we generate those from the basal schedules in the settings.
+ * Their history also orders the parts of a bolus differently (see bolusNWizard.js).
+ */
+var FAMILIES = {
+  x22: { autoGenScheduleds: true, lowGlucoseSuspend: false, without: ['BasalProfileStart'] },
+  x23: { autoGenScheduleds: false, lowGlucoseSuspend: false, without: [] },
+  x54: { autoGenScheduleds: false, lowGlucoseSuspend: true, without: [] },
+  x6x: { autoGenScheduleds: false, lowGlucoseSuspend: true, without: [] }
+};
+
+// by `Raw-Device Type`
+var MODELS = [
+  { pattern: /^Paradigm [57]22$/, family: 'x22' },
+  { pattern: /^Paradigm Revel - [57]23$/, family: 'x23' },
+  { pattern: /^Paradigm Veo - [57]54$/, family: 'x54' },
+  { pattern: /^MiniMed 530G - [57]51$/, family: 'x54' },
+  // 630G and 640G exports name the model either way,
+  // e.g. `MiniMed 640G - 1512` or `MiniMed 640G MMT-1512/1712`
+  { pattern: /^MiniMed 6[34]0G[ -]/, family: 'x6x' }
+];
+
+var models = {};
+
+models.ROW_TYPES = ROW_TYPES;
+
+/**
+ * Looks up what a model of pump can do.
+ *
+ * @param model the `Raw-Device Type`
+ * @returns {Object} the model's capabilities, with the `rowTypes` it records, or null if we don't support it
+ */
+models.find = function(model) {
+  var match = _.find(MODELS, function(m) { return m.pattern.test(model); });
+  if (match == null) {
+    return null;
+  }
+  var family = FAMILIES[match.family];
+  return _.assign({family: match.family}, _.omit(family, 'without'), {
+    rowTypes: _.difference(Object.keys(ROW_TYPES), family.without)
+  });
+};
+
+models.isSupported = function(model) {
+  return models.find(model) != null;
+};
+
+// the `Raw-Values` keys a row of `rawType` has from `model`
+models.rawValueKeys = function(model, rawType) {
+  var capabilities = models.find(model);
+  if (capabilities == null || !_.includes(capabilities.rowTypes, rawType)) {
+    return null;
+  }
+  return ROW_TYPES[rawType].keys;
+};
+
+models.autoGenScheduleds = function(model) {
+  var capabilities = models.find(model);
+  return capabilities != null && capabilities.autoGenScheduleds;
+};
+
+/**
+ * Checks that a CSV row is one we can read.
+ *
+ * @param row the row, with its `Raw-Values` already split into an object
+ * @returns {String} why we can't read it, or null if we can
+ */
+models.checkRow = function(row) {
+  var model = row['Raw-Device Type'], rawType = row['Raw-Type'];
+  if (!models.isSupported(model)) {
+    return 'unsupported model';
+  }
+  var keys = models.rawValueKeys(model, rawType);
+  if (keys == null) {
+    return 'row type not recorded by this model';
+  }
+  var missing = _.filter(keys, function(key) {
+    return row['Raw-Values'] == null || row['Raw-Values'][key] == null;
+  });
+  if (!_.isEmpty(missing)) {
+    return 'missing ' + missing.join(', ');
+  }
+  return null;
+};
+
+module.exports = models;
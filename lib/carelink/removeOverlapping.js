@@ -17,25 +17,37 @@
 var _ = require('lodash');
 var debug = require('../bows')('RemoveOverlaps');
 
+var models = require('./models');
+
 var RAW_DEVICE_TYPE = 'Raw-Device Type';
-var RAW_SEQ_NUM = 'Raw-Seq Num';
 var RAW_TYPE = 'Raw-Type';
 var RAW_UPLOAD_ID = 'Raw-Upload ID';
 var TIMESTAMP = 'Timestamp';
 
+/*
+ * Rows we can't read (from a model we don't support, or not in the shape we
+ * expect from the model; see models.js) are marked `unsupported`, left out of
+ * the uploads and reported in `payload.unsupportedRows`.
+ */
 module.exports = function(payload) {
-  var supportedModels = {
-    'Paradigm 522': true,
-    'Paradigm 722': true,
-    'Paradigm Revel - 523': true,
-    'Paradigm Revel - 723': true,
-    'Paradigm Veo - 554': true,
-    'Paradigm Veo - 754': true,
-    'MiniMed 530G - 551': true,
-    'MiniMed 530G - 751': true
-  };
   var uploads = {}, uploadIdsInOrder = [];
+  payload.unsupportedRows = [];
   for (var i = 0; i < payload.theData.length; ++i) {
+    var reason = models.ROW_TYPES[payload.theData[i][RAW_TYPE]] ? models.checkRow(payload.theData[i]) : null;
+    if (reason != null) {
+      // ChangeTimeGH rows are in both the pump's and the sensor's data
+      if (!payload.theData[i].unsupported) {
+        payload.theData[i].unsupported = true;
+        payload.unsupportedRows.push({
+          index: payload.theData[i].csvIndex,
+          timestamp: payload.theData[i][TIMESTAMP],
+          rawType: payload.theData[i][RAW_TYPE],
+          model: payload.theData[i][RAW_DEVICE_TYPE],
+          reason: reason
+        });
+      }
+      continue;
+    }
     /**
      * The last data dump while uploading is the pump's current settings.
      * The `Raw-Type` for all of these rows starts with `Current`.
@@ -63,12 +75,9 @@ module.exports = function(payload) {
         };
       }
     }
-    else if (!supportedModels[payload.theData[i][RAW_DEVICE_TYPE]] &&
-      payload.theData[i][RAW_TYPE].search('Current') === -1) {
-      debug('Found a row that\'s one of our parsed types but not from a supported model of pump:');
-      debug(payload.theData[i][TIMESTAMP], payload.theData[i][RAW_TYPE]);
-      debug(payload.theData[i][RAW_DEVICE_TYPE]);
-    }
+  }
+  if (!_.isEmpty(payload.unsupportedRows)) {
+    debug('Found', payload.unsupportedRows.length, 'rows we can\'t read');
   }
   uploadIdsInOrder = _.map(
     _.sortBy(uploads, function(upload) { return upload.start; }),
@@ -0,0 +1,78 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var util = require('util');
+
+var common = require('./common.js');
+var parsing = require('./parsing.js');
+
+var RAW_VALUES = 'Raw-Values';
+
+var RV_KEYS = {
+  AMOUNT: 'AMOUNT',
+  PROGRAMMED_AMOUNT: 'PROGRAMMED_AMOUNT',
+  TYPE: 'TYPE'
+};
+
+module.exports = function () {
+  // changing the reservoir is a rewind, then a manual prime to fill the tubing
+  // and then (once it's inserted) a fixed prime to fill the cannula
+  var rewindParser = common.makeParser(
+    {
+      Rewind: [
+        common.makeCommonVals()
+      ]
+    }
+  );
+
+  var primeParser = common.makeParser(
+    {
+      Prime: [
+        common.makeCommonVals(),
+        {
+          primeTarget: parsing.map([RAW_VALUES, RV_KEYS.TYPE], function(type) {
+            switch(type) {
+              case 'manual':
+                return 'tubing';
+              case 'fixed':
+                return 'cannula';
+              default:
+                throw new Error(util.format('Unknown prime type[%s]', type));
+            }
+          }),
+          volume: parsing.asNumber([RAW_VALUES, RV_KEYS.AMOUNT]),
+          payload: {
+            programmedVolume: parsing.asNumber([RAW_VALUES, RV_KEYS.PROGRAMMED_AMOUNT]),
+            type: parsing.extract([RAW_VALUES, RV_KEYS.TYPE])
+          }
+        }
+      ]
+    }
+  );
+
+  return function (simulator, data) {
+    var rewind = rewindParser(data);
+    if (rewind != null) {
+      simulator.changeReservoir(rewind);
+    }
+
+    var prime = primeParser(data);
+    if (prime != null) {
+      simulator.prime(prime);
+    }
+  };
+};
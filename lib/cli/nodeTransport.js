@@ -0,0 +1,264 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+// Implements the parts of chrome.serial, chrome.hid and chrome.runtime that
+// serialDevice and hidDevice use, on top of the `serialport` and `node-hid`
+// modules, so that the drivers can run in node.
+//
+// Install the result as the global `chrome` only *after* requiring the rest of
+// the uploader, since some modules check for `chrome` when they're loaded
+// to decide whether they're running in the Chrome app.
+
+var _ = require('lodash');
+
+var debug = require('../bows')('NodeTransport');
+
+// serialport reports USB ids as hex strings
+function parseId(id) {
+  if (id == null) {
+    return undefined;
+  }
+  return _.isNumber(id) ? id : parseInt(id, 16);
+}
+
+function toBuffer(arrayBuffer) {
+  return Buffer.from(new Uint8Array(arrayBuffer));
+}
+
+function toArrayBuffer(buffer) {
+  return new Uint8Array(buffer).buffer;
+}
+
+function listeners() {
+  var fns = [];
+  return {
+    addListener: function(fn) {
+      fns.push(fn);
+    },
+    removeListener: function(fn) {
+      fns = _.without(fns, fn);
+    },
+    emit: function(info) {
+      _.forEach(fns, function(fn) {
+        fn(info);
+      });
+    }
+  };
+}
+
+module.exports = function(modules) {
+  modules = modules || {};
+  var connectionCounter = 1;
+  var runtime = {lastError: undefined};
+
+  // chrome reports errors by setting runtime.lastError during the callback
+  function withError(err, fn) {
+    runtime.lastError = err ? {message: err.message || String(err)} : undefined;
+    try {
+      fn();
+    }
+    finally {
+      runtime.lastError = undefined;
+    }
+  }
+
+  // these are native modules that only the CLI needs, so they aren't among
+  // the uploader's dependencies; this is written against these major versions
+  function load(name, version) {
+    try {
+      return require(name);
+    }
+    catch (err) {
+      throw new Error('Talking to devices from node needs the `' + name +
+        '` module: npm install ' + name + '@' + version);
+    }
+  }
+
+  function serialport() {
+    return modules.serialport || load('serialport', 12);
+  }
+
+  function nodeHid() {
+    return modules.hid || load('node-hid', 3);
+  }
+
+  // ----- serial -----
+  var serialConnections = {};
+  var onReceive = listeners();
+  var onReceiveError = listeners();
+
+  var serial = {
+    onReceive: onReceive,
+    onReceiveError: onReceiveError,
+
+    getDevices: function(cb) {
+      var toDevices = function(ports) {
+        cb(_.map(ports, function(port) {
+          return {
+            path: port.path,
+            vendorId: parseId(port.vendorId),
+            productId: parseId(port.productId),
+            displayName: port.manufacturer
+          };
+        }));
+      };
+      serialport().SerialPort.list().then(toDevices, function(err) {
+        debug('Could not list serial ports', err);
+        toDevices([]);
+      });
+    },
+
+    connect: function(path, options, cb) {
+      var SerialPort = serialport().SerialPort;
+      var port = new SerialPort({path: path, baudRate: options.bitrate || 9600, autoOpen: false});
+      port.open(function(err) {
+        if (err) {
+          return withError(err, function() { cb(); });
+        }
+        var connectionId = connectionCounter++;
+        serialConnections[connectionId] = port;
+        port.on('data', function(data) {
+          onReceive.emit({connectionId: connectionId, data: toArrayBuffer(data)});
+        });
+        port.on('error', function(err) {
+          onReceiveError.emit({connectionId: connectionId, error: 'system_error', message: err.message});
+        });
+        port.on('close', function() {
+          if (serialConnections[connectionId]) {
+            onReceiveError.emit({connectionId: connectionId, error: 'device_lost'});
+          }
+        });
+        cb({connectionId: connectionId, name: path, bitrate: options.bitrate});
+      });
+    },
+
+    send: function(connectionId, data, cb) {
+      var port = serialConnections[connectionId];
+      if (!port) {
+        return cb({bytesSent: 0, error: 'disconnected'});
+      }
+      port.write(toBuffer(data), function(err) {
+        if (err) {
+          return cb({bytesSent: 0, error: 'system_error'});
+        }
+        port.drain(function() {
+          cb({bytesSent: data.byteLength});
+        });
+      });
+    },
+
+    disconnect: function(connectionId, cb) {
+      var port = serialConnections[connectionId];
+      delete serialConnections[connectionId];
+      if (!port) {
+        return cb(false);
+      }
+      port.close(function(err) {
+        cb(!err);
+      });
+    }
+  };
+
+  // ----- HID -----
+  // chrome identifies HID devices by a number, node-hid by a path
+  var hidPaths = [];
+  var hidConnections = {};
+
+  var hid = {
+    getDevices: function(options, cb) {
+      var devices = _.filter(nodeHid().devices(), function(d) {
+        return (options.vendorId == null || d.vendorId === options.vendorId) &&
+          (options.productId == null || d.productId === options.productId);
+      });
+      cb(_.map(devices, function(d) {
+        var deviceId = _.indexOf(hidPaths, d.path);
+        if (deviceId === -1) {
+          deviceId = hidPaths.push(d.path) - 1;
+        }
+        return {
+          deviceId: deviceId,
+          vendorId: d.vendorId,
+          productId: d.productId,
+          serialNumber: d.serialNumber
+        };
+      }));
+    },
+
+    connect: function(deviceId, cb) {
+      var device;
+      try {
+        device = new (nodeHid().HID)(hidPaths[deviceId]);
+      }
+      catch (err) {
+        return withError(err, function() { cb(); });
+      }
+      var connectionId = connectionCounter++;
+      hidConnections[connectionId] = device;
+      cb({connectionId: connectionId});
+    },
+
+    send: function(connectionId, reportId, data, cb) {
+      var device = hidConnections[connectionId];
+      var error = null;
+      if (!device) {
+        error = new Error('Not connected');
+      }
+      else {
+        try {
+          device.write([reportId].concat(_.toArray(new Uint8Array(data))));
+        }
+        catch (err) {
+          error = err;
+        }
+      }
+      withError(error, cb);
+    },
+
+    receive: function(connectionId, cb) {
+      var device = hidConnections[connectionId];
+      if (!device) {
+        return withError(new Error('Not connected'), function() { cb(); });
+      }
+      device.read(function(err, data) {
+        if (err) {
+          return withError(err, function() { cb(); });
+        }
+        cb(0, toArrayBuffer(data));
+      });
+    },
+
+    disconnect: function(connectionId, cb) {
+      var device = hidConnections[connectionId];
+      delete hidConnections[connectionId];
+      if (device) {
+        device.close();
+      }
+      cb();
+    }
+  };
+
+  runtime.getPlatformInfo = function(cb) {
+    var os = {darwin: 'mac', win32: 'win'}[process.platform] || process.platform;
+    cb({os: os});
+  };
+
+  return {
+    runtime: runtime,
+    serial: serial,
+    hid: hid
+  };
+};
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global chrome */
+
+var _ = require('lodash');
+var program = require('commander');
+var fs = require('fs');
+
+var driverManager = require('../driverManager');
+var driverRegistry = require('../drivers');
+var serialDevice = require('../serialDevice');
+var hidDevice = require('../hidDevice');
+var trafficRecorder = require('../trafficRecorder');
+var nodeTransport = require('./nodeTransport');
+var api = require('../core/api.js');
+var config = require('../../.config.js');
+var pkg = require('../../package.json');
+
+var intro = 'Uploader CLI:';
+
+var builder = require('../objectBuilder.js')();
+
+function fail() {
+  console.log.apply(console, [intro].concat(_.toArray(arguments)));
+  process.exit(1);
+}
+
+// http://stackoverflow.com/questions/8609289/convert-a-binary-nodejs-buffer-to-javascript-arraybuffer
+function toArrayBuffer(buffer) {
+  var ab = new ArrayBuffer(buffer.length);
+  var view = new Uint8Array(ab);
+  for (var i = 0; i < buffer.length; ++i) {
+    view[i] = buffer[i];
+  }
+  return ab;
+}
+
+/*
+ * Find the device to read, like device.detect() does in the app
+ */
+function findDevice(descriptor, port, cb) {
+  var deviceInfo = {
+    driverId: descriptor.driverId,
+    vendorId: descriptor.vendorId,
+    productId: descriptor.productId
+  };
+
+  if (descriptor.mode === 'HID') {
+    chrome.hid.getDevices({vendorId: descriptor.vendorId, productId: descriptor.productId}, function(devices) {
+      var d = port == null ? _.first(devices) : _.find(devices, {deviceId: parseInt(port, 10)});
+      if (!d) {
+        return cb(new Error('No ' + descriptor.name + ' found'));
+      }
+      return cb(null, _.assign(deviceInfo, {deviceId: d.deviceId, port: String(d.deviceId)}));
+    });
+    return;
+  }
+
+  if (descriptor.bitrate) {
+    deviceInfo.bitrate = descriptor.bitrate;
+  }
+  if (descriptor.sendTimeout) {
+    deviceInfo.sendTimeout = descriptor.sendTimeout;
+  }
+  if (port != null) {
+    return cb(null, _.assign(deviceInfo, {port: port}));
+  }
+  chrome.serial.getDevices(function(ports) {
+    var match = _.find(ports, {vendorId: descriptor.vendorId, productId: descriptor.productId});
+    if (!match) {
+      return cb(new Error('No ' + descriptor.name + ' found, try giving its --port'));
+    }
+    return cb(null, _.assign(deviceInfo, {port: match.path}));
+  });
+}
+
+/*
+ * Read the device and upload its data, or for a dry run collect what would be uploaded
+ */
+function readDevice(descriptor, deviceInfo, userid, recorder, dryRun, cb) {
+  var lastStep = null;
+  var cfg = {
+    deviceInfo: deviceInfo,
+    timezone: program.timezone,
+    groupId: userid,
+    api: dryRun ? {upload: dryRun} : api,
+    version: pkg.name + ' ' + pkg.version,
+    builder: builder,
+    dryRun: Boolean(dryRun),
+    progress: function(step, percentage) {
+      if (step !== lastStep) {
+        console.log(intro, step, Math.round(percentage) + '%');
+        lastStep = step;
+      }
+    }
+  };
+
+  if (descriptor.mode === 'block') {
+    var data = fs.readFileSync(program.file);
+    cfg.filename = program.file;
+    cfg.filedata = toArrayBuffer(data);
+  }
+  else {
+    var comms = descriptor.mode === 'HID' ? hidDevice : serialDevice;
+    cfg.deviceComms = comms({recorder: recorder});
+  }
+
+  var drivers = {}, cfgs = {};
+  drivers[descriptor.driverId] = descriptor.driver;
+  cfgs[descriptor.driverId] = cfg;
+
+  driverManager(drivers, cfgs).process(descriptor.driverId, cb);
+}
+
+/*
+ * login to the platform
+ */
+function login(un, pw, config, cb){
+  api.init({
+    apiUrl: config.API_URL,
+    uploadUrl: config.UPLOAD_URL,
+    uploadConcurrency: config.UPLOAD_CONCURRENCY
+  }, function(){
+    api.user.login({ username: un, password:pw}, cb);
+  });
+}
+
+function run(descriptor) {
+  var recorder = null;
+  if (program.record && descriptor.mode !== 'block') {
+    recorder = trafficRecorder({mode: descriptor.mode === 'HID' ? 'HID' : 'serial'});
+  }
+  var dryRun = program.dryRun ? api.upload.makeDryRun() : null;
+
+  var start = function(userid) {
+    findDevice(descriptor, program.port, function(err, deviceInfo) {
+      if (err) {
+        return fail(err.message);
+      }
+      console.log(intro, 'Reading', descriptor.name, deviceInfo.port ? 'on ' + deviceInfo.port : '');
+      console.log(intro, 'Using the timezone', program.timezone);
+
+      readDevice(descriptor, deviceInfo, userid, recorder, dryRun, function(err, result) {
+        if (recorder) {
+          fs.writeFileSync(program.record, recorder.serialize());
+          console.log(intro, 'Device traffic recorded to', program.record);
+        }
+        if (err) {
+          fail('Error reading ' + descriptor.name + ':', err);
+        }
+        if (dryRun) {
+          var output = program.output || descriptor.driverId + '-dry-run.json';
+          fs.writeFileSync(output, dryRun.serialize());
+          console.log(intro, 'Dry run, nothing uploaded: the records that would have been are in', output);
+        }
+        console.log(intro, 'All good! Read [%s] events', result.post_records.length);
+        process.exit();
+      });
+    });
+  };
+
+  if (program.dryRun) {
+    return start(null);
+  }
+
+  login(program.username, program.password, config, function(err, data) {
+    if (err) {
+      return fail('Failed authentication!', err);
+    }
+    var userid = program.target || data.userid;
+    console.log(intro, 'Uploading for user', userid);
+    start(userid);
+  });
+}
+
+/*
+ * Our CLI that reads any registered device and sends its data to the tp-platform
+ */
+
+program
+  .version(pkg.version)
+  .option('-l, --list', 'list the drivers')
+  .option('-d, --driver [driverId]', 'id of the driver for the device')
+  .option('--port [port]', 'serial port path, or HID device number, of the device')
+  .option('-f, --file [path]', 'data file, for devices that are read from files')
+  .option('-u, --username [user]', 'username')
+  .option('-p, --password [pw]', 'password')
+  .option('--target [userid]', 'id of the user to upload for, if not the logged in user')
+  .option('-t, --timezone [tz]', 'named timezone', config.DEFAULT_TIMEZONE)
+  .option('-n, --dry-run', 'read and process the data, but don\'t upload it')
+  .option('-o, --output [path]', 'for a dry run, the JSON file to write what would be uploaded to')
+  .option('-r, --record [path]', 'record the traffic with the device to a file')
+  .parse(process.argv);
+
+if (program.list) {
+  _.forEach(driverRegistry.getAll(), function(descriptor) {
+    console.log('%s\t%s (%s)', descriptor.driverId, descriptor.name, descriptor.mode);
+  });
+  process.exit();
+}
+
+if (!program.driver || !(program.dryRun || (program.username && program.password))) {
+  program.help();
+}
+
+if (!driverRegistry.has(program.driver)) {
+  fail('Unknown driver [' + program.driver + '], see --list');
+}
+
+var descriptor = driverRegistry.get(program.driver);
+
+if (descriptor.mode === 'block' && !(program.file && fs.existsSync(program.file))) {
+  fail(descriptor.name + ' file at [' + program.file + '] not found');
+}
+
+// everything's loaded, so now the drivers can talk to devices through node
+global.chrome = nodeTransport();
+
+run(descriptor);
@@ -0,0 +1,55 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var sundial = require('sundial');
+
+// how far off a device's clock can be before we warn the user about it
+var WARNING_THRESHOLD = 15 * sundial.MIN_TO_MSEC;
+
+exports.WARNING_THRESHOLD = WARNING_THRESHOLD;
+
+/**
+ * Measures how far a device's clock is off from the computer's.
+ *
+ * The drift is how far ahead of the computer's clock the device's is, in
+ * milliseconds (so it's negative for a clock that's slow), as for the
+ * `clockDriftOffset` of the readings. It goes to the TimezoneOffsetUtil
+ * for that, and in the upload metadata.
+ *
+ * @param deviceClock the device's clock, as a Date whose UTC fields are its local time
+ * @param timezone the timezone the device's clock is in
+ * @param now (optional) the computer's clock, as an ISO string; defaults to now
+ * @returns {Object} `{deviceTime, computerTime, clockDriftOffset}`
+ */
+exports.measure = function(deviceClock, timezone, now) {
+  now = now || new Date().toISOString();
+  var deviceUtc = sundial.applyTimezone(deviceClock, timezone);
+  return {
+    deviceTime: sundial.formatDeviceTime(deviceClock),
+    computerTime: now,
+    clockDriftOffset: deviceUtc.valueOf() - Date.parse(now)
+  };
+};
+
+/**
+ * Checks whether a device's clock is far enough off to warn the user about.
+ *
+ * @param drift as measured by measure()
+ */
+exports.exceedsThreshold = function(drift) {
+  return drift != null && Math.abs(drift.clockDriftOffset) > WARNING_THRESHOLD;
+};
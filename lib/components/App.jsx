@@ -121,10 +121,10 @@ var App = React.createClass({
           {uploadSettings}
           <UploadList
             targetId={this.state.targetId}
-            uploads={this.state.uploads}
             targetedUploads={this.appState.uploadsWithFlags()}
             onUpload={this.appActions.upload.bind(this.appActions)}
             onReset={this.appActions.reset.bind(this.appActions)}
+            onCancel={this.appActions.cancelUpload.bind(this.appActions)}
             readFile={this.appActions.readFile.bind(this.appActions)}
             groupsDropdown={!this.onlyMe()} />
           {this.renderViewDataLink()}
@@ -28,6 +28,7 @@ var Upload = React.createClass({
     upload: React.PropTypes.object.isRequired,
     onUpload: React.PropTypes.func.isRequired,
     onReset: React.PropTypes.func.isRequired,
+    onCancel: React.PropTypes.func.isRequired,
     readFile: React.PropTypes.func.isRequired,
     text: React.PropTypes.object
   },
@@ -35,7 +36,8 @@ var Upload = React.createClass({
   getInitialState: function() {
     return {
       carelinkFormIncomplete: true,
-      blockModeFileNotChosen: true
+      blockModeFileNotChosen: true,
+      resendAll: false
     };
   },
   getDefaultProps: function(){
@@ -49,11 +51,19 @@ var Upload = React.createClass({
         LABEL_IMPORT : 'Import',
         LABEL_OK : 'OK',
         LABEL_FAILED: 'Try again',
+        LABEL_CANCEL: 'Cancel',
         LAST_UPLOAD : 'Last upload: ',
         LABEL_MEDTRONIC_DEVICES :'Medtronic Devices',
         DEVICE_UNKOWN : 'Unknown device',
         UPLOAD_COMPLETE: 'Done!',
-        UPLOAD_PROGRESS: 'Uploading... '
+        UPLOAD_QUEUED: 'Queued \u2014 will upload when online',
+        UPLOAD_CANCELLED: 'Cancelled',
+        UPLOAD_PROGRESS: 'Uploading... ',
+        CLOCK_FAST: 'The device\'s clock is %d minutes fast.',
+        CLOCK_SLOW: 'The device\'s clock is %d minutes slow.',
+        CLOCK_SET: 'The device\'s clock has been set to this computer\'s.',
+        LABEL_SET_CLOCK: 'Set its clock and upload again',
+        LABEL_RESEND_ALL: 'Upload everything again, not only what\'s new'
       }
     };
   },
@@ -64,10 +74,12 @@ var Upload = React.createClass({
           {this.renderName()}
           {this.renderDetail()}
           {this.renderLastUpload()}
+          {this.renderClockDrift()}
         </div>
         <div className="Upload-right">
           <div className="Upload-statusSection">
             {this.renderStatus()}
+            {this.renderCancel()}
             {this.renderReset()}
           </div>
           {this.renderProgress()}
@@ -109,6 +121,7 @@ var Upload = React.createClass({
       <form className="Upload-form">
         {this.renderCarelinkInputs()}
         {this.renderBlockModeInput()}
+        {this.renderResendAll()}
         {this.renderButton()}
       </form>
     );
@@ -153,6 +166,25 @@ var Upload = React.createClass({
       this.setState({carelinkFormIncomplete: false});
     }
   },
+  // only what's new since the last upload from a device is sent, unless asked
+  // for everything (CareLink imports aren't deduplicated, so always send everything)
+  renderResendAll: function() {
+    if (this.isCarelinkUpload() || this.getLastUpload() == null) {
+      return null;
+    }
+
+    return (
+      <div className="Upload-resendAll">
+        <label>
+          <input type="checkbox" checked={this.state.resendAll} onChange={this.onResendAllChange}/>
+          {' ' + this.props.text.LABEL_RESEND_ALL}
+        </label>
+      </div>
+    );
+  },
+  onResendAllChange: function(e) {
+    this.setState({resendAll: e.target.checked});
+  },
   renderButton: function() {
     var text = this.props.text.LABEL_UPLOAD;
     var disabled = this.isDisabled();
@@ -207,6 +239,12 @@ var Upload = React.createClass({
     if (this.isUploading()) {
       return <div className="Upload-status Upload-status--uploading">{this.props.text.UPLOAD_PROGRESS + this.props.upload.progress.percentage + '%'}</div>;
     }
+    if (this.isUploadCancelled()) {
+      return <div className="Upload-status Upload-status--cancelled">{this.props.text.UPLOAD_CANCELLED}</div>;
+    }
+    if (this.isUploadQueued()) {
+      return <div className="Upload-status Upload-status--queued">{this.props.text.UPLOAD_QUEUED}</div>;
+    }
     if (this.isUploadSuccessful()) {
       return <div className="Upload-status Upload-status--success">{this.props.text.UPLOAD_COMPLETE}</div>;
     }
@@ -216,6 +254,18 @@ var Upload = React.createClass({
 
     return null;
   },
+  renderCancel: function() {
+    // CareLink uploads don't read from a device, so there's nothing to cancel
+    if (!this.isUploading() || this.isCarelinkUpload()) {
+      return null;
+    }
+
+    return (
+      <div className="Upload-cancel">
+        <a href="" onClick={this.handleCancel}>{this.props.text.LABEL_CANCEL}</a>
+      </div>
+    );
+  },
   renderReset: function() {
     if (!this.isUploadCompleted()) {
       return null;
@@ -245,6 +295,28 @@ var Upload = React.createClass({
     var time = sundial.formatCalendarTime(lastUpload.finish);
     return <div className="Upload-detail">{this.props.text.LAST_UPLOAD + time}</div>;
   },
+  renderClockDrift: function() {
+    var drift = this.props.upload.clockDrift;
+    if (!drift) {
+      return null;
+    }
+    if (drift.clockSet) {
+      return <div className="Upload-clockDrift">{this.props.text.CLOCK_SET}</div>;
+    }
+
+    var minutes = Math.round(Math.abs(drift.clockDriftOffset) / sundial.MIN_TO_MSEC);
+    var text = drift.clockDriftOffset > 0 ? this.props.text.CLOCK_FAST : this.props.text.CLOCK_SLOW;
+    var setClock = null;
+    if (this.canSetClock(this.props.upload)) {
+      setClock = <a href="" onClick={this.handleSetClock}>{this.props.text.LABEL_SET_CLOCK}</a>;
+    }
+    return (
+      <div className="Upload-clockDrift">
+        <p>{text.replace('%d', minutes)}</p>
+        {setClock}
+      </div>
+    );
+  },
   getLastUpload: function() {
     var history = this.props.upload.history;
     if (!(history && history.length)) {
@@ -269,6 +341,9 @@ var Upload = React.createClass({
     );
     return getDetail(upload.source);
   },
+  canSetClock: function(upload) {
+    return getIn(deviceInfo, [upload.source.driverId, 'canSetClock'], false);
+  },
 
   getUploadError: function() {
     return this.props.upload.error;
@@ -313,6 +388,14 @@ var Upload = React.createClass({
     return this.props.upload.successful;
   },
 
+  isUploadCancelled: function() {
+    return this.props.upload.cancelled;
+  },
+
+  isUploadQueued: function() {
+    return this.props.upload.queued;
+  },
+
   isUploadFailed: function() {
     return this.props.upload.failed;
   },
@@ -333,8 +416,9 @@ var Upload = React.createClass({
       return this.handleBlockModeUpload();
     }
 
-    var options = {};
+    var options = {resendAll: this.state.resendAll};
     this.props.onUpload(options);
+    this.setState({resendAll: false});
   },
 
   handleCarelinkUpload: function() {
@@ -350,14 +434,32 @@ var Upload = React.createClass({
   handleBlockModeUpload: function() {
     var options = {
       filename: this.props.upload.file.name,
-      filedata: this.props.upload.file.data
+      filedata: this.props.upload.file.data,
+      resendAll: this.state.resendAll
     };
     this.props.onUpload(options);
     this.setState({
-      blockModeFileNotChosen: true
+      blockModeFileNotChosen: true,
+      resendAll: false
     });
   },
 
+  handleSetClock: function(e) {
+    if (e) {
+      e.preventDefault();
+    }
+
+    this.props.onUpload({setClock: true});
+  },
+
+  handleCancel: function(e) {
+    if (e) {
+      e.preventDefault();
+    }
+
+    this.props.onCancel();
+  },
+
   handleReset: function(e) {
     if (e) {
       e.preventDefault();
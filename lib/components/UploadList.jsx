@@ -22,17 +22,18 @@ var Upload = require('./Upload.jsx');
 
 var UploadList = React.createClass({
   propTypes: {
-    uploads: React.PropTypes.array.isRequired,
     targetedUploads: React.PropTypes.array.isRequired,
     onUpload: React.PropTypes.func.isRequired,
     onReset: React.PropTypes.func.isRequired,
+    onCancel: React.PropTypes.func.isRequired,
     readFile: React.PropTypes.func.isRequired,
     groupsDropdown: React.PropTypes.bool.isRequired,
     text: React.PropTypes.object
   },
   getInitialState: function() {
     return {
-      showErrorDetails: []
+      showErrorDetails: [],
+      showUnsupportedRows: []
     };
   },
   getDefaultProps: function(){
@@ -40,37 +41,41 @@ var UploadList = React.createClass({
       text: {
         SHOW_ERROR : '(Show details)',
         HIDE_ERROR : '(Hide details)',
-        UPLOAD_FAILED : 'Upload Failed: '
+        UPLOAD_FAILED : 'Upload Failed: ',
+        ROWS_UNSUPPORTED : 'Some rows of the CareLink export were not uploaded: '
       }
     };
   },
-  makeHandleShowDetailsFn: function(upload){
+  // `list` is the state's list of uploads to show these details for
+  makeHandleShowDetailsFn: function(upload, list){
     var self = this;
 
     return function(e) {
       if(e){
         e.preventDefault();
       }
-      // add or remove this upload's key to the list of uploads to show errors for
-      var showErrorsList = self.state.showErrorDetails;
-      if (_.includes(showErrorsList, upload.key)) {
-        showErrorsList = _.reject(showErrorsList, function(i) { return i === upload.key; });
+      // add or remove this upload's index to the list of uploads to show details for
+      var showList = self.state[list];
+      if (_.includes(showList, upload.index)) {
+        showList = _.reject(showList, function(i) { return i === upload.index; });
       }
       else {
-        showErrorsList.push(upload.key);
+        showList.push(upload.index);
       }
-      self.setState({showErrorDetails: showErrorsList});
+      var newState = {};
+      newState[list] = showList;
+      self.setState(newState);
     };
   },
   renderErrorForUpload: function(upload) {
     if (_.isEmpty(upload) || _.isEmpty(upload.error)) {
       return;
     }
-    var showDetailsThisUpload = _.includes(this.state.showErrorDetails, upload.key);
+    var showDetailsThisUpload = _.includes(this.state.showErrorDetails, upload.index);
     var errorDetails = showDetailsThisUpload ? (<div className="UploadList-error-details">{upload.error.debug}</div>) : null;
     var showErrorsText = showDetailsThisUpload ? this.props.text.HIDE_ERROR : this.props.text.SHOW_ERROR;
     
-    var clickHandler = this.makeHandleShowDetailsFn(upload);
+    var clickHandler = this.makeHandleShowDetailsFn(upload, 'showErrorDetails');
 
     return (
       <div className="UploadList-error-item">
@@ -80,6 +85,43 @@ var UploadList = React.createClass({
       </div>
     );
   },
+  renderUnsupportedForUpload: function(upload) {
+    if (_.isEmpty(upload) || _.isEmpty(upload.unsupportedRows)) {
+      return;
+    }
+    // e.g. "12 rows from MiniMed 670G - 1780 (unsupported model)"
+    var counts = _.countBy(upload.unsupportedRows, function(row) {
+      return row.model + ' (' + row.reason + ')';
+    });
+    var items = _.map(counts, function(count, description) {
+      var rows = count === 1 ? ' row from ' : ' rows from ';
+      return (
+        <li key={description}>{count + rows + description}</li>
+      );
+    });
+
+    var showRowsThisUpload = _.includes(this.state.showUnsupportedRows, upload.index);
+    var showRowsText = showRowsThisUpload ? this.props.text.HIDE_ERROR : this.props.text.SHOW_ERROR;
+    var rowDetails = null;
+    if (showRowsThisUpload) {
+      // one line per row, e.g. "Row 12, 1/3/15 08:00:00, BolusNormal: unsupported model"
+      var rowItems = _.map(upload.unsupportedRows, function(row) {
+        return (
+          <li key={row.index}>{'Row ' + row.index + ', ' + row.timestamp + ', ' + row.rawType + ': ' + row.reason}</li>
+        );
+      });
+      rowDetails = (<ul className="UploadList-unsupported-rows">{rowItems}</ul>);
+    }
+
+    return (
+      <div className="UploadList-unsupported-item">
+        <span className="UploadList-unsupported-message">{this.props.text.ROWS_UNSUPPORTED}</span>
+        <a href="" onClick={this.makeHandleShowDetailsFn(upload, 'showUnsupportedRows')}>{showRowsText}</a>
+        <ul>{items}</ul>
+        {rowDetails}
+      </div>
+    );
+  },
   render: function() {
     var self = this;
     var uploadListClasses = cx({
@@ -88,26 +130,18 @@ var UploadList = React.createClass({
       'UploadList--groups': this.props.groupsDropdown
     });
 
-    var nodes = _.map(this.props.targetedUploads, function(target){
-      var keyToMatch;
-      var index = _.findIndex(self.props.uploads, function(upload) {
-        if(upload.key === target.key){
-          keyToMatch = target.key;
-          return true;
-        }
-        return false;
-      });
-      var matchingUpload = _.find(self.props.targetedUploads, function(upload) {
-        return upload.key === keyToMatch;
-      });
+    var nodes = _.map(this.props.targetedUploads, function(matchingUpload){
+      var index = matchingUpload.index;
       return (
         <div key={index} className="UploadList-item">
           <Upload
             upload={matchingUpload}
             onUpload={self.props.onUpload.bind(null, index)}
             onReset={self.props.onReset.bind(null, index)}
+            onCancel={self.props.onCancel.bind(null, index)}
             readFile={self.props.readFile.bind(null, index, self.props.targetId)} />
           {self.renderErrorForUpload(matchingUpload)}
+          {self.renderUnsupportedForUpload(matchingUpload)}
         </div>
       );
     });
@@ -29,6 +29,8 @@ var isChromeApp = (typeof chrome !== 'undefined');
 var bows = require('../bows');
 var log = isChromeApp ? bows('Api') : console.log;
 var builder = require('../objectBuilder')();
+var cancelToken = require('../cancelToken');
+var dedupe = require('./dedupe');
 var localStore = require('./localStore');
 
 // for cli tools running in node
@@ -63,6 +65,11 @@ api.init = function(options, cb) {
 
   api.tidepool = tidepool;
 
+  api.upload.settings = _.clone(UPLOAD_DEFAULTS);
+  if (options.uploadConcurrency) {
+    api.upload.settings.concurrency = parseInt(options.uploadConcurrency, 10);
+  }
+
   tidepool.initialize(cb);
 };
 
@@ -180,6 +187,43 @@ api.upload.accounts = function(happyCb, sadCb) {
   });
 };
 
+var UPLOAD_DEFAULTS = {
+  // how many blocks of records can be posted at once
+  concurrency: 4,
+  // blocks start at `blockSize` records, double in size each time the platform
+  // accepts one and halve when the platform says one is too big or it times out
+  blockSize: 100,
+  minBlockSize: 1,
+  maxBlockSize: 1600,
+  // 5xx responses are retried up to `maxRetries` times, waiting `retryDelay`
+  // milliseconds before the first retry and doubling (with jitter) after that
+  maxRetries: 5,
+  retryDelay: 1000
+};
+
+api.upload.settings = _.clone(UPLOAD_DEFAULTS);
+
+// the platform client calls back with the HTTP status as `code` when the
+// platform turns a request down; superagent's own errors have it as `status`
+function statusOf(err) {
+  return _.isNumber(err.code) ? err.code : err.status;
+}
+
+function isTooBig(err) {
+  return statusOf(err) === 413 || err.timeout != null || err.code === 'ECONNABORTED';
+}
+
+function isServerError(err) {
+  return statusOf(err) >= 500;
+}
+
+// exponential backoff, with jitter so that blocks
+// that failed together don't all retry together
+function retryDelay(attempt) {
+  var delay = api.upload.settings.retryDelay * Math.pow(2, attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
 function postBlockToPlatform(data, groupId, blockIndex, callback) {
 
   var recCount = data.length;
@@ -189,19 +233,6 @@ function postBlockToPlatform(data, groupId, blockIndex, callback) {
 
   var sad = function (jqxhr, status, err) {
     api.log('postBlockToPlatform: checking failure details');
-    if (jqxhr.status == 413 && data.length > 1) { // request entity too big
-      // but we can split the request and try again
-      var l = Math.floor(data.length / 2);
-      var d1 = data.slice(0, l);
-      var d2 = data.slice(l);
-      async.mapSeries([d1, d2], postBlockToPlatform, function (err, result) {
-        if (err) {
-          return callback(err, 0);
-        }
-        return callback(null, result[0] + result[1]);
-      });
-      return;
-    }
     if (jqxhr.responseJSON && jqxhr.responseJSON.errorCode && jqxhr.responseJSON.errorCode == 'duplicate') {
       api.log(jqxhr.responseJSON);
       callback('duplicate', jqxhr.responseJSON.index);
@@ -222,10 +253,249 @@ function postBlockToPlatform(data, groupId, blockIndex, callback) {
   });
 }
 
+function postBlockWithRetry(data, groupId, blockIndex, callback) {
+  var attempt = 0;
+
+  var post = function() {
+    postBlockToPlatform(data, groupId, blockIndex, function(err, result) {
+      if (err && isServerError(err) && attempt < api.upload.settings.maxRetries) {
+        var delay = retryDelay(attempt++);
+        api.log('postBlockToPlatform #' + blockIndex + ': retrying in', delay, 'ms');
+        return setTimeout(post, delay);
+      }
+      return callback(err, result);
+    });
+  };
+
+  post();
+}
+
+// Posts the records in `data` after the checkpoint, with up to
+// `settings.concurrency` blocks in flight, adapting the block size as it goes.
+// The checkpoint only moves past records the platform has accepted with no
+// gaps before them, so a retry never skips a block that was still in flight.
+function postBlocks(data, checkpoint, groupId, progress, token, cb) {
+  var settings = api.upload.settings;
+  var blockSize = settings.blockSize;
+  // the first record that hasn't been put in a block yet
+  var next = checkpoint.recordsSent;
+  // [start, end) ranges of records to send again in smaller blocks
+  var resend = [];
+  // [start, end) ranges of records the platform has accepted
+  var accepted = [];
+  var acceptedCount = checkpoint.recordsSent;
+  var results = [];
+  var inFlight = 0;
+  var blockIndex = 0;
+  var failure = null;
+  var finished = false;
+
+  var nextRange = function() {
+    if (!_.isEmpty(resend)) {
+      return resend.shift();
+    }
+    if (next >= data.length) {
+      return null;
+    }
+    var range = [next, Math.min(next + blockSize, data.length)];
+    next = range[1];
+    return range;
+  };
+
+  var split = function(range) {
+    var ranges = [];
+    for (var i = range[0]; i < range[1]; i += blockSize) {
+      ranges.push([i, Math.min(i + blockSize, range[1])]);
+    }
+    return ranges;
+  };
+
+  var contiguousEnd = function() {
+    return _.reduce(_.sortBy(accepted, 0), function(end, range) {
+      return range[0] <= end ? Math.max(end, range[1]) : end;
+    }, checkpoint.recordsSent);
+  };
+
+  var finish = function() {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    stopListening();
+    if (failure != null) {
+      return cb(failure);
+    }
+    return cb(null, results);
+  };
+
+  var schedule;
+
+  var stopListening = token ? token.onCancel(function() {
+    if (failure == null) {
+      failure = cancelToken.makeError('uploadData');
+    }
+  }) : _.noop;
+
+  var post = function(range) {
+    var size = range[1] - range[0];
+    inFlight++;
+    //off to the platfrom we go
+    postBlockWithRetry(data.slice(range[0], range[1]), groupId, ++blockIndex, function(err, result) {
+      inFlight--;
+      if (err) {
+        if (isTooBig(err) && size > settings.minBlockSize) {
+          blockSize = Math.max(settings.minBlockSize, Math.floor(size / 2));
+          api.log('block of', size, 'records was too big, trying blocks of', blockSize);
+          resend = split(range).concat(resend);
+        }
+        else if (failure == null) {
+          failure = err;
+        }
+        return schedule();
+      }
+      blockSize = Math.min(settings.maxBlockSize, blockSize * 2);
+      accepted.push(range);
+      acceptedCount += size;
+      results.push(result);
+      checkpoint.recordsSent = contiguousEnd();
+      api.upload.saveCheckpoint(checkpoint);
+      progress(acceptedCount * 100.0 / data.length);
+      return schedule();
+    });
+  };
+
+  schedule = function() {
+    var range;
+    // blocks can call back before `post` returns, so re-check everything each time
+    while (failure == null && !finished && inFlight < settings.concurrency &&
+           (range = nextRange()) != null) {
+      post(range);
+    }
+    if (inFlight === 0) {
+      finish();
+    }
+  };
+
+  progress(acceptedCount * 100.0 / data.length);
+  schedule();
+}
+
+// ----- Upload checkpoints -----
+// A checkpoint remembers how far an upload got, keyed by its `upid_` uploadId,
+// so that a failed upload can be retried without re-sending the blocks (or
+// re-posting the upload metadata) that the platform already accepted.
+
+var CHECKPOINTS = 'uploadCheckpoints';
+
+function getCheckpoints() {
+  return localStore.getItem(CHECKPOINTS) || {};
+}
+
+function saveCheckpoints(checkpoints) {
+  localStore.setItem(CHECKPOINTS, checkpoints);
+}
+
+// identifies a set of records well enough to tell whether a retry
+// is sending the same data as the attempt that left the checkpoint
+function fingerprint(data) {
+  return md5(JSON.stringify([data.length, _.first(data), _.last(data)]));
+}
+
+api.upload.getCheckpoint = function(deviceId, data) {
+  var print = fingerprint(data);
+  return _.find(getCheckpoints(), function(checkpoint) {
+    return checkpoint.deviceId === deviceId && checkpoint.fingerprint === print;
+  }) || null;
+};
+
+api.upload.saveCheckpoint = function(checkpoint) {
+  var checkpoints = getCheckpoints();
+  checkpoints[checkpoint.uploadId] = checkpoint;
+  saveCheckpoints(checkpoints);
+};
+
+api.upload.clearCheckpoints = function(deviceId) {
+  saveCheckpoints(_.omit(getCheckpoints(), function(checkpoint) {
+    return checkpoint.deviceId === deviceId;
+  }));
+};
+
+// the upload metadata for a session, as posted before its records
+api.upload.makeMetadata = function(sessionInfo, byUser) {
+  var uploadId = 'upid_' + md5(sessionInfo.deviceId + '_' + sessionInfo.start).slice(0, 12);
+  var now = new Date();
+
+  return builder.makeUpload()
+    // yes, I'm intentionally breaking up the new Date() I made and parsing
+    // it again with another new Date()...it's a moment limitation...
+    .with_computerTime(sundial.formatDeviceTime(new Date(Date.UTC(
+      now.getFullYear(), now.getMonth(), now.getDate(),
+      now.getHours(), now.getMinutes(), now.getSeconds()
+    ))))
+    .with_time(sessionInfo.start)
+    .with_timezone(sessionInfo.tzName)
+    .with_timezoneOffset(-new Date().getTimezoneOffset())
+    .with_conversionOffset(0)
+    .with_timeProcessing(sessionInfo.timeProcessing)
+    .with_version(sessionInfo.version)
+    .with_uploadId(uploadId)
+    .with_guid(uuid.v4())
+    .with_source(sessionInfo.source)
+    .with_byUser(byUser)
+    .with_deviceTags(sessionInfo.deviceTags)
+    .with_deviceManufacturers(sessionInfo.deviceManufacturers)
+    .with_deviceModel(sessionInfo.deviceModel)
+    .with_deviceSerialNumber(sessionInfo.deviceSerialNumber)
+    .with_deviceId(sessionInfo.deviceId)
+    .with_payload(sessionInfo.payload)
+    .done();
+};
+
+// the records as they're sent: tagged with their upload's id and a deterministic GUID
+function decorate(data, uploadItem) {
+  return _.map(dedupe.identify(data), function(item) {
+    return _.extend({}, item, {uploadId: uploadItem.uploadId});
+  });
+}
+
+// who dry runs are by when nobody's logged in
+var DRY_RUN_USER = 'dry-run';
+
+/*
+ * A stand-in for api.upload for dry runs: its toPlatform posts nothing, but
+ * collects the upload metadata and records that would have been sent,
+ * so they can be checked before they're committed to anyone's account
+ */
+api.upload.makeDryRun = function() {
+  var uploads = [];
+  return {
+    toPlatform: function(data, sessionInfo, progress, groupId, cb) {
+      var byUser = (tidepool && tidepool.getUserId()) || DRY_RUN_USER;
+      var uploadItem = api.upload.makeMetadata(sessionInfo, byUser);
+      api.log('dry run: not uploading', data.length, 'records for', sessionInfo.deviceId);
+      uploads.push({upload: uploadItem, records: decorate(data, uploadItem)});
+      progress(100);
+      return cb(null, data);
+    },
+    exported: function() {
+      return {uploads: uploads};
+    },
+    serialize: function() {
+      return JSON.stringify({uploads: uploads}, null, 2);
+    }
+  };
+};
+
 /*
  * process the data sending it to the platform in blocks and feed back progress to the calling function
+ *
+ * if a previous attempt to upload the same data from the same device failed part-way,
+ * the upload resumes from the first record that wasn't sent, under the original upload metadata
+ *
+ * if the optional cancel `token` is cancelled, no more blocks are posted and
+ * the upload fails once the blocks in flight return, leaving its checkpoint
  */
-api.upload.toPlatform = function(data, sessionInfo, progress, groupId, cb) {
+api.upload.toPlatform = function(data, sessionInfo, progress, groupId, cb, token) {
 
   api.log('attempting to upload', data.length, 'device data records');
   var grouped = _.groupBy(data, 'type');
@@ -233,67 +503,38 @@ api.upload.toPlatform = function(data, sessionInfo, progress, groupId, cb) {
     api.log(grouped[type].length, 'records of type', type);
   }
 
-
-  var blocks = [];
-  var BLOCKSIZE = 100;
-  var nblocks = 0;
-
-  var post_and_progress = function (data, callback) {
-    progress(nblocks++ * 100.0 / blocks.length);
-    //off to the platfrom we go
-    return postBlockToPlatform(data, groupId, nblocks, callback);
-  };
+  var checkpoint = api.upload.getCheckpoint(sessionInfo.deviceId, data);
 
   var post_upload_meta = function (uploadMeta, callback) {
-    return postBlockToPlatform(uploadMeta, groupId, 0, callback);
-  };
-
-  var decorate = function (data, uploadItem) {
-    var deviceRecords = _.map(data, function(item) {
-      return _.extend({}, item, {
-        uploadId: uploadItem.uploadId,
-        guid: uuid.v4()
-      });
-    });
-    return deviceRecords;
+    return postBlockWithRetry(uploadMeta, groupId, 0, callback);
   };
 
   async.waterfall([
     function(callback) {
+      if (checkpoint) {
+        api.log('resuming upload', checkpoint.uploadId, 'after', checkpoint.recordsSent, 'records');
+        return callback(null, checkpoint.uploadItem);
+      }
+
       //generate and post the upload metadata
-      var uploadId = 'upid_' + md5(sessionInfo.deviceId + '_' + sessionInfo.start).slice(0, 12);
-      var now = new Date();
-
-      var uploadItem = builder.makeUpload()
-        // yes, I'm intentionally breaking up the new Date() I made and parsing
-        // it again with another new Date()...it's a moment limitation...
-        .with_computerTime(sundial.formatDeviceTime(new Date(Date.UTC(
-          now.getFullYear(), now.getMonth(), now.getDate(),
-          now.getHours(), now.getMinutes(), now.getSeconds()
-        ))))
-        .with_time(sessionInfo.start)
-        .with_timezone(sessionInfo.tzName)
-        .with_timezoneOffset(-new Date().getTimezoneOffset())
-        .with_conversionOffset(0)
-        .with_timeProcessing(sessionInfo.timeProcessing)
-        .with_version(sessionInfo.version)
-        .with_uploadId(uploadId)
-        .with_guid(uuid.v4())
-        .with_source(sessionInfo.source)
-        .with_byUser(tidepool.getUserId())
-        .with_deviceTags(sessionInfo.deviceTags)
-        .with_deviceManufacturers(sessionInfo.deviceManufacturers)
-        .with_deviceModel(sessionInfo.deviceModel)
-        .with_deviceSerialNumber(sessionInfo.deviceSerialNumber)
-        .with_deviceId(sessionInfo.deviceId)
-        .with_payload(sessionInfo.payload)
-        .done();
+      var uploadItem = api.upload.makeMetadata(sessionInfo, tidepool.getUserId());
+      var uploadId = uploadItem.uploadId;
 
       api.log('saving upload metadata');
 
       post_upload_meta(uploadItem, function(err){
         if(_.isEmpty(err)){
           api.log('saved upload metadata');
+          // any older checkpoint for this device was for data we're no longer sending
+          api.upload.clearCheckpoints(sessionInfo.deviceId);
+          checkpoint = {
+            uploadId: uploadId,
+            deviceId: sessionInfo.deviceId,
+            fingerprint: fingerprint(data),
+            recordsSent: 0,
+            uploadItem: uploadItem
+          };
+          api.upload.saveCheckpoint(checkpoint);
           return callback(null, uploadItem);
         }
         api.log('error saving upload metadata ', err);
@@ -302,19 +543,16 @@ api.upload.toPlatform = function(data, sessionInfo, progress, groupId, cb) {
     },
     function(uploadItem, callback) {
       // decorate our data with the successfully posted upload metadata
-      // as well as a GUID and then save to the platform
+      // as well as a deterministic GUID and then save to the platform
       data =  decorate(data, uploadItem);
 
-      for (var i = 0; i < data.length; i += BLOCKSIZE) {
-        blocks.push(data.slice(i, i + BLOCKSIZE));
-      }
       api.log('start uploading the rest of the data');
-      //process then finalise, or if you want you can finalize :)
-      async.mapSeries(blocks, post_and_progress, callback);
+      postBlocks(data, checkpoint, groupId, progress, token, callback);
     }
   ], function (err, result) {
     if(_.isEmpty(err)){
       api.log('upload.toPlatform: all good');
+      api.upload.clearCheckpoints(sessionInfo.deviceId);
       return cb(null, result);
     }
     api.log('upload.toPlatform: failed ',err);
@@ -18,6 +18,7 @@
 var _ = require('lodash');
 
 var driverManager = require('../driverManager');
+var saveFile = require('./saveFile');
 var pwdSimulator = require('../carelink/carelinkSimulator.js');
 var carelinkDriver = require('../drivers/carelinkDriver');
 
@@ -34,8 +35,12 @@ carelink.init = function(options, cb) {
 carelink._createDriverManager = function(data, options) {
   options = options || {};
 
+  var api = this._api;
+  if (options.dryRun) {
+    api = _.assign({}, api, {upload: options.dryRun});
+  }
   var drivers = {
-    'Carelink': carelinkDriver(pwdSimulator, this._api)
+    'Carelink': carelinkDriver(pwdSimulator, api)
   };
   var configs = {
     'Carelink': {
@@ -50,13 +55,28 @@ carelink._createDriverManager = function(data, options) {
   return driverManager(drivers, configs);
 };
 
+// with `options.dryRun` nothing is uploaded: instead the records and the upload
+// metadata that would have been sent are saved to a file
+//
+// calls back with the records and the rows we couldn't read (see carelink/models.js)
 carelink.upload = function(data, options, cb) {
-  var dm = this._createDriverManager(data, options);
+  var dryRun = options.dryRun ? this._api.upload.makeDryRun() : null;
+  var dm = this._createDriverManager(data, _.assign({}, options, {dryRun: dryRun}));
   dm.process('Carelink', function(err, result) {
     if (err) {
       return cb(err);
     }
-    return cb(null, result.post_records);
+    if (!dryRun) {
+      return cb(null, result.post_records, result.unsupportedRows);
+    }
+    var suggestedName = 'CareLink-dry-run-' +
+      new Date().toISOString().replace(/[:.]/g, '-') + '.json';
+    saveFile(suggestedName, dryRun.serialize(), function(err) {
+      if (err) {
+        return cb(err);
+      }
+      return cb(null, result.post_records, result.unsupportedRows);
+    });
   });
 };
 
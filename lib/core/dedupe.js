@@ -0,0 +1,187 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+var md5 = require('blueimp-md5');
+// sometimes we load this into node and this routine behaves differently
+if (md5.md5) {
+  md5 = md5.md5;
+}
+var localStore = require('./localStore');
+
+// for tests and cli tools running in node
+if (typeof localStore === 'function') {
+  localStore = localStore({});
+}
+
+var HIGH_WATER_MARKS = 'highWaterMarks';
+
+// how much of a record's id is kept to remember that it was sent: 64 bits is
+// plenty to tell one device's records apart, and keeps the store small
+var SENT_ID_LENGTH = 16;
+
+// how far back from the high-water mark the ids of sent records are kept,
+// since devices add records with times before ones already sent, e.g.,
+// readings taken before their clock was put right; anything older is
+// taken to have been sent
+var SENT_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+// fields that are filled in during processing or upload, and so can differ
+// between two reads of the same record from a device
+var VOLATILE_FIELDS = [
+  'time',
+  'timezoneOffset',
+  'clockDriftOffset',
+  'conversionOffset',
+  'uploadId',
+  'guid',
+  'index',
+  'annotations',
+  'payload'
+];
+
+function sortKeys(value) {
+  if (_.isArray(value)) {
+    return _.map(value, sortKeys);
+  }
+  if (_.isPlainObject(value)) {
+    return _.reduce(_.keys(value).sort(), function(acc, key) {
+      acc[key] = sortKeys(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+function identityOf(record) {
+  return JSON.stringify(sortKeys(_.omit(record, VOLATILE_FIELDS)));
+}
+
+function formatId(identity) {
+  var hash = md5(identity);
+  return [
+    hash.slice(0, 8),
+    hash.slice(8, 12),
+    hash.slice(12, 16),
+    hash.slice(16, 20),
+    hash.slice(20)
+  ].join('-');
+}
+
+function sentKey(record) {
+  return record.guid.replace(/-/g, '').slice(0, SENT_ID_LENGTH);
+}
+
+// the record's time in ms, or null if it has none
+function timeOf(record) {
+  var time = Date.parse(record.time);
+  return isNaN(time) ? null : time;
+}
+
+var dedupe = {};
+
+// A deterministic identity for a record: a hash of its type, deviceId,
+// deviceTime and value fields, formatted like a UUID so it can be used as a guid.
+// `occurrence` tells apart records that are otherwise the same (see identify())
+dedupe.recordId = function(record, occurrence) {
+  var identity = identityOf(record);
+  if (occurrence) {
+    identity += '#' + occurrence;
+  }
+  return formatId(identity);
+};
+
+// Returns copies of the records with their record id as their `guid`, keeping
+// any guid they already have. Two identical readings at the same deviceTime are
+// both real, so the second one read is counted as a second occurrence of the first
+dedupe.identify = function(records) {
+  var seen = {};
+  return _.map(records, function(record) {
+    if (record.guid != null) {
+      return record;
+    }
+    var identity = identityOf(record);
+    var occurrence = seen[identity] || 0;
+    seen[identity] = occurrence + 1;
+    return _.assign({}, record, {guid: dedupe.recordId(record, occurrence)});
+  });
+};
+
+// marks are kept per device and per user uploaded to, so that a device
+// uploaded for one user still sends everything the first time it's uploaded for another
+function markKey(groupId, deviceId) {
+  return groupId + '|' + deviceId;
+}
+
+function getMarks() {
+  return localStore.getItem(HIGH_WATER_MARKS) || {};
+}
+
+// The high-water mark for a device is the time of the most recent record sent
+// from it, along with the (shortened) ids and times of the records sent within
+// `SENT_WINDOW` of that time
+dedupe.getHighWaterMark = function(groupId, deviceId) {
+  return getMarks()[markKey(groupId, deviceId)] || null;
+};
+
+// moves the device's high-water mark past the (identified) records just sent
+dedupe.markSent = function(groupId, deviceId, records) {
+  if (_.isEmpty(records)) {
+    return;
+  }
+  var mark = dedupe.getHighWaterMark(groupId, deviceId) || {time: null, sent: {}};
+  var latest = _.max(_.compact(_.map(records, timeOf)).concat(mark.time || 0));
+  var sent = _.assign({}, mark.sent);
+  _.each(records, function(record) {
+    // records without a time are remembered until the window passes the mark
+    sent[sentKey(record)] = timeOf(record) || latest;
+  });
+
+  var marks = getMarks();
+  marks[markKey(groupId, deviceId)] = {
+    time: latest,
+    sent: _.omit(sent, function(time) {
+      return time < latest - SENT_WINDOW;
+    })
+  };
+  localStore.setItem(HIGH_WATER_MARKS, marks);
+};
+
+dedupe.clearSent = function(groupId, deviceId) {
+  var marks = getMarks();
+  delete marks[markKey(groupId, deviceId)];
+  localStore.setItem(HIGH_WATER_MARKS, marks);
+};
+
+// returns only the (identified) records that haven't been sent from the device
+// to the user: those after its high-water mark, and those within `SENT_WINDOW`
+// of the mark that weren't sent
+dedupe.filterNew = function(groupId, deviceId, records) {
+  var mark = dedupe.getHighWaterMark(groupId, deviceId);
+  if (mark == null) {
+    return records;
+  }
+  return _.filter(records, function(record) {
+    var time = timeOf(record);
+    if (time && time < mark.time - SENT_WINDOW) {
+      return false;
+    }
+    return !_.has(mark.sent, sentKey(record));
+  });
+};
+
+module.exports = dedupe;
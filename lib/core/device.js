@@ -20,57 +20,60 @@
 var _ = require('lodash');
 var async = require('async');
 var getIn = require('./getIn');
+var dedupe = require('./dedupe');
+var outbox = require('./outbox');
 
 var serialDevice = require('../serialDevice');
 var hidDevice = require('../hidDevice');
+var trafficRecorder = require('../trafficRecorder');
+var saveFile = require('./saveFile');
 var driverManager = require('../driverManager');
 var builder = require('../objectBuilder')();
-
-var dexcomDriver = require('../drivers/dexcomDriver');
-var oneTouchMiniDriver = require('../drivers/oneTouchMiniDriver');
-var abbottFreeStyle = require('../drivers/abbottFreeStyle');
-var insuletOmniPod = require('../drivers/insuletDriver');
-var oneTouchUltra2 = require('../drivers/oneTouchUltra2');
-var bayerContourNext = require('../drivers/bayerContourNext');
+var driverRegistry = require('../drivers');
 
 var device = {
   log: require('../bows')('Device')
 };
 
-device._deviceDrivers = {
-  'DexcomG4': dexcomDriver,
-  'OneTouchMini': oneTouchMiniDriver,
-  'AbbottFreeStyle': abbottFreeStyle,
-  'InsuletOmniPod': insuletOmniPod,
-  'OneTouchUltra2': oneTouchUltra2,
-  'BayerContourNext': bayerContourNext,
-  'BayerContourNextUsb': bayerContourNext,
-  'BayerContourUsb': bayerContourNext
+// how to talk to a device in each driver `mode`
+var commsForMode = {
+  'serial': serialDevice,
+  'FTDI': serialDevice,
+  'HID': hidDevice
 };
 
-device._deviceComms = {
-  'DexcomG4': serialDevice,
-  'OneTouchMini': serialDevice,
-  'AbbottFreeStyle': serialDevice,
-  'OneTouchUltra2': serialDevice,
-  'BayerContourNext': hidDevice,
-  'BayerContourNextUsb': hidDevice,
-  'BayerContourUsb': hidDevice
-};
+device._deviceDrivers = {};
+device._deviceComms = {};
+_.forEach(driverRegistry.getAll(), function(descriptor) {
+  device._deviceDrivers[descriptor.driverId] = descriptor.driver;
+  if (commsForMode[descriptor.mode]) {
+    device._deviceComms[descriptor.driverId] = commsForMode[descriptor.mode];
+  }
+});
 
+// detection reuses one (silent) instance of the comms per driver, but
+// each upload gets its own so that uploads can run side by side
 device._silentComms = {};
 _.forEach(_.keys(device._deviceComms), function(driverId) {
-
-  var comm = device._deviceComms[driverId];
-  device._silentComms[driverId] = comm({silent: true});
-  device._deviceComms[driverId] = comm();
+  device._silentComms[driverId] = device._deviceComms[driverId]({silent: true});
 });
 
 // this is a cache for device information
 // we need it so that what we learn in detect()
 // can be used by process().
+// it's keyed by driverId and port, since several devices
+// that use the same driver can be connected at once
 device._deviceInfoCache = {};
 
+device._cacheKey = function(driverId, port) {
+  return port == null ? driverId : driverId + '|' + port;
+};
+
+// the driverId being uploaded with on each port that's in use; detect() leaves
+// these ports alone whichever driver is probing, since writing probe
+// commands to a port that's in use would upset the upload
+device._uploading = {};
+
 device.init = function(options, cb) {
   var self=this;
   self._defaultTimezone = options.defaultTimezone;
@@ -91,13 +94,8 @@ device.init = function(options, cb) {
 };
 
 device._getAllDriverManifests = function() {
-  var manifest = chrome.runtime.getManifest();
-
-  var usbDevicesPermission = _.find(manifest.permissions, function(permission) {
-    return permission.usbDevices;
-  });
-  return _.reduce(usbDevicesPermission.usbDevices, function(acc, usbDevice) {
-    acc[usbDevice.driverId] = usbDevice;
+  return _.reduce(driverRegistry.getAll(), function(acc, descriptor) {
+    acc[descriptor.driverId] = _.omit(descriptor, 'driver');
     return acc;
   }, {});
 };
@@ -137,39 +135,142 @@ device._createDriverManager = function(driverId, options) {
 device._createDriverConfig = function(driverId, options) {
   options = options || {};
   var timezone = options.timezone || this._defaultTimezone;
-  var comms = options.silent ? this._silentComms : this._deviceComms;
+  var comms = null;
+  if (options.silent) {
+    comms = this._silentComms[driverId];
+  }
+  else if (this._deviceComms[driverId]) {
+    comms = this._deviceComms[driverId]({recorder: options.recorder});
+  }
+  var deviceInfo = this._deviceInfoCache[this._cacheKey(driverId, options.port)];
   var theVersion = options.version || this._version;
   var uploadGroup = options.targetId || this._groupId;
+  var uploadApi = this._createUploadApi(options);
 
   // handle config for block-mode devices, which includes the file name and data
   if (options.filename != null) {
     return {
       filename: options.filename,
       filedata: options.filedata,
-      deviceInfo: this._deviceInfoCache[driverId],
+      deviceInfo: deviceInfo,
       timezone: timezone,
       groupId: uploadGroup,
-      api: this._api,
+      api: uploadApi,
       version: options.version,
       builder: builder,
       progress: options.progress,
+      cancelToken: options.cancelToken,
       silent: Boolean(options.silent)
     };
   }
 
   return {
-    deviceInfo: this._deviceInfoCache[driverId],
-    deviceComms: comms[driverId],
+    deviceInfo: deviceInfo,
+    deviceComms: comms,
     timezone: timezone,
     groupId: uploadGroup,
-    api: this._api,
+    api: uploadApi,
     version: options.version,
     builder: builder,
     progress: options.progress,
+    cancelToken: options.cancelToken,
+    resendAll: Boolean(options.resendAll),
+    dryRun: Boolean(options.dryRun),
+    // set the device's clock to the computer's, for drivers that can
+    setClock: Boolean(options.setClock),
     silent: Boolean(options.silent)
   };
 };
 
+// wraps the api so that drivers only send the records that haven't been sent
+// from the device to the same user before, unless `options.resendAll` is set, and so that
+// records that can't reach the platform are queued in the outbox instead of lost;
+// for dry runs the records go to `options.dryRun` instead
+device._createUploadApi = function(options) {
+  var self = this;
+  var api = this._api;
+  if (api == null) {
+    return api;
+  }
+
+  var toPlatform = function(data, sessionInfo, progress, groupId, cb) {
+    if (options.dryRun) {
+      var records = dedupe.identify(data);
+      if (!options.resendAll) {
+        records = dedupe.filterNew(groupId, sessionInfo.deviceId, records);
+      }
+      return options.dryRun.toPlatform(records, sessionInfo, progress, groupId, cb);
+    }
+    self._uploadNewRecords(data, sessionInfo, progress, groupId, options, function(err, result, records) {
+      if (!err || !outbox.isUnreachable(err)) {
+        return cb(err, result);
+      }
+      outbox.add({
+        records: records,
+        sessionInfo: sessionInfo,
+        groupId: groupId
+      }, function(queueErr, id) {
+        // if the records couldn't be saved for later, the upload has failed
+        if (queueErr) {
+          return cb(err, result);
+        }
+        if (options.onQueued) {
+          options.onQueued(id);
+        }
+        progress(100);
+        return cb(null, []);
+      });
+    });
+  };
+
+  return _.assign({}, api, {
+    upload: _.assign({}, api.upload, {toPlatform: toPlatform})
+  });
+};
+
+// calls back with `(err, result, records)`, where `records` are the
+// ones that were (or should have been) sent after deduplication
+device._uploadNewRecords = function(data, sessionInfo, progress, groupId, options, cb) {
+  var records = dedupe.identify(data);
+  if (!options.resendAll) {
+    records = dedupe.filterNew(groupId, sessionInfo.deviceId, records);
+    this.log('Skipping', data.length - records.length, 'records already uploaded from', sessionInfo.deviceId);
+  }
+  if (_.isEmpty(records)) {
+    progress(100);
+    return cb(null, [], records);
+  }
+  if (outbox.isOffline()) {
+    return cb(new Error('Offline'), null, records);
+  }
+  this._api.upload.toPlatform(records, sessionInfo, progress, groupId, function(err, result) {
+    if (err) {
+      return cb(err, result, records);
+    }
+    dedupe.markSent(groupId, sessionInfo.deviceId, records);
+    return cb(null, result, records);
+  }, options.cancelToken);
+};
+
+// sends any uploads queued while the platform was unreachable,
+// calling back with the ids of the queued uploads that were sent
+device.syncOutbox = function(cb) {
+  var self = this;
+  var upload = function(data, sessionInfo, progress, groupId, callback) {
+    self._uploadNewRecords(data, sessionInfo, progress, groupId, {}, callback);
+  };
+  outbox.sync(upload, cb);
+};
+
+device._portPattern = function(driverManifest) {
+  if (this._os == 'win') {
+    return driverManifest.winPortPattern;
+  }
+  return driverManifest.macPortPattern;
+};
+
+// calls back with every connected HID device matching the driver,
+// each with its HID `deviceId` as its `port`
 device.detectHid = function(driverId, cb) {
   var self = this;
   var driverManifest = this.getDriverManifest(driverId);
@@ -183,79 +284,57 @@ device.detectHid = function(driverId, cb) {
         driverId: driverId,
         deviceId: result.deviceId,
         vendorId: result.vendorId,
-        productId: result.productId
+        productId: result.productId,
+        port: String(result.deviceId)
       };
 
-      if (self._os == 'win') {
-        if (driverManifest.winPortPattern) {
-          retval.portPattern = driverManifest.winPortPattern;
-        }
-      } else {
-        if (driverManifest.macPortPattern) {
-          retval.portPattern = driverManifest.macPortPattern;
-        }
+      var portPattern = self._portPattern(driverManifest);
+      if (portPattern) {
+        retval.portPattern = portPattern;
       }
 
       return retval;
     });
 
-    var devdata = _.first(devices);
-
-    if (devices.length > 1) {
-      self.log('WARNING: More than one device found for "' + driverId + '"');
-      device.othersConnected = devices.length - 1;
-    }
-
-    return cb(null, devdata);
+    return cb(null, devices);
   });
 };
 
+// calls back with every serial port that could be the driver's device,
+// each with its path as its `port`
 device.detectUsb = function(driverId, cb) {
   var self = this;
   var driverManifest = this.getDriverManifest(driverId);
-  var identification = {
-    vendorId: driverManifest.vendorId,
-    productId: driverManifest.productId
-  };
   chrome.serial.getDevices(function(results) {
     self.log('Connected device(s): ');
     for(var i in results) {
         self.log(results[i].path);
     }
+    var portPattern = self._portPattern(driverManifest) || self._portpattern;
+    results = _.filter(results, function(result) {
+      return portPattern == null || result.path.match(portPattern);
+    });
     var devices = _.map(results, function(result) {
       var retval = {
         driverId: driverId,
         vendorId: driverManifest.vendorId,
         productId: driverManifest.productId,
-        portPattern: self._portpattern,
+        portPattern: portPattern,
+        port: result.path,
         usbDevice: result.device
       };
-      if (self._os == 'win') {
-        if (driverManifest.winPortPattern) {
-          retval.portPattern = driverManifest.winPortPattern;
-        }
-      } else {
-        if (driverManifest.macPortPattern) {
-          retval.portPattern = driverManifest.macPortPattern;
-        }
-      }
       if (!!driverManifest.bitrate) {
         retval.bitrate = driverManifest.bitrate;
       }
       return retval;
     });
 
-    var devdata = _.first(devices);
-
-    if (devices.length > 1) {
-      self.log('WARNING: More than one device found for "' + driverId + '"');
-      device.othersConnected = devices.length - 1;
-    }
-    return cb(null, devdata);
+    return cb(null, devices);
   });
 };
 
-
+// calls back with an array of every connected device the driver can talk to;
+// with `options.port` only the device on that port is looked for
 device.detect = function(driverId, options, cb) {
   var self = this;
   if (_.isFunction(options)) {
@@ -263,51 +342,51 @@ device.detect = function(driverId, options, cb) {
     options = { version: self._version };
   }
   var driverManifest = this.getDriverManifest(driverId);
+  // block-mode devices are read from files, so there's nothing to detect
+  if (driverManifest.mode === 'block') {
+    return cb(null, []);
+  }
+  var detectPorts = driverManifest.mode === 'HID' ? this.detectHid : this.detectUsb;
 
-  if(driverManifest.mode === 'HID'){
-      this.detectHid(driverId, function(err, devdata) {
-
-        if (err) {
-          return cb(err);
-        }
-
-        if (!devdata) {
-          return cb();
-        }
-
-        self._deviceInfoCache[driverId] = _.cloneDeep(devdata);
-        self.detectHelper(driverId, options, function(err, ftdiDevice) {
-
-          if (err) {
-            return cb(err);
-          }
-          device = _.assign(devdata, ftdiDevice);
-          return cb(null, devdata);
-        });
-      });
-
-  }else{
+  detectPorts.call(this, driverId, function(err, candidates) {
+    if (err) {
+      return cb(err);
+    }
 
-    this.detectUsb(driverId, function(err, devdata) {
+    if (options.port != null) {
+      candidates = _.filter(candidates, {port: options.port});
+    }
 
-      if (err) {
-        return cb(err);
+    // probe the candidates one at a time, since they share the driver's silent comms
+    async.mapSeries(candidates, function(devdata, callback) {
+      var cacheKey = self._cacheKey(driverId, devdata.port);
+      var uploadingWith = self._uploading[devdata.port];
+      if (uploadingWith === driverId) {
+        // it's still there, and still what we found before
+        return callback(null, _.assign(devdata, self._deviceInfoCache[cacheKey]));
       }
-
-      if (!devdata) {
-        return cb();
+      if (uploadingWith != null) {
+        // another driver's device is on this port
+        return callback(null, null);
       }
-
-      self._deviceInfoCache[driverId] = _.cloneDeep(devdata);
-      self.detectHelper(driverId, options, function(err, ftdiDevice) {
+      self._deviceInfoCache[cacheKey] = _.cloneDeep(devdata);
+      var probeOptions = _.assign({}, options, {port: devdata.port});
+      self.detectHelper(driverId, probeOptions, function(err, deviceInfo) {
         if (err) {
-          return cb(err);
+          // not the device we're looking for on this port
+          self.log('Nothing found for "' + driverId + '" on', devdata.port);
+          delete self._deviceInfoCache[cacheKey];
+          return callback(null, null);
         }
-        device = _.assign(devdata, ftdiDevice);
-        return cb(null, devdata);
+        return callback(null, _.assign(devdata, deviceInfo));
       });
+    }, function(err, devices) {
+      if (err) {
+        return cb(err);
+      }
+      return cb(null, _.filter(devices));
     });
-  }
+  });
 };
 
 device.detectAll = function(cb) {
@@ -315,19 +394,73 @@ device.detectAll = function(cb) {
     if (err) {
       return cb(err);
     }
-    // Filter out any nulls
-    results = _.filter(results);
-    cb(null, results);
+    cb(null, _.flatten(results));
   });
 };
 
+// a file name like 'DexcomG4-traffic-2015-06-01T12-00-00-000Z.json'
+device._fileName = function(driverId, kind) {
+  return driverId + '-' + kind + '-' +
+    new Date().toISOString().replace(/[:.]/g, '-') + '.json';
+};
+
+// by default only records that haven't been sent from the device to the same
+// user before are sent; set `options.resendAll` to send everything read from it
+// with `options.dryRun` nothing is uploaded: instead the records and the upload
+// metadata that would have been sent are saved to a file
+// calls back with `(err, records, queueId, details)`, where `queueId` is set if the
+// platform couldn't be reached and the records were queued in the outbox, and
+// `details` has the `clockDrift` measured from the device's clock, if the driver reads it
 device.upload = function(driverId, options, cb) {
+  var self = this;
+  var queueId = null;
+  var recorder = null;
+  var dryRun = options.dryRun ? this._api.upload.makeDryRun() : null;
+  var mode = this.getDriverManifest(driverId).mode;
+  // record everything sent to and from the device when debugging drivers
+  if (options.recordTraffic && mode !== 'block') {
+    recorder = trafficRecorder({mode: mode === 'HID' ? 'HID' : 'serial'});
+  }
+  options = _.assign({}, options, {
+    recorder: recorder,
+    dryRun: dryRun,
+    onQueued: function(id) {
+      queueId = id;
+    }
+  });
+  var port = options.port;
   var dm = this._createDriverManager(driverId, options);
+  if (port != null) {
+    this._uploading[port] = driverId;
+  }
   dm.process(driverId, function(err, result) {
-    if (err) {
-      return cb(err);
-    }
-    return cb(null, result.post_records);
+    delete self._uploading[port];
+    async.series([
+      function(callback) {
+        if (!recorder) {
+          return callback();
+        }
+        // not being able to save the capture doesn't fail the upload
+        saveFile(self._fileName(driverId, 'traffic'), recorder.serialize(), function(saveErr) {
+          if (saveErr) {
+            self.log(saveErr.message);
+          }
+          callback();
+        });
+      },
+      function(callback) {
+        if (err || !dryRun) {
+          return callback();
+        }
+        saveFile(self._fileName(driverId, 'dry-run'), dryRun.serialize(), callback);
+      }
+    ], function(saveErr) {
+      err = err || saveErr;
+      if (err) {
+        return cb(err);
+      }
+      return cb(null, result.post_records, queueId, {clockDrift: result.clockDrift});
+    });
   });
 };
 
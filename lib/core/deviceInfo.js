@@ -15,8 +15,12 @@
  * == BSD2 LICENSE ==
  */
 
-function infoBuilder(generalName, detailName) {
+var _ = require('lodash');
+var driverRegistry = require('../drivers');
+
+function infoBuilder(generalName, detailName, canSetClock) {
   return {
+    canSetClock: Boolean(canSetClock),
     getName: function(device) {
       return generalName;
     },
@@ -30,14 +34,8 @@ function infoBuilder(generalName, detailName) {
   };
 }
 
-module.exports = {
-  'DexcomG4': infoBuilder('Dexcom CGM', 'G4 Platinum or Share'),
-  'OneTouchMini': infoBuilder('OneTouch UltraMini', ''),
-  'AbbottFreeStyle': infoBuilder('Abbott FreeStyle Precision Xtra',
-                                 'Blood glucose and ketone meter'),
-  'InsuletOmniPod': infoBuilder('Insulet OmniPod', 'Upload .ibf file from PDM.'),
-  'OneTouchUltra2': infoBuilder('OneTouch Ultra2', ''),
-  'BayerContourNext': infoBuilder('Bayer Contour Next', 'Blood glucose meter'),
-  'BayerContourNextUsb': infoBuilder('Bayer Contour Next USB', 'Blood glucose meter'),
-  'BayerContourUsb': infoBuilder('Bayer Contour USB', 'Blood glucose meter')
-};
+module.exports = _.reduce(driverRegistry.getAll(), function(acc, descriptor) {
+  acc[descriptor.driverId] = infoBuilder(descriptor.deviceName, descriptor.detail || '',
+    descriptor.canSetClock);
+  return acc;
+}, {});
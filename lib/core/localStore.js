@@ -39,7 +39,11 @@ if (ourStore) {
   localStore.getInitialState = function() {
     return {
       authToken: null,
-      devices: null
+      devices: null,
+      dexcomPageMarks: null,
+      highWaterMarks: null,
+      uploadCheckpoints: null,
+      uploadOutbox: null
     };
   };
 }
@@ -57,8 +61,21 @@ if (!isBrowser && typeof chrome === 'undefined') {
       getItem: function(attr) {
         return store[attr];
       },
-      setItem: function(obj) {
-        store = _.assign(store, obj);
+      // accepts either `(key, value, cb)`, like the browser and chrome.storage
+      // versions, or an object of keys and values to merge in
+      setItem: function(key, value, cb) {
+        if (_.isString(key)) {
+          store[key] = value;
+        }
+        else {
+          store = _.assign(store, key);
+        }
+        if (_.isFunction(cb)) {
+          cb(null);
+        }
+      },
+      removeItem: function(key) {
+        delete store[key];
       }
     };
   };
@@ -0,0 +1,136 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+var async = require('async');
+var md5 = require('blueimp-md5');
+// sometimes we load this into node and this routine behaves differently
+if (md5.md5) {
+  md5 = md5.md5;
+}
+var localStore = require('./localStore');
+
+// for tests and cli tools running in node
+if (typeof localStore === 'function') {
+  localStore = localStore({});
+}
+
+var OUTBOX = 'uploadOutbox';
+
+// error codes for requests that never reached the platform
+var NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT'];
+
+function getEntries() {
+  return localStore.getItem(OUTBOX) || {};
+}
+
+function saveEntries(entries, cb) {
+  localStore.setItem(OUTBOX, entries, cb);
+}
+
+// The outbox holds processed device records that couldn't be sent because the
+// platform wasn't reachable, along with everything needed to send them later
+var outbox = {
+  log: require('../bows')('Outbox')
+};
+
+outbox.isOffline = function() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+};
+
+// true if `err` means the request never got an answer from the platform
+// (as opposed to the platform answering with an error)
+outbox.isUnreachable = function(err) {
+  if (outbox.isOffline()) {
+    return true;
+  }
+  if (!_.isObject(err)) {
+    return false;
+  }
+  // superagent flags requests that failed without a response in the browser
+  if (err.crossDomain || err.status === 0) {
+    return true;
+  }
+  return _.contains(NETWORK_ERROR_CODES, err.code);
+};
+
+// `entry` contains `records`, `sessionInfo` and `groupId`; calls back with
+// `(err, id)`, where `err` means the entry couldn't be saved and isn't queued
+outbox.add = function(entry, cb) {
+  var entries = _.clone(getEntries());
+  var id = 'outbox_' + md5(entry.sessionInfo.deviceId + '_' + entry.sessionInfo.start).slice(0, 12);
+  entries[id] = _.assign({}, entry, {
+    id: id,
+    deviceId: entry.sessionInfo.deviceId,
+    queuedAt: new Date().toISOString()
+  });
+  saveEntries(entries, function(err) {
+    if (err) {
+      outbox.log('Could not queue', entry.records.length, 'records from', entry.sessionInfo.deviceId, err);
+      return cb(err);
+    }
+    outbox.log('Queued', entry.records.length, 'records from', entry.sessionInfo.deviceId);
+    return cb(null, id);
+  });
+};
+
+outbox.list = function() {
+  return _.sortBy(_.values(getEntries()), 'queuedAt');
+};
+
+outbox.count = function() {
+  return _.size(getEntries());
+};
+
+outbox.remove = function(id) {
+  saveEntries(_.omit(getEntries(), id));
+};
+
+// Sends the queued entries, oldest first, with `upload`, which has the same
+// signature as `api.upload.toPlatform`. Entries that are sent are removed;
+// syncing stops at the first entry that can't reach the platform.
+// Calls back with the ids of the entries that were sent.
+outbox.sync = function(upload, cb) {
+  var sent = [];
+  var entries = outbox.list();
+  if (_.isEmpty(entries) || outbox.isOffline()) {
+    return cb(null, sent);
+  }
+
+  async.eachSeries(entries, function(entry, callback) {
+    upload(entry.records, entry.sessionInfo, _.noop, entry.groupId, function(err) {
+      if (err) {
+        if (outbox.isUnreachable(err)) {
+          return callback(err);
+        }
+        // the platform rejected it, so leave it queued but try the others
+        outbox.log('Could not send queued upload', entry.id, err);
+        return callback();
+      }
+      outbox.remove(entry.id);
+      sent.push(entry.id);
+      return callback();
+    });
+  }, function(err) {
+    if (err) {
+      outbox.log('Platform still unreachable,', outbox.count(), 'uploads queued');
+    }
+    return cb(null, sent);
+  });
+};
+
+module.exports = outbox;
@@ -0,0 +1,44 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global chrome */
+
+var log = require('../bows')('SaveFile');
+
+// Asks the user where to save `text` as a JSON file, suggesting `suggestedName`,
+// and saves it there. Calls back with an error if it couldn't be saved,
+// or with `(null, null)` if the user chose not to save it.
+module.exports = function(suggestedName, text, cb) {
+  chrome.fileSystem.chooseEntry({type: 'saveFile', suggestedName: suggestedName}, function(entry) {
+    if (chrome.runtime.lastError || !entry) {
+      log('Not saving', suggestedName);
+      return cb(null, null);
+    }
+    entry.createWriter(function(writer) {
+      writer.onwriteend = function() {
+        log('Saved', entry.name);
+        cb(null, entry.name);
+      };
+      writer.onerror = function(e) {
+        cb(new Error('Could not save ' + entry.name + ': ' + e));
+      };
+      writer.write(new Blob([text], {type: 'application/json'}));
+    }, function(err) {
+      cb(new Error('Could not save ' + entry.name + ': ' + err));
+    });
+  });
+};
@@ -13,10 +13,19 @@
 // not, you can obtain one from Tidepool Project at tidepool.org.
 // == BSD2 LICENSE ==
 
+/* global chrome */
 'use strict';
 
 var _ = require('lodash');
 
+// the error chrome.storage reports for the last call, if it failed
+function lastError() {
+  if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.lastError) {
+    return null;
+  }
+  return new Error(chrome.runtime.lastError.message);
+}
+
 /**
  * Create our the store we will be using
  *
@@ -41,7 +50,18 @@ module.exports = function (options) {
         cb(result);
       },
       getItem: options.ourStore.getItem.bind(options.ourStore),
-      setItem: options.ourStore.setItem.bind(options.ourStore),
+      // calls back with an error if the value couldn't be written,
+      // e.g. when the store is full
+      setItem: function(key, data, cb) {
+        cb = cb || _.noop;
+        try {
+          options.ourStore.setItem(key, data);
+        }
+        catch (err) {
+          return cb(err);
+        }
+        return cb(null);
+      },
       removeItem: options.ourStore.removeItem.bind(options.ourStore)
     };
   }
@@ -72,16 +92,25 @@ module.exports = function (options) {
       }
       return inMemoryStore[key];
     },
-    setItem:function(key,data){
-       if(_.isEmpty(key)){
-        inMemoryStore = _.assign(inMemoryStore, data);
-        options.ourStore.set(data);
-        return;
+    // calls back with an error if chrome.storage couldn't write the value,
+    // e.g. when it's over quota, in which case the old value is kept
+    setItem:function(key,data,cb){
+      cb = cb || _.noop;
+      var payload = data;
+      if(!_.isEmpty(key)){
+        payload = {};
+        payload[key] = data;
       }
-      inMemoryStore[key] = data;
-      var payload = {};
-      payload[key] = data;
-      options.ourStore.set(payload);
+      var previous = _.pick(inMemoryStore, _.keys(payload));
+      _.assign(inMemoryStore, payload);
+      options.ourStore.set(payload, function() {
+        var err = lastError();
+        if (err) {
+          inMemoryStore = _.assign(_.omit(inMemoryStore, _.keys(payload)), previous);
+          return cb(err);
+        }
+        return cb(null);
+      });
     },
     removeItem:function(key){
       delete inMemoryStore[key];
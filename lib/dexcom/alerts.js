@@ -0,0 +1,130 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+
+var sundial = require('sundial');
+var alarms = require('../alarms');
+var annotate = require('../eventAnnotations');
+
+// the G4 always alarms at or below 55 mg/dL, and again every 30 minutes
+// while it stays there, whatever the alert settings are
+var URGENT_LOW = {level: 55, snooze: 30 * sundial.MIN_TO_MSEC};
+
+// what each alert is in the shared alarm vocabulary
+var ALERTS = {
+  urgentLow: 'urgentLowGlucose',
+  low: 'lowGlucose',
+  high: 'highGlucose',
+  riseRate: 'risingGlucose',
+  fallRate: 'fallingGlucose',
+  outOfRange: 'signalLoss'
+};
+
+// readings further apart than this don't give a meaningful rate of change
+var MAX_RATE_GAP = 15 * sundial.MIN_TO_MSEC;
+
+/*
+ * Works out when the receiver's alerts went off.
+ *
+ * The G4 receiver doesn't keep a record of the alerts it raised, so we replay
+ * the EGV readings against the alert settings (the `settingChanges` from
+ * userSettingsChanges) that were in effect at the time of each reading.
+ * A low or high alert goes off when the reading crosses its level, and again
+ * each time its snooze runs out while the reading stays past the level.
+ * The rate alerts go off once each time the rate crosses their limit, and the
+ * out-of-range alert when the receiver goes longer than its time without a reading.
+ *
+ * With `opts.after` (a systemSeconds), only the alerts that went off after it are
+ * returned; the readings up to it were uploaded before, and are only replayed so
+ * that an alert that was already going off isn't raised again as if it were new.
+ *
+ * Returns (not yet done) builder objects with their `index` and `jsDate` set,
+ * annotated to say they're derived rather than reported by the receiver.
+ */
+module.exports = function(readings, settings, opts) {
+  readings = _.sortBy(readings || [], function(rec) { return rec.systemSeconds; });
+  settings = _.sortBy(settings || [], function(rec) { return rec.index; });
+
+  var raisedAlarms = [];
+  // when each alert last went off, for as long as its condition lasts
+  var raised = {};
+  var current = null, nextSetting = 0, previous = null;
+
+  function raise(alertType, systemSeconds, jsDate, internalTime, details) {
+    if (opts.after != null && systemSeconds <= opts.after) {
+      return;
+    }
+    var alarm = alarms.makeAlarm(opts.builder, ALERTS[alertType], alertType,
+        _.assign({internalTime: internalTime}, details))
+      .with_deviceTime(sundial.formatDeviceTime(jsDate))
+      .set('index', systemSeconds)
+      .set('jsDate', jsDate);
+    annotate.annotateEvent(alarm, 'dexcom/alarm/derived');
+    raisedAlarms.push(alarm);
+  }
+
+  function check(alertType, condition, snooze, reading, details) {
+    if (!condition) {
+      delete raised[alertType];
+      return;
+    }
+    var last = raised[alertType];
+    if (last == null || (snooze && 1000 * (reading.systemSeconds - last) >= snooze)) {
+      raise(alertType, reading.systemSeconds, reading.displayDate, reading.internalTime,
+        _.assign({value: reading.glucose, units: 'mg/dL'}, details));
+      raised[alertType] = reading.systemSeconds;
+    }
+  }
+
+  _.forEach(readings, function(reading) {
+    while (nextSetting < settings.length && settings[nextSetting].index <= reading.systemSeconds) {
+      current = settings[nextSetting++];
+    }
+
+    var gap = previous ? 1000 * (reading.systemSeconds - previous.systemSeconds) : null;
+
+    if (current && current.outOfRangeAlerts.enabled && gap > current.outOfRangeAlerts.snooze) {
+      var after = current.outOfRangeAlerts.snooze;
+      raise('outOfRange', previous.systemSeconds + after / 1000,
+        new Date(previous.displayDate.valueOf() + after), previous.internalTime, {duration: after});
+    }
+
+    check('urgentLow', reading.glucose <= URGENT_LOW.level, URGENT_LOW.snooze, reading,
+      {threshold: URGENT_LOW.level});
+
+    if (current) {
+      check('low', current.lowAlerts.enabled && reading.glucose <= current.lowAlerts.level,
+        current.lowAlerts.snooze, reading, {threshold: current.lowAlerts.level});
+      check('high', current.highAlerts.enabled && reading.glucose >= current.highAlerts.level,
+        current.highAlerts.snooze, reading, {threshold: current.highAlerts.level});
+
+      // in mg/dL per minute, like the settings
+      var rate = (previous && gap <= MAX_RATE_GAP) ?
+        (reading.glucose - previous.glucose) / (gap / sundial.MIN_TO_MSEC) : 0;
+      var rates = current.rateOfChangeAlerts;
+      check('riseRate', rates.riseRate.enabled && rate >= rates.riseRate.rate, null, reading,
+        {rate: rate, threshold: rates.riseRate.rate});
+      check('fallRate', rates.fallRate.enabled && rate <= -rates.fallRate.rate, null, reading,
+        {rate: rate, threshold: -rates.fallRate.rate});
+    }
+
+    previous = reading;
+  });
+
+  return raisedAlarms;
+};
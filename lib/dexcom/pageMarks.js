@@ -0,0 +1,94 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+var localStore = require('../core/localStore');
+
+// for tests and cli tools running in node
+if (typeof localStore === 'function') {
+  localStore = localStore({});
+}
+
+var PAGE_MARKS = 'dexcomPageMarks';
+
+var pageMarks = {};
+
+// marks are kept per receiver and per user uploaded to, so that a receiver
+// uploaded for one user still has all its pages read for another
+function markKey(groupId, deviceId) {
+  return groupId + '|' + deviceId;
+}
+
+// The page marks for a receiver are, for each record type, the number of the
+// last page in its last successful upload to the user and the systemSeconds of
+// the last record on that page, so the next upload only needs to read from that page on
+pageMarks.get = function(groupId, deviceId) {
+  var marks = localStore.getItem(PAGE_MARKS) || {};
+  return marks[markKey(groupId, deviceId)] || null;
+};
+
+// the mark for a record type from the pages read for it, or null if there weren't any
+pageMarks.fromPages = function(pages) {
+  if (_.isEmpty(pages)) {
+    return null;
+  }
+  var last = _.max(pages, function(page) { return page.header.pagenum; });
+  var seconds = _.pluck(last.data, 'systemSeconds');
+  return {
+    page: last.header.pagenum,
+    systemSeconds: _.isEmpty(seconds) ? null : _.max(seconds)
+  };
+};
+
+// true if `page` is still the page that `mark` was taken from; when a receiver
+// is reset its pages are numbered from the start again
+pageMarks.matches = function(mark, page) {
+  if (page == null || page.header.pagenum !== mark.page) {
+    return false;
+  }
+  if (mark.systemSeconds == null) {
+    return true;
+  }
+  return _.some(page.data, function(rec) {
+    return rec.systemSeconds >= mark.systemSeconds;
+  });
+};
+
+// the systemSeconds of the last record sent before, if `pages` were read from
+// `mark` on (so that only the records after it are new), or null if they weren't
+pageMarks.newAfter = function(mark, pages) {
+  if (mark == null || mark.systemSeconds == null || _.isEmpty(pages)) {
+    return null;
+  }
+  var first = _.min(pages, function(page) { return page.header.pagenum; });
+  return pageMarks.matches(mark, first) ? mark.systemSeconds : null;
+};
+
+pageMarks.update = function(groupId, deviceId, recordMarks) {
+  var marks = localStore.getItem(PAGE_MARKS) || {};
+  var key = markKey(groupId, deviceId);
+  marks[key] = _.assign({}, marks[key], _.omit(recordMarks, _.isNull));
+  localStore.setItem(PAGE_MARKS, marks);
+};
+
+pageMarks.clear = function(groupId, deviceId) {
+  var marks = localStore.getItem(PAGE_MARKS) || {};
+  delete marks[markKey(groupId, deviceId)];
+  localStore.setItem(PAGE_MARKS, marks);
+};
+
+module.exports = pageMarks;
@@ -0,0 +1,96 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+
+var sundial = require('sundial');
+
+// EGV values below this aren't glucose readings, but codes for why
+// the receiver couldn't make a reading
+var SPECIAL_VALUE_LIMIT = 13;
+
+// the codes, with what the receiver shows in place of a reading
+var SPECIAL_VALUES = {
+  1: { state: 'sensorNotActive', display: '?SN' },
+  2: { state: 'minimalDeviation', display: '???' },
+  3: { state: 'noAntenna', display: '?NA' },
+  5: { state: 'sensorNotCalibrated', display: '?NC' },
+  6: { state: 'countsDeviation', display: '???' },
+  9: { state: 'absoluteDeviation', display: '???' },
+  10: { state: 'powerDeviation', display: '?PD' },
+  12: { state: 'badRF', display: '?RF' }
+};
+
+function isSpecialValue(glucose) {
+  return glucose < SPECIAL_VALUE_LIMIT;
+}
+
+/*
+ * Turns the runs of special EGV values into sensor state deviceEvents.
+ *
+ * The receiver records a special value every five minutes for as long as the
+ * sensor is in that state, so each run of the same value becomes one event at
+ * the start of the run, lasting until the next reading that isn't that value.
+ *
+ * Returns (not yet done) builder objects with their `index` and `jsDate` set.
+ */
+module.exports = function(readings, opts) {
+  readings = _.sortBy(readings || [], function(rec) { return rec.systemSeconds; });
+
+  var states = [];
+  var run = null;
+
+  function endRun(endSeconds) {
+    if (run == null) {
+      return;
+    }
+    var code = run.start.glucose;
+    var special = SPECIAL_VALUES[code] || { state: 'unknown' };
+    var sensorState = opts.builder.makeDeviceEventSensorState()
+      .with_state(special.state)
+      .with_duration(1000 * (endSeconds - run.start.systemSeconds))
+      .with_deviceTime(sundial.formatDeviceTime(run.start.displayDate))
+      .with_payload({
+        code: code,
+        display: special.display,
+        internalTime: run.start.internalTime
+      })
+      .set('index', run.start.systemSeconds)
+      .set('jsDate', run.start.displayDate);
+    states.push(sensorState);
+    run = null;
+  }
+
+  _.forEach(readings, function(reading) {
+    if (run != null && reading.glucose !== run.start.glucose) {
+      endRun(reading.systemSeconds);
+    }
+    if (isSpecialValue(reading.glucose)) {
+      run = run || { start: reading };
+      run.last = reading;
+    }
+  });
+
+  // still in the state at the last reading
+  if (run != null) {
+    endRun(run.last.systemSeconds);
+  }
+
+  return states;
+};
+
+module.exports.isSpecialValue = isSpecialValue;
@@ -0,0 +1,103 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+
+var sundial = require('sundial');
+
+// the events a user can enter on the receiver
+var EVENT_TYPES = {
+  CARBS: { value: 1, name: 'carbs' },
+  INSULIN: { value: 2, name: 'insulin' },
+  HEALTH: { value: 3, name: 'health' },
+  EXERCISE: { value: 4, name: 'exercise' }
+};
+
+var HEALTH_SUBTYPES = {
+  1: 'illness',
+  2: 'stress',
+  3: 'highSymptoms',
+  4: 'lowSymptoms',
+  5: 'cycle',
+  6: 'alcohol'
+};
+
+var EXERCISE_SUBTYPES = {
+  1: 'light',
+  2: 'medium',
+  3: 'heavy'
+};
+
+/*
+ * Turns the parsed USER_EVENT_DATA records into (not yet done) builder objects.
+ *
+ * Like the setting changes, each has its `index` and `jsDate` set so the driver
+ * can fill in the UTC info once it has the TimezoneOffsetUtil.
+ */
+module.exports = function(events, opts) {
+  events = _.sortBy(events || [], function(rec) { return rec.systemSeconds; });
+
+  var records = [];
+
+  _.forEach(events, function(rec) {
+    var userEvent = {type: null};
+    var record;
+
+    if (rec.eventType === EVENT_TYPES.CARBS.value) {
+      userEvent.type = EVENT_TYPES.CARBS.name;
+      record = opts.builder.makeFood()
+        .with_carbs(rec.eventValue);
+    }
+    else if (rec.eventType === EVENT_TYPES.INSULIN.value) {
+      // the receiver stores insulin in hundredths of a unit
+      userEvent.type = EVENT_TYPES.INSULIN.name;
+      record = opts.builder.makeNormalBolus()
+        .with_normal(rec.eventValue / 100);
+    }
+    else if (rec.eventType === EVENT_TYPES.HEALTH.value) {
+      userEvent.type = EVENT_TYPES.HEALTH.name;
+      userEvent.subType = HEALTH_SUBTYPES[rec.eventSubType] || 'unknown';
+      record = opts.builder.makeNote()
+        .with_value(userEvent.subType);
+    }
+    else if (rec.eventType === EVENT_TYPES.EXERCISE.value) {
+      // the value of an exercise event is how long it lasted, in minutes
+      userEvent.type = EVENT_TYPES.EXERCISE.name;
+      userEvent.subType = EXERCISE_SUBTYPES[rec.eventSubType] || 'unknown';
+      userEvent.duration = rec.eventValue * sundial.MIN_TO_MSEC;
+      record = opts.builder.makeNote()
+        .with_value(EVENT_TYPES.EXERCISE.name);
+    }
+    else {
+      // not an event the receiver lets users enter, so we don't know what it means
+      return;
+    }
+
+    record = record
+      .with_deviceTime(rec.deviceTime)
+      .with_payload({
+        userEvent: userEvent,
+        internalTime: rec.internalTime
+      })
+      .set('index', rec.systemSeconds)
+      .set('jsDate', rec.jsDate);
+
+    records.push(record);
+  });
+
+  return records;
+};
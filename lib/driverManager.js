@@ -17,9 +17,11 @@
 
 /* global __DEBUG__ */
 
+var _ = require('lodash');
 var async = require('async');
+var cancelToken = require('./cancelToken.js');
 var statusManager = require('./statusManager.js');
-var debug = require('./bows')('DriverManager');
+var driverRegistry = require('./driverRegistry.js');
 
 var isChromeApp = (typeof chrome !== 'undefined');
 if (!isChromeApp) {
@@ -28,27 +30,18 @@ if (!isChromeApp) {
   /* jshint ignore:end */
 }
 
+// how long a cancelled step gets to stop talking to the device
+// and call back before it's abandoned anyway
+var CANCEL_TIMEOUT = 10000;
+
 module.exports = function (driverObjects, configs) {
   var drivers = {};
-  var required = [
-    'setup',
-    'connect',
-    'getConfigInfo',
-    'fetchData',
-    'processData',
-    'uploadData',
-    'disconnect',
-    'cleanup',
-  ];
+  // drivers are checked for these when they're registered
+  var required = driverRegistry.REQUIRED_STEPS;
   var noop = function() {};
 
   for (var d in driverObjects) {
     drivers[d] = driverObjects[d](configs[d]);
-    for (var i=0; i<required.length; ++i) {
-      if (typeof(drivers[d][required[i]]) != 'function') {
-        debug('!!!! Driver %s must implement %s', d, required[i]);
-      }
-    }
   }
 
   var createStat = function(driver) {
@@ -101,94 +94,96 @@ module.exports = function (driverObjects, configs) {
     },
 
     // note that this assumes driver info was set up
+    // if `configs[driver].cancelToken` is cancelled, the driver skips straight to
+    // `disconnect` and `cleanup` once the current step has called back: drivers
+    // check the token before each command they send, so the step stops soon, but
+    // it's abandoned if it hasn't called back after `configs[driver].cancelTimeout`
     process: function (driver, cb) {
       var deviceInfo = configs[driver].deviceInfo;
+      var token = configs[driver].cancelToken || cancelToken();
+      var cancelTimeout = configs[driver].cancelTimeout != null ?
+        configs[driver].cancelTimeout : CANCEL_TIMEOUT;
       var drvr = drivers[driver];
       var stat = createStat(driver);
+      // the data from the last step that completed, for disconnecting after a cancel
+      var lastData = {};
 
+      function runStep(index, data, next) {
+        var step = required[index];
+        var done = false;
+        var stopListening = _.noop;
+        var abandonTimer = null;
 
-      function connect(data, next){
-        try{
-          drvr.connect(stat.progressForStep(1), data, next);
-        } catch (connectError) {
-          connectError.step = 'connect';
-          return next(connectError);
-        }
-      }
-      function getConfigInfo(data, next){
-        try{
-          drvr.getConfigInfo(stat.progressForStep(2), data, next);
-        } catch (configError) {
-          configError.step = 'getConfigInfo';
-          return next(configError);
-        }
-      }
-      function fetchData(data, next){
-        try{
-          drvr.fetchData(stat.progressForStep(3), data, next);
-        } catch (fetchDataError) {
-          fetchDataError.step = 'fetchData';
-          return next(fetchDataError);
+        var finish = function(err, result) {
+          if (done) {
+            return;
+          }
+          done = true;
+          stopListening();
+          clearTimeout(abandonTimer);
+          if (!err && result != null) {
+            lastData = result;
+          }
+          if (token.isCancelled()) {
+            err = cancelToken.makeError(step);
+          }
+          next(err, result);
+        };
+
+        if (token.isCancelled()) {
+          return finish(cancelToken.makeError(step));
         }
-      }
-      function processData(data, next){
-        try{
-          drvr.processData(stat.progressForStep(4), data, next);
-        } catch (processDataError) {
-          processDataError.step = 'processData';
-          return next(processDataError);
+        stopListening = token.onCancel(function() {
+          abandonTimer = setTimeout(function() {
+            finish(cancelToken.makeError(step));
+          }, cancelTimeout);
+        });
+
+        var args = index === 0 ?
+          [deviceInfo, stat.progressForStep(index), finish] :
+          [stat.progressForStep(index), data, finish];
+
+        // no try/catch for local development is the easiest/only(?) way to get good stack traces!
+        if (__DEBUG__ === true) {
+          return drvr[step].apply(drvr, args);
         }
-      }
-      function uploadData(data, next){
-        try{
-          drvr.uploadData(stat.progressForStep(5), data, next);
-        } catch (uploadDataError) {
-          uploadDataError.step = 'uploadData';
-          return next(uploadDataError);
+        try {
+          drvr[step].apply(drvr, args);
+        } catch (stepError) {
+          stepError.step = step;
+          return finish(stepError);
         }
       }
-      function disconnect(data, next){
-        try{
-          drvr.disconnect(stat.progressForStep(6), data, next);
-        } catch (disconnectError) {
-          disconnectError.step = 'disconnect';
-          return next(disconnectError);
+
+      var steps = _.map(_.range(required.indexOf('cleanup')), function(index) {
+        if (index === 0) {
+          return runStep.bind(null, index, null);
         }
-      }
+        return function(data, next) {
+          runStep(index, data, next);
+        };
+      });
 
-      // no try/catch for local development is the easiest/only(?) way to get good stack traces!
-      if (__DEBUG__ === true) {
-        async.waterfall([
-          drvr.setup.bind(drvr, deviceInfo, stat.progressForStep(0)),
-          drvr.connect.bind(drvr, stat.progressForStep(1)),
-          drvr.getConfigInfo.bind(drvr, stat.progressForStep(2)),
-          drvr.fetchData.bind(drvr, stat.progressForStep(3)),
-          drvr.processData.bind(drvr, stat.progressForStep(4)),
-          drvr.uploadData.bind(drvr, stat.progressForStep(5)),
-          drvr.disconnect.bind(drvr, stat.progressForStep(6))
-        ], function(err, result) {
-          result = result || {};
-          drvr.cleanup(stat.progressForStep(7), result, function() {
-            cb(err, result);
-          });
-        });
-      }
-      else {
-        async.waterfall([
-          drvr.setup.bind(drvr, deviceInfo, stat.progressForStep(0)),
-          connect,
-          getConfigInfo,
-          fetchData,
-          processData,
-          uploadData,
-          disconnect
-        ], function(err, result) {
+      async.waterfall(steps, function(err, result) {
+        var cleanup = function(result) {
           result = result || {};
           drvr.cleanup(stat.progressForStep(7), result, function() {
             cb(err, result);
           });
-        });
-      }
+        };
+
+        // a cancelled upload still has to let go of the device
+        if (cancelToken.isCancelError(err) && err.step !== 'disconnect') {
+          try {
+            return drvr.disconnect(stat.progressForStep(6), lastData, function(disconnectErr, result) {
+              cleanup(result || lastData);
+            });
+          } catch (disconnectError) {
+            return cleanup(lastData);
+          }
+        }
+        cleanup(result);
+      });
     }
   };
 };
@@ -0,0 +1,159 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+var util = require('util');
+
+// the steps driverManager calls, in order
+var REQUIRED_STEPS = [
+  'setup',
+  'connect',
+  'getConfigInfo',
+  'fetchData',
+  'processData',
+  'uploadData',
+  'disconnect',
+  'cleanup'
+];
+
+// how the uploader talks to a device: `serial` and `FTDI` devices go through
+// serialDevice, `HID` devices through hidDevice, and `block` devices are
+// read from a file the user picks
+var MODES = ['serial', 'FTDI', 'HID', 'block'];
+
+// drivers are instantiated with this at registration to check their steps
+var PROBE_CONFIG = {
+  timezone: 'UTC',
+  deviceComms: {},
+  silent: true
+};
+
+/**
+ * Each driver module exports its factory, with a `descriptors` array
+ * describing each device the driver handles:
+ *
+ * @param {String}   descriptor.driverId
+ * @param {String}   descriptor.key the upload key stored with a user's chosen devices
+ * @param {String}   descriptor.name shown when choosing devices
+ * @param {String}   descriptor.deviceName shown in the upload list
+ * @param {String}   descriptor.detail shown under the device name in the upload list
+ * @param {String}   descriptor.mode one of `MODES`
+ * @param {Number}   descriptor.vendorId USB vendor id
+ * @param {Number}   descriptor.productId USB product id
+ * @param {Number}   [descriptor.bitrate] for serial devices
+ * @param {String}   [descriptor.macPortPattern]
+ * @param {String}   [descriptor.winPortPattern]
+ * @param {Number}   [descriptor.sendTimeout]
+ * @param {String}   [descriptor.extension] file extension, for block mode devices
+ * @param {Object}   [descriptor.cbgRange] `{low, high}` in mg/dL, for CGMs that show readings outside it as LO or HI
+ * @param {Array}    descriptor.dataTypes the types of data the driver produces
+ * @param {Boolean}  [descriptor.canSetClock] true if the driver can set the device's clock (`setClock` in its config)
+ * @param {Boolean}  [descriptor.hidden] true to leave it out of device selection
+ */
+module.exports = function() {
+  var descriptors = {};
+  var driverIds = [];
+
+  function fail() {
+    throw new Error(util.format.apply(util, arguments));
+  }
+
+  function validate(descriptor, driver) {
+    var driverId = descriptor.driverId;
+    if (!_.isString(driverId) || _.isEmpty(driverId)) {
+      fail('Driver descriptor must have a `driverId`');
+    }
+    if (descriptors[driverId]) {
+      fail('Driver "%s" is already registered', driverId);
+    }
+    _.forEach(['key', 'name', 'deviceName'], function(field) {
+      if (!_.isString(descriptor[field])) {
+        fail('Driver "%s" must have a `%s`', driverId, field);
+      }
+    });
+    if (!_.contains(MODES, descriptor.mode)) {
+      fail('Driver "%s" has unknown mode "%s"', driverId, descriptor.mode);
+    }
+    if (!_.isNumber(descriptor.vendorId) || !_.isNumber(descriptor.productId)) {
+      fail('Driver "%s" must have a USB `vendorId` and `productId`', driverId);
+    }
+    if (descriptor.mode === 'block' && !_.isString(descriptor.extension)) {
+      fail('Driver "%s" is block mode so must have a file `extension`', driverId);
+    }
+    if (!_.isArray(descriptor.dataTypes) || _.isEmpty(descriptor.dataTypes)) {
+      fail('Driver "%s" must list its `dataTypes`', driverId);
+    }
+
+    var instance = driver(_.clone(PROBE_CONFIG));
+    var missing = _.reject(REQUIRED_STEPS, function(step) {
+      return _.isFunction(instance[step]);
+    });
+    if (!_.isEmpty(missing)) {
+      fail('Driver "%s" must implement %s', driverId, missing.join(', '));
+    }
+  }
+
+  return {
+    REQUIRED_STEPS: REQUIRED_STEPS,
+
+    // registers every device described by a driver module's `descriptors`
+    register: function(driver) {
+      if (!_.isFunction(driver)) {
+        fail('A driver must be a function that takes a config');
+      }
+      if (_.isEmpty(driver.descriptors)) {
+        fail('A driver must export its `descriptors`');
+      }
+      _.forEach(driver.descriptors, function(descriptor) {
+        validate(descriptor, driver);
+        descriptors[descriptor.driverId] = _.assign({}, descriptor, {driver: driver});
+        driverIds.push(descriptor.driverId);
+      });
+      return this;
+    },
+
+    get: function(driverId) {
+      var descriptor = descriptors[driverId];
+      if (!descriptor) {
+        fail('Could not find driver "%s"', driverId);
+      }
+      return descriptor;
+    },
+
+    has: function(driverId) {
+      return descriptors[driverId] != null;
+    },
+
+    // in the order they were registered
+    getDriverIds: function() {
+      return _.clone(driverIds);
+    },
+
+    getAll: function() {
+      return _.map(driverIds, function(driverId) {
+        return descriptors[driverId];
+      });
+    },
+
+    getDriver: function(driverId) {
+      return this.get(driverId).driver;
+    }
+  };
+};
+
+module.exports.REQUIRED_STEPS = REQUIRED_STEPS;
+module.exports.MODES = MODES;
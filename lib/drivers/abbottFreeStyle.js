@@ -22,6 +22,12 @@ var struct = require('../struct.js')();
 var annotate = require('../eventAnnotations');
 
 var TZOUtil = require('../TimezoneOffsetUtil');
+var clockDrift = require('../clockDrift');
+var cancelToken = require('../cancelToken');
+var models = require('../abbott/models');
+var insulinx = require('../abbott/insulinx');
+
+var debug = require('../bows')('FreeStyleDriver');
 
 module.exports = function (config) {
   var cfg = _.clone(config);
@@ -36,22 +42,39 @@ module.exports = function (config) {
   var CR = 0x0D;
   var LF = 0x0A;
 
+  // how we talk to the meter, which depends on its cable; see setup
+  var protocol = null;
+
   var dateTimePattern = '([A-Za-z ]{4} [0-3][0-9] [0-9]{4} ' +
                         '[012][0-9]:[0-5][0-9](?::[0-6][0-9])?)';
+  function parseDate(text) {
+    return sundial.parseFromFormat(text, 'MMMM DD YYYY HH:mm:ss');
+  }
+
   function parseDateTime(match, index) {
-    var fmt = 'MMMM DD YYYY HH:mm:ss';
-    var parsed = sundial.parseFromFormat(match[index], fmt);
+    return dateTimeInfo(parseDate(match[index]));
+  }
+
+  function dateTimeInfo(parsed) {
     var dev = sundial.formatDeviceTime(parsed);
     var utcInfo = cfg.tzoUtil.lookup(parsed);
     return {
+      jsDate: parsed,
       dev: dev,
       utc: utcInfo.time,
       timezoneOffset: utcInfo.timezoneOffset,
+      clockDriftOffset: utcInfo.clockDriftOffset,
       conversionOffset: utcInfo.conversionOffset
     };
   }
 
+  // `fields` is what follows the date and time, see models.js
+  function logEntryPattern(fields) {
+    return '^([0-9HL][0-9OI][0-9 ])  ' + dateTimePattern + ' ' + fields + '$';
+  }
+
   var patterns = {
+    // any of the FreeStyle meters' serial numbers
     serialNumber: {
       pattern: '^(?:[A-Z]-....-.....|[A-Z][A-Z][A-Z]....-.....|[XC][A-Z][GM]........)$',
       handler: function(match, packet) {
@@ -70,6 +93,7 @@ module.exports = function (config) {
         var times = parseDateTime(match, 1);
         packet.deviceTime = times.dev;
         packet.time = times.utc;
+        packet.clockDrift = clockDrift.measure(times.jsDate, cfg.timezone);
       }
     },
     numEntries: {
@@ -106,14 +130,15 @@ module.exports = function (config) {
       }
     },
     logEntry: {
-      pattern: '^([0-9HL][0-9OI][0-9 ])  ' + dateTimePattern + ' ([KG]) (0x[0-9A-Fa-f][0-9A-Fa-f])$',
+      // set for the meter's cable in setup
+      pattern: null,
       handler: function(match, packet) {
         var entry = {};
         var reading = match[1];
 
         var testType = match[4]; // Bit 0: Control, Bit 1: Lost time
         if(testType[3] === '1') { // TODO: data model for control test
-          console.log('Marking as control test');
+          debug('Marking as control test');
           entry.control = true;
         }else{
           entry.control = false;
@@ -126,34 +151,17 @@ module.exports = function (config) {
           entry.readingType = 'glucose';
         }
 
+        // the value depends on the meter's range, see prepBGData
         if (reading == 'HI ') {
-          if (readingType === 'K') {
-            entry.reading = 180;  // this is a high of 10.0
-            entry.annotations = [
-              {code: 'ketone/out-of-range', value: 'high'},
-              {code: 'ketone/unknown-value'}
-            ];
-          } else {
-            entry.reading = 501;
-            entry.annotations = [{
-              code: 'bg/out-of-range',
-              value: 'high',
-              threshold: 500
-            }];
-          }
+          entry.outOfRange = 'high';
         } else if (reading == 'LO ') {
-          // ketones can not be low
-          entry.reading = 19;
-          entry.annotations = [{
-            code: 'bg/out-of-range',
-            value: 'low',
-            threshold: 20
-          }];
+          entry.outOfRange = 'low';
         } else {
           entry.reading = parseInt(reading, 10);
         }
 
-        entry.datetime = parseDateTime(match, 2);
+        // the UTC info is filled in once we know the meter's clock drift
+        entry.jsDate = parseDate(match[2]);
         entry.status = parseInt(match[4], 16);   // this is in hex
         packet.logEntries.push(entry);
       }
@@ -250,7 +258,7 @@ module.exports = function (config) {
       }
       if (bytes[endLine + 1] != LF) {
         // something borked, we should discard the packet
-        console.log('hmmm...bad packet with CR but not LF', bytes);
+        debug('hmmm...bad packet with CR but not LF', bytes);
         packet.packet_len = endLine;
         return packet;
       }
@@ -280,18 +288,18 @@ module.exports = function (config) {
         }
       });
       if (!found && line !== '') {
-        console.log('No pattern match found for "' + line + '"');
+        debug('No pattern match found for "' + line + '"');
       }
     });
 
     // now let's validate it
     packet.valid = true;
     if (packet.receivedChecksum && packet.receivedChecksum != packet.calculatedChecksum) {
-      console.log('Failed checksum! rcv: ', packet.receivedChecksum, ' calc: ', packet.calculatedChecksum);
+      debug('Failed checksum! rcv: ', packet.receivedChecksum, ' calc: ', packet.calculatedChecksum);
       packet.valid = false;
     }
     if (packet.numEntries && packet.logEntries.length !== packet.numEntries) {
-      console.log('Entry count failure! num: ', packet.numEntries, ' found: ', packet.logEntries.length);
+      debug('Entry count failure! num: ', packet.numEntries, ' found: ', packet.logEntries.length);
       packet.valid = false;
     }
     if (packet.fail) {
@@ -346,7 +354,7 @@ module.exports = function (config) {
   var listenForPacket = function (timeout, parser, callback) {
     var abortTimer = setTimeout(function () {
       clearInterval(listenTimer);
-      console.log('TIMEOUT');
+      debug('TIMEOUT');
       callback('TIMEOUT', null);
     }, timeout);
 
@@ -366,6 +374,10 @@ module.exports = function (config) {
   // this sends a command, then waits for an ack and a response packet,
   // then calls the callback with the response packet
   var freeStyleCommandResponse = function (commandpacket, callback) {
+    // once the upload's been cancelled, send the meter nothing more
+    if (cancelToken.isCancelled(cfg.cancelToken)) {
+      return callback(cancelToken.makeError());
+    }
     serialDevice.writeSerial(commandpacket.packet, function (err) {
       if (err) {
         callback(err, null);
@@ -383,50 +395,59 @@ module.exports = function (config) {
     });
   };
 
-  var xtest = function() {
+  // the commands for each cable are in models.js
+  var textCommand = function(text) {
     return {
-      packet: struct.packString('$xlog,1\r\n'),
+      packet: struct.packString(text + '\r\n'),
       parser: function (result) {
         return result;
       }
     };
   };
 
-  var xGetData = function() {
-    return {
-      packet: struct.packString('$xmem\r\n'),
-      parser: function (result) {
-        return result;
-      }
-    };
+  // fills in which meter it is from its serial number
+  var identify = function (obj, cb) {
+    var meter = models.identify(cfg.driverId, obj.serialNumber);
+    if (meter == null) {
+      meter = models.defaultFor(cfg.driverId);
+      debug('Unrecognized serial number', obj.serialNumber, 'so reading it as a', meter.name);
+    }
+    // the UTC info of the log entries comes from this, so it has the meter's clock drift
+    if (obj.clockDrift) {
+      cfg.tzoUtil = new TZOUtil(cfg.timezone, new Date().toISOString(), [],
+        obj.clockDrift.clockDriftOffset);
+    }
+    obj.model = meter.model;
+    obj.id = obj.model + ' ' + obj.serialNumber;
+    cb(null, obj);
   };
 
   var getSerialNumber = function (obj, cb) {
-    var cmd = xtest();
+    var cmd = textCommand(protocol.id);
     freeStyleCommandResponse(cmd, function (err, result) {
       if (err) {
-        console.log('Failure trying to talk to device.');
-        console.log(err);
-        console.log(result);
+        debug('Failure trying to talk to device.');
+        debug(err);
+        debug(result);
         cb(err, null);
       } else {
-        _.assign(obj, _.pick(result, 'serialNumber', 'softwareVersion', 'deviceTime'));
-        // we should add a serial number identification routine
-        // that returns a better model ID (when we generalize this driver)
-        obj.model = 'AbbFreePrecXtra';
-        obj.id = obj.model + ' ' + obj.serialNumber;
-        cb(null, obj);
+        _.assign(obj, _.pick(result, 'serialNumber', 'softwareVersion', 'deviceTime', 'clockDrift'));
+        // the Lite meters identify themselves with their whole log, so keep it
+        if (protocol.id === protocol.log) {
+          _.assign(obj, _.pick(result, 'logEntries', 'numEntries'));
+        }
+        identify(obj, cb);
       }
     });
   };
 
   var getAllData = function (obj, cb) {
-    var cmd = xGetData();
+    var cmd = textCommand(protocol.log);
     freeStyleCommandResponse(cmd, function (err, result) {
       if (err) {
-        console.log('Failure trying to talk to device.');
-        console.log(err);
-        console.log(result);
+        debug('Failure trying to talk to device.');
+        debug(err);
+        debug(result);
         cb(err, null);
       } else {
         _.assign(obj, result);
@@ -435,55 +456,228 @@ module.exports = function (config) {
     });
   };
 
+  // the InsuLinx's replies come in HID reports, see insulinx.js
+  var insulinxPacketHandler = function (buffer) {
+    if (buffer.len() < insulinx.REPORT_SIZE) {
+      return false;
+    }
+    var report = insulinx.readReport(buffer.bytes());
+    buffer.discard(insulinx.REPORT_SIZE);
+    return report;
+  };
+
+  // sends a report to the InsuLinx, then calls back with its replies of
+  // `replyType`, once `isComplete(replies)` says that's all of them
+  var insulinxCommandResponse = function (report, replyType, isComplete, callback) {
+    // once the upload's been cancelled, send the meter nothing more
+    if (cancelToken.isCancelled(cfg.cancelToken)) {
+      return callback(cancelToken.makeError());
+    }
+    var replies = [];
+    var finished = false;
+    var abortTimer = null;
+    var finish = function (err, result) {
+      if (!finished) {
+        finished = true;
+        clearTimeout(abortTimer);
+        callback(err, result);
+      }
+    };
+    abortTimer = setTimeout(function () {
+      debug('TIMEOUT');
+      finish('TIMEOUT', null);
+    }, 10000);
+
+    var receiveReplies = function () {
+      cfg.deviceComms.receive(function (raw) {
+        if (finished) {
+          return;
+        }
+        if (raw instanceof Error) {
+          return finish(raw, null);
+        }
+        while (cfg.deviceComms.hasAvailablePacket()) {
+          var reply = cfg.deviceComms.nextPacket();
+          // the meter sends these while it's busy
+          if (reply.type === insulinx.MESSAGE_TYPES.KEEP_ALIVE) {
+            continue;
+          }
+          if (reply.type !== replyType) {
+            return finish(new Error('Unexpected reply of type ' + reply.type + ' from the meter'), null);
+          }
+          replies.push(reply);
+        }
+        if (isComplete(replies)) {
+          return finish(null, replies);
+        }
+        receiveReplies();
+      });
+    };
+
+    cfg.deviceComms.send(report.buffer, function (err) {
+      if (err) {
+        return finish(err, null);
+      }
+      receiveReplies();
+    });
+  };
+
+  // calls back with the reply to a text command, checked
+  var insulinxText = function (command, cb) {
+    var textOf = function (replies) {
+      return _.pluck(replies, 'content').join('');
+    };
+    var isComplete = function (replies) {
+      return insulinx.isComplete(textOf(replies));
+    };
+    var report = insulinx.buildCommand(command);
+    insulinxCommandResponse(report, insulinx.MESSAGE_TYPES.TEXT, isComplete, function (err, replies) {
+      if (err) {
+        return cb(err, null);
+      }
+      var reply = insulinx.parseReply(textOf(replies));
+      if (reply.error) {
+        return cb(new Error(reply.error), null);
+      }
+      cb(null, reply.message);
+    });
+  };
+
+  var insulinxProbe = function (cb) {
+    var report = insulinx.buildReport(insulinx.MESSAGE_TYPES.INIT);
+    insulinxCommandResponse(report, insulinx.MESSAGE_TYPES.INIT_REPLY, function (replies) {
+      return replies.length > 0;
+    }, cb);
+  };
+
+  var getInsulinxInfo = function (obj, cb) {
+    async.mapSeries(['$serlnum?', '$swver?', '$date?', '$time?'], insulinxText, function (err, replies) {
+      if (err) {
+        debug('Failure trying to talk to device.');
+        debug(err);
+        return cb(err, null);
+      }
+      obj.serialNumber = replies[0].trim();
+      obj.softwareVersion = replies[1].trim();
+      var clock = insulinx.parseClock(replies[2], replies[3]);
+      obj.deviceTime = sundial.formatDeviceTime(clock);
+      obj.clockDrift = clockDrift.measure(clock, cfg.timezone);
+      identify(obj, cb);
+    });
+  };
+
+  var getInsulinxData = function (obj, cb) {
+    insulinxText('$result?', function (err, message) {
+      if (err) {
+        debug('Failure trying to talk to device.');
+        debug(err);
+        return cb(err, null);
+      }
+      var records = insulinx.parseRecords(message);
+      if (records == null) {
+        return cb(new Error('Invalid records from the meter'), null);
+      }
+      // it also records insulin doses and other events, which we don't read yet
+      obj.logEntries = _.compact(_.map(records, function (record) {
+        var reading = insulinx.parseReading(record);
+        if (reading == null) {
+          return null;
+        }
+        return {readingType: 'glucose', reading: reading.value, jsDate: reading.jsDate, control: false};
+      }));
+      obj.numEntries = obj.logEntries.length;
+      cb(null, obj);
+    });
+  };
+
+  // a glucose reading logged as HI or LO is just past the meter's range
+  function glucoseValue(datum, range) {
+    if (datum.outOfRange === 'high') {
+      return range.high + 1;
+    }
+    if (datum.outOfRange === 'low') {
+      return range.low - 1;
+    }
+    return datum.reading;
+  }
+
+  function glucoseAnnotations(datum, range) {
+    if (datum.outOfRange == null) {
+      return [];
+    }
+    return [{
+      code: 'bg/out-of-range',
+      value: datum.outOfRange,
+      threshold: range[datum.outOfRange]
+    }];
+  }
+
+  // we don't know how high a HI ketone reading was, so it's given as the top of the range
+  function ketoneValue(datum, range) {
+    if (datum.outOfRange === 'high') {
+      return range.high;
+    }
+    // These meters store ketone values as 18 * the mmol/L value of the ketones
+    // Because this is specific to these devices, we convert to mmol/L
+    // in the driver, rounded to 2 decimal places.
+    return Math.round(100 * datum.reading / range.scale) / 100.0;
+  }
+
+  function ketoneAnnotations(datum, range) {
+    if (datum.outOfRange !== 'high') {
+      return [];
+    }
+    return [
+      {code: 'ketone/out-of-range', value: 'high', threshold: range.high},
+      {code: 'ketone/unknown-value'}
+    ];
+  }
+
   var prepBGData = function (progress, data) {
     cfg.builder.setDefaults({ deviceId: data.id });
+    var meter = models.find(data.model);
     var dataToPost = [];
     for (var i = 0; i < data.logEntries.length; ++i) {
       var datum = data.logEntries[i];
       if(datum.control === true) {
-        console.log('Discarding control');
+        debug('Discarding control');
         continue;
       }
+      var datetime = dateTimeInfo(datum.jsDate);
       if (datum.readingType === 'glucose') {
         var smbg = cfg.builder.makeSMBG()
-          .with_value(datum.reading)
-          .with_deviceTime(datum.datetime.dev)
-          .with_timezoneOffset(datum.datetime.timezoneOffset)
-          .with_conversionOffset(datum.datetime.conversionOffset)
-          .with_time(datum.datetime.utc)
-          .with_units('mg/dL')
+          .with_value(glucoseValue(datum, meter.glucose))
+          .with_deviceTime(datetime.dev)
+          .with_timezoneOffset(datetime.timezoneOffset)
+          .with_clockDriftOffset(datetime.clockDriftOffset)
+          .with_conversionOffset(datetime.conversionOffset)
+          .with_time(datetime.utc)
+          .with_units(models.GLUCOSE_UNITS)
           // TODO: delete after conclusion of Jaeb study
           .set('index', i)
           // TODO: end deletion
           .done();
-        if (datum.annotations) {
-          _.each(datum.annotations, function(ann) {
-            annotate.annotateEvent(smbg, ann);
-          });
-        }
+        _.each(glucoseAnnotations(datum, meter.glucose), function(ann) {
+          annotate.annotateEvent(smbg, ann);
+        });
         dataToPost.push(smbg);
       } else if (datum.readingType === 'ketone') {
-        // These meters store ketone values as 18 * the mmol/L value of the ketones
-        // Because this is specific to these devices, we convert to mmol/L
-        // in the driver, rounded to 2 decimal places.
-        var ketoneValue = Math.round(100 * datum.reading / 18.0) / 100.0;
         var bloodKetone = cfg.builder.makeBloodKetone()
-          .with_value(ketoneValue)
-          .with_deviceTime(datum.datetime.dev)
-          .with_timezoneOffset(datum.datetime.timezoneOffset)
-          .with_conversionOffset(datum.datetime.conversionOffset)
-          .with_time(datum.datetime.utc)
+          .with_value(ketoneValue(datum, meter.ketone))
+          .with_deviceTime(datetime.dev)
+          .with_timezoneOffset(datetime.timezoneOffset)
+          .with_clockDriftOffset(datetime.clockDriftOffset)
+          .with_conversionOffset(datetime.conversionOffset)
+          .with_time(datetime.utc)
           // TODO: delete after conclusion of Jaeb study
           .set('index', i)
           // TODO: end deletion
           .done();
-        if (datum.annotations) {
-          _.each(datum.annotations, function(ann) {
-            annotate.annotateEvent(smbg, ann);
-          });
-        }
+        _.each(ketoneAnnotations(datum, meter.ketone), function(ann) {
+          annotate.annotateEvent(bloodKetone, ann);
+        });
         dataToPost.push(bloodKetone);
-        console.log('ketone: ', bloodKetone);
+        debug('ketone: ', bloodKetone);
       }
     }
 
@@ -491,12 +685,12 @@ module.exports = function (config) {
   };
 
   var probe = function (cb) {
-    var cmd = xtest();
+    var cmd = textCommand(protocol.id);
     freeStyleCommandResponse(cmd, function (err, result) {
       if (err) {
-        console.log('Failure trying to talk to device.');
-        console.log(err);
-        console.log(result);
+        debug('Failure trying to talk to device.');
+        debug(err);
+        debug(result);
       }
       cb(err, result);
     });
@@ -510,27 +704,44 @@ module.exports = function (config) {
     // this function starts the chain, so it has to create but not accept
     // the result (data) object; it's then passed down the rest of the chain
     setup: function (deviceInfo, progress, cb) {
-      console.log('in setup!');
+      debug('in setup!');
+      cfg.driverId = deviceInfo.driverId;
+      protocol = models.protocol(cfg.driverId);
+      if (protocol == null) {
+        return cb(new Error('Not a FreeStyle meter cable: ' + cfg.driverId));
+      }
+      if (protocol.comms === 'serial') {
+        patterns.logEntry.pattern = logEntryPattern(protocol.logEntry);
+      }
       progress(100);
       cb(null, {deviceInfo: deviceInfo});
     },
 
     connect: function (progress, data, cb) {
-      console.log('in connect!');
-      var handlers = {
-        packetHandler: freeStyleMessageHandler,
-        errorHandler: freeStyleErrorHandler
-      };
+      debug('in connect!');
+      var serial = protocol.comms === 'serial';
+      // hidDevice only takes a packet handler
+      var handlers = insulinxPacketHandler;
+      if (serial) {
+        handlers = {
+          packetHandler: freeStyleMessageHandler,
+          errorHandler: freeStyleErrorHandler
+        };
+      }
+      var getInfo = serial ? getSerialNumber : getInsulinxInfo;
 
-      cfg.deviceComms.connect(data.deviceInfo, handlers, probe, function(err) {
+      cfg.deviceComms.connect(data.deviceInfo, handlers, serial ? probe : insulinxProbe, function(err) {
         if (err) {
           return cb(err);
         }
-        getSerialNumber({}, function (err, result) {
+        getInfo({}, function (err, result) {
+          if (err) {
+            return cb(err);
+          }
           progress(100);
           data.connect = true;
           _.assign(data, result);
-          console.log(data);
+          debug(data);
           cb(null, data);
         });
       });
@@ -544,11 +755,20 @@ module.exports = function (config) {
 
 
     fetchData: function (progress, data, cb) {
-      console.log('in fetchData');
-      getAllData({}, function (err, result) {
+      debug('in fetchData');
+      // the Lite meters sent their log when we identified them
+      if (data.logEntries != null) {
+        progress(100);
+        return cb(null, data);
+      }
+      var getData = protocol.comms === 'serial' ? getAllData : getInsulinxData;
+      getData({}, function (err, result) {
+        if (err) {
+          return cb(err, data);
+        }
         progress(100);
         data.connect = true;
-        console.log(result);
+        debug(result);
         data.logEntries = result.logEntries;
         data.numEntries = result.numEntries;
         cb(null, data);
@@ -563,7 +783,7 @@ module.exports = function (config) {
       });
       progress(100);
       data.processData = true;
-      console.log(data);
+      debug(data);
       cb(null, data);
     },
 
@@ -572,7 +792,7 @@ module.exports = function (config) {
       var sessionInfo = {
         deviceTags: ['bgm'],
         deviceManufacturers: ['Abbott'],
-        deviceModel: 'FreeStyle Precision Xtra',
+        deviceModel: models.find(data.model).name,
         deviceSerialNumber: data.serialNumber,
         deviceId: data.id,
         start: sundial.utcDateString(),
@@ -580,10 +800,13 @@ module.exports = function (config) {
         tzName : cfg.timezone,
         version: cfg.version
       };
+      if (data.clockDrift) {
+        sessionInfo.payload = {clockDrift: data.clockDrift};
+      }
 
       cfg.api.upload.toPlatform(data.post_records, sessionInfo, progress, cfg.groupId, function (err, result) {
         if (err) {
-          console.log(err);
+          debug(err);
           progress(100);
           return cb(err, data);
         } else {
@@ -600,24 +823,64 @@ module.exports = function (config) {
     },
 
     cleanup: function (progress, data, cb) {
-      cfg.deviceComms.clearPacketHandler();
-      cfg.deviceComms.clearErrorHandler();
-      cfg.deviceComms.disconnect(function() {
+      var done = function() {
         progress(100);
         data.cleanup = true;
         cb(null, data);
-      });
+      };
+      if (protocol != null && protocol.comms === 'hid') {
+        return cfg.deviceComms.disconnect(data.deviceInfo, done);
+      }
+      cfg.deviceComms.clearPacketHandler();
+      cfg.deviceComms.clearErrorHandler();
+      cfg.deviceComms.disconnect(done);
     },
 
     testDriver: function(config) {
       var progress = function(v) {
-        console.log('progress: ', v);
+        debug('progress: ', v);
       };
       var data = {};
       this.connect(progress, data, function(err, result) {
-        console.log('result:', result);
+        debug('result:', result);
       });
     }
   };
 
 };
+
+// the devices this driver handles, see driverRegistry.js
+module.exports.descriptors = [{
+  driverId: 'AbbottFreeStyle',
+  key: 'precisionxtra',
+  name: 'Abbott Precision Xtra',
+  deviceName: 'Abbott FreeStyle Precision Xtra',
+  detail: 'Blood glucose and ketone meter',
+  mode: 'FTDI',
+  vendorId: 6753,
+  productId: 13344,
+  bitrate: 19200,
+  dataTypes: ['smbg', 'bloodKetone']
+}, {
+  // the FreeStyle Lite and Freedom Lite, on the stereo plug cable
+  driverId: 'AbbottFreeStyleLite',
+  key: 'freestylelite',
+  name: 'Abbott FreeStyle Lite / Freedom Lite',
+  deviceName: 'Abbott FreeStyle Lite',
+  detail: 'Blood glucose meter (FreeStyle Lite or Freedom Lite)',
+  mode: 'FTDI',
+  vendorId: 6753,
+  productId: 13328,
+  bitrate: 19200,
+  dataTypes: ['smbg']
+}, {
+  driverId: 'AbbottFreeStyleInsuLinx',
+  key: 'insulinx',
+  name: 'Abbott FreeStyle InsuLinx',
+  deviceName: 'Abbott FreeStyle InsuLinx',
+  detail: 'Blood glucose meter',
+  mode: 'HID',
+  vendorId: 6753,
+  productId: 13408,
+  dataTypes: ['smbg']
+}];
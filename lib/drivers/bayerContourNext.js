@@ -27,9 +27,10 @@ var struct = require('../struct.js')();
 var annotate = require('../eventAnnotations');
 
 var TZOUtil = require('../TimezoneOffsetUtil');
+var clockDrift = require('../clockDrift');
+var cancelToken = require('../cancelToken');
 
-var isBrowser = typeof window !== 'undefined';
-var debug = isBrowser ? require('../bows')('BCNextDriver') : debug;
+var debug = require('../bows')('BCNextDriver');
 
 
 module.exports = function (config) {
@@ -66,6 +67,7 @@ module.exports = function (config) {
 
   var probe = function(cb){
     debug('attempting probe of Bayer Contour Next');
+    cb();
   };
 
   var bcnPacketHandler = function (buffer) {
@@ -187,6 +189,12 @@ module.exports = function (config) {
         rawrecords: records,
       };
 
+      // the header ends with the meter's clock, to the minute
+      var clock = _.last(pString).match(/^(\d{12})/);
+      if (clock) {
+        devInfo.deviceClock = clock[1];
+      }
+
       if(threshold){
         devInfo.lowThreshold = parseInt(threshold[1]);
         devInfo.hiThreshold = parseInt(threshold[2]);
@@ -296,6 +304,10 @@ module.exports = function (config) {
   };
 
   var bcnCommandResponse = function (commandpacket, callback) {
+    // once the upload's been cancelled, send the meter nothing more
+    if (cancelToken.isCancelled(cfg.cancelToken)) {
+      return callback(cancelToken.makeError());
+    }
 
     hidDevice.send(commandpacket.packet, function () {
         receivePacket(5000, commandpacket.parser, function(err, packet) {
@@ -324,6 +336,12 @@ module.exports = function (config) {
     }, timeout);
 
     var listenTimer = setInterval(function () {
+      // the meter sends its records a packet at a time, each one acknowledged
+      if (cancelToken.isCancelled(cfg.cancelToken)) {
+        clearTimeout(abortTimer);
+        clearInterval(listenTimer);
+        return callback(cancelToken.makeError(), null);
+      }
       hidDevice.receive(function(raw) {
           var r = new Uint8Array(raw);
           var startIndex = 0;
@@ -367,6 +385,13 @@ module.exports = function (config) {
               obj.header = datatxt;
               if(parseHeader(datatxt)){
                 _.assign(obj, parseHeader(datatxt));
+                if (obj.deviceClock) {
+                  var clock = sundial.parseFromFormat(obj.deviceClock, 'YYYYMMDDHHmm');
+                  obj.clockDrift = clockDrift.measure(clock, cfg.timezone);
+                  debug('Clock drift:', obj.clockDrift);
+                  cfg.tzoUtil = new TZOUtil(cfg.timezone, new Date().toISOString(), [],
+                    obj.clockDrift.clockDriftOffset);
+                }
                 cb(null, obj);
               }else{
                 debug('Invalid header data');
@@ -383,6 +408,7 @@ module.exports = function (config) {
       var utcInfo = cfg.tzoUtil.lookup(dateTime);
       readings[index].displayUtc = utcInfo.time;
       readings[index].timezoneOffset = utcInfo.timezoneOffset;
+      readings[index].clockDriftOffset = utcInfo.clockDriftOffset;
       readings[index].conversionOffset = utcInfo.conversionOffset;
     });
   };
@@ -403,6 +429,7 @@ module.exports = function (config) {
           .with_value(datum.glucose)
           .with_deviceTime(datum.displayTime)
           .with_timezoneOffset(datum.timezoneOffset)
+          .with_clockDriftOffset(datum.clockDriftOffset)
           .with_conversionOffset(datum.conversionOffset)
           .with_time(datum.displayUtc)
           .with_units(datum.units)
@@ -430,7 +457,7 @@ module.exports = function (config) {
     },
 
     setup: function (deviceInfo, progress, cb) {
-      console.log('in setup!');
+      debug('in setup!');
       progress(100);
       cb(null, {deviceInfo: deviceInfo});
     },
@@ -526,6 +553,9 @@ module.exports = function (config) {
         tzName : cfg.timezone,
         version: cfg.version
       };
+      if (data.clockDrift) {
+        sessionInfo.payload = {clockDrift: data.clockDrift};
+      }
 
       cfg.api.upload.toPlatform(data.post_records, sessionInfo, progress, cfg.groupId, function (err, result) {
         progress(100);
@@ -563,3 +593,36 @@ module.exports = function (config) {
     }
   };
 };
+
+// the devices this driver handles, see driverRegistry.js
+module.exports.descriptors = [{
+  driverId: 'BayerContourNext',
+  key: 'bayercontournext',
+  name: 'Bayer Contour Next',
+  deviceName: 'Bayer Contour Next',
+  detail: 'Blood glucose meter',
+  mode: 'HID',
+  vendorId: 6777,
+  productId: 29520,
+  dataTypes: ['smbg']
+}, {
+  driverId: 'BayerContourNextUsb',
+  key: 'bayercontournextusb',
+  name: 'Bayer Contour Next USB',
+  deviceName: 'Bayer Contour Next USB',
+  detail: 'Blood glucose meter',
+  mode: 'HID',
+  vendorId: 6777,
+  productId: 29712,
+  dataTypes: ['smbg']
+}, {
+  driverId: 'BayerContourUsb',
+  key: 'bayercontourusb',
+  name: 'Bayer Contour USB',
+  deviceName: 'Bayer Contour USB',
+  detail: 'Blood glucose meter',
+  mode: 'HID',
+  vendorId: 6777,
+  productId: 24578,
+  dataTypes: ['smbg']
+}];
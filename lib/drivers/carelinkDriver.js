@@ -24,9 +24,9 @@ var sundial = require('sundial');
 
 var TZOUtil = require('../TimezoneOffsetUtil');
 
-var common = require('../carelink/common');
 var debug = require('../bows')('CareLinkDriver');
 var indexDevice = require('../carelink/indexDevice');
+var models = require('../carelink/models');
 var removeOverlaps = require('../carelink/removeOverlapping');
 var getDeviceInfo = require('../carelink/getDeviceInfo');
 var timeChangeProcessor = require('../carelink/timeChange')();
@@ -61,9 +61,12 @@ function initializeProcessors(opts) {
     require('../carelink/pumpSettings.js')(opts),
     require('../carelink/smbg.js')(opts),
     require('../carelink/cbg.js')(opts),
+    require('../carelink/cgmEvents.js')(opts),
     require('../carelink/basal.js')(),
     require('../carelink/suspend.js')(),
-    require('../carelink/bolusNWizard')(opts)
+    require('../carelink/bolusNWizard')(opts),
+    require('../carelink/alarm.js')(),
+    require('../carelink/reservoir.js')()
   ];
 }
 
@@ -75,56 +78,17 @@ module.exports = function(simulatorMaker, api) {
   var TIME_CHANGE_PUMP = 'ChangeTime', TIME_CHANGE_CGM = 'ChangeTimeGH';
   var CGM_TYPE = 'GlucoseSensorData';
 
-  var typesToRead = {
-    // basal
-    'BasalProfileStart': true,
-    'ChangeTempBasalPercent': true,
-    'ChangeTempBasal': true,
-    'ChangeTime': true,
-    // bolus and wizard
-    'BolusNormal': true,
-    'BolusSquare': true,
-    'BolusWizardBolusEstimate': true,
-    // settings
-    'ChangeBasalProfile': true,
-    'ChangeBasalProfilePre': true,
-    'CurrentBasalProfile': true,
-    'ChangeBGTargetRange': true,
-    'ChangeBGTargetRangePattern': true,
-    'CurrentBGTargetRange': true,
-    'ChangeCarbRatio': true,
-    'ChangeCarbRatioPattern': true,
-    'CurrentCarbRatio': true,
-    'ChangeInsulinSensitivity': true,
-    'ChangeInsulinSensitivityPattern': true,
-    'CurrentInsulinSensitivity': true,
-    'CurrentActiveBasalProfilePattern': true,
-    'CurrentBasalProfilePattern': true,
-    'CurrentBGTargetRangePattern': true,
-    'CurrentBolusWizardBGUnits': true,
-    'CurrentBolusWizardCarbUnits': true,
-    'CurrentBolusWizardEnable': true,
-    'CurrentCarbRatioPattern': true,
-    'CurrentInsulinSensitivityPattern': true,
-    'ChangeBolusWizardSetup': true,
-    'ChangeBolusWizardSetupConfig': true,
-    'ChangeBasalProfilePattern': true,
-    'ChangeBasalProfilePatternPre': true,
-    'ChangeActiveBasalProfilePattern': true,
-    // smbg
-    'BGCapturedOnPump': true,
-    // suspend
-    'ChangeSuspendState': true
-  };
+  // the rows we read from the pump's uploads, and from the sensor's (see carelink/models.js)
+  var typesToRead = {}, cgmTypesToRead = {};
+  _.forEach(models.ROW_TYPES, function(rowType, rawType) {
+    if (rowType.cgm) {
+      cgmTypesToRead[rawType] = true;
+    }
+    else {
+      typesToRead[rawType] = true;
+    }
+  });
 
-  var cgmTypesToRead = {
-    'SensorCalBG': true,
-    'ChangeTimeGH': true,
-    // cbg
-    'GlucoseSensorData': true,
-    'GlucoseSensorDataHigh': true,
-    'GlucoseSensorDataLow': true
-  };
   return function (config) {
     if (config.timezone == null) {
       throw new Error('carelinkDriver\'s config must specify a timezone');
@@ -226,8 +190,14 @@ module.exports = function(simulatorMaker, api) {
         var CGM_SUFFIX = ' : CGM';
 
         debug('Separate into per-device arrays');
+        // rows we can't read (see carelink/models.js) are reported in `payload.unsupportedRows`
+        // by removeOverlaps, and left out
         for (var k = 0; k < payload.pumpData.length; ++k) {
-          var key = payload.pumpData[k][RAW_DEVICE_TYPE];
+          var pumpDatum = payload.pumpData[k];
+          if (pumpDatum.unsupported || uploads[pumpDatum[RAW_UPLOAD_ID]] == null) {
+            continue;
+          }
+          var key = pumpDatum[RAW_DEVICE_TYPE];
           var device = payload.devices[key];
           if (device == null) {
             device = {};
@@ -235,13 +205,15 @@ module.exports = function(simulatorMaker, api) {
 
             device.data = [];
           }
-          if (uploads[payload.pumpData[k][RAW_UPLOAD_ID]] != null) {
-            device.data.push(payload.theData[k]);
-          }
+          device.data.push(pumpDatum);
         }
         if (_.includes(_.pluck(payload.cgmData, RAW_TYPE), CGM_TYPE)) {
           for (var j = 0; j < payload.cgmData.length; ++j) {
-            var cgmKey = payload.cgmData[j][RAW_DEVICE_TYPE] + CGM_SUFFIX;
+            var cgmDatum = payload.cgmData[j];
+            if (cgmDatum.unsupported || uploads[cgmDatum[RAW_UPLOAD_ID]] == null) {
+              continue;
+            }
+            var cgmKey = cgmDatum[RAW_DEVICE_TYPE] + CGM_SUFFIX;
             var cgm = payload.devices[cgmKey];
             if (cgm == null) {
               cgm = {};
@@ -249,9 +221,7 @@ module.exports = function(simulatorMaker, api) {
 
               cgm.data = [];
             }
-            if (uploads[payload.cgmData[j][RAW_UPLOAD_ID]] != null) {
-              cgm.data.push(payload.cgmData[j]);
-            }
+            cgm.data.push(cgmDatum);
           }
         }
         delete payload.theData;
@@ -393,6 +363,7 @@ module.exports = function(simulatorMaker, api) {
         colNames.bgTargetLow = findColName('BWZ Target Low BG');
         colNames.insulinSensitivity = findColName('BWZ Insulin Sensitivity');
         colNames.sensorGlucose = findColName('Sensor Glucose');
+        colNames.calibrationGlucose = findColName('Sensor Calibration BG');
         colNames.fingerstickGlucose = findColName('BG Reading');
         var units = getUnits(colNames.fingerstickGlucose);
 
@@ -401,7 +372,7 @@ module.exports = function(simulatorMaker, api) {
           var device = payload.devices[key];
           device.simulator = simulatorMaker.make(
             {
-              autoGenScheduleds: common.autoGenModels[key] ? true : false,
+              autoGenScheduleds: models.autoGenScheduleds(key),
               defaults: { source: 'carelink' }
             });
           device.processors = initializeProcessors({model: key, units: units, colNames: colNames});
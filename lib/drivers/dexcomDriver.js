@@ -25,7 +25,12 @@ var crcCalculator = require('../crc.js');
 var struct = require('../struct.js')();
 
 var mungeUserSettings = require('../dexcom/userSettingsChanges');
+var mungeUserEvents = require('../dexcom/userEvents');
+var deriveAlerts = require('../dexcom/alerts');
+var pageMarks = require('../dexcom/pageMarks');
+var sensorStates = require('../dexcom/sensorStates');
 var TZOUtil = require('../TimezoneOffsetUtil');
+var cancelToken = require('../cancelToken');
 
 var debug = require('../bows')('DexcomDriver');
 
@@ -72,6 +77,8 @@ module.exports = function (config) {
     USER_SETTING_DATA: { value: 12, name: 'USER_SETTING_DATA' }
   };
 
+  var EMPTY_PAGE_RANGE = 0xFFFFFFFF;
+
   var TRENDS = {
     NONE: { value: 0, name: 'None' },
     DOUBLEUP: { value: 1, name: 'DoubleUp' },
@@ -281,33 +288,18 @@ module.exports = function (config) {
       rec.data = data.subarray(ctr, ctr + flen);
       ctr += flen;
 
-      // dexcom specs say to ignore values outside these ranges
       // some glucose records have a value with the high bit set;
       // these seem to have a time identical to the next record,
       // so we presume that they are superceded by
       // the other record (probably a calibration)
-      var skip = false;
       if (rec.glucose & 0x8000) {
-        skip = true;
+        continue;
       }
 
       // according to the spec, only 10 bits are valid
       rec.glucose &= 0x3FF;
-      // now check for highs/lows
-      if (rec.glucose < 20) {
-        // it's a special value we must ignore
-        skip = true;
-      } else if (rec.glucose < 40) {
-        // it's a LOW, mark it so
-        rec.glucose = 39;
-      } else if (rec.glucose > 400) {
-        // it's HIGH
-        rec.glucose = 401;
-      }
-
-      if (!skip) {
-        all.push(rec);
-      }
+      // the LOWs, HIGHs and special values are sorted out in processData
+      all.push(rec);
     }
     return all;
   };
@@ -375,6 +367,30 @@ module.exports = function (config) {
     return all;
   };
 
+  var parse_user_event_records = function (header, data) {
+    var all = [];
+    var ctr = 0;
+    var format = 'iibbiis';
+    var flen = struct.structlen(format);
+
+    for (var i = 0; i < header.nrecs; ++i) {
+      var rec = struct.unpack(data, ctr, format, [
+        'systemSeconds', 'displaySeconds', 'eventType', 'eventSubType',
+        'eventSeconds', 'eventValue', 'crc'
+      ]);
+
+      rec.systemTimeMsec = BASE_DATE_DEVICE + 1000 * rec.systemSeconds;
+      rec.internalTime = sundial.formatDeviceTime(new Date(rec.systemTimeMsec).toISOString());
+      // the event is at the (display) time the user gave it, not when it was entered
+      rec.jsDate = new Date(BASE_DATE_DEVICE + 1000 * rec.eventSeconds);
+      rec.deviceTime = sundial.formatDeviceTime(rec.jsDate.toISOString());
+      rec.data = data.subarray(ctr, ctr + flen);
+      ctr += flen;
+      all.push(rec);
+    }
+    return all;
+  };
+
   var readDataPages = function (rectype, startPage, numPages) {
     var format = 'bib';
     var len = struct.structlen(format);
@@ -388,6 +404,8 @@ module.exports = function (config) {
       parser = makeHeaderParser(parse_meter_records);
     } else if (rectype == RECORD_TYPES.USER_SETTING_DATA) {
       parser = makeHeaderParser(parse_setting_records);
+    } else if (rectype == RECORD_TYPES.USER_EVENT_DATA) {
+      parser = makeHeaderParser(parse_user_event_records);
     }
 
     return {
@@ -587,6 +605,10 @@ module.exports = function (config) {
   };
 
   var dexcomCommandResponse = function (commandpacket, callback) {
+    // once the upload's been cancelled, send the receiver nothing more
+    if (cancelToken.isCancelled(cfg.cancelToken)) {
+      return callback(cancelToken.makeError());
+    }
     // var p = new Uint8Array(commandpacket.packet);
     // debug(p);
     serialDevice.writeSerial(commandpacket.packet, function () {
@@ -655,7 +677,9 @@ module.exports = function (config) {
     });
   };
 
-  var downloadDataPages = function (recordType, progress, callback) {
+  // downloads the pages of a record type, newest first; given the `mark` from
+  // the last upload, it only reads from the page the mark was taken from on
+  var downloadDataPages = function (recordType, mark, progress, callback) {
     var cmd = readDataPageRange(recordType);
     dexcomCommandResponse(cmd, function (err, pagerange) {
       if (err) {
@@ -665,8 +689,19 @@ module.exports = function (config) {
       var range = pagerange.parsed_payload;
       debug(range);
       var pages = [];
-      for (var pg = range.hi; pg >= range.lo; --pg) {
-        pages.push(pg);
+      // the receiver gives the range of an empty partition as 0xFFFFFFFF,
+      // which is often the case for user events
+      if (range.lo !== EMPTY_PAGE_RANGE) {
+        var first = range.lo;
+        if (mark != null && mark.page >= range.lo && mark.page <= range.hi) {
+          first = mark.page;
+        }
+        else {
+          mark = null;
+        }
+        for (var pg = range.hi; pg >= first; --pg) {
+          pages.push(pg);
+        }
       }
       // pages = pages.slice(0, 3);      // FOR DEBUGGING!
       var npages = 0;
@@ -680,22 +715,31 @@ module.exports = function (config) {
           debug(err);
         }
         debug(results);
+        if (!err && mark != null && !pageMarks.matches(mark, _.last(results).parsed_payload)) {
+          debug('The', recordType.name, 'pages have changed since the last upload, reading them all');
+          return downloadDataPages(recordType, null, progress, callback);
+        }
         callback(err, results);
       });
 
     });
   };
 
-  var downloadEGVPages = function (progress, callback) {
-    downloadDataPages(RECORD_TYPES.EGV_DATA, progress, callback);
+  var downloadEGVPages = function (mark, progress, callback) {
+    downloadDataPages(RECORD_TYPES.EGV_DATA, mark, progress, callback);
   };
 
-  var downloadMeterPages = function (progress, callback) {
-    downloadDataPages(RECORD_TYPES.METER_DATA, progress, callback);
+  var downloadMeterPages = function (mark, progress, callback) {
+    downloadDataPages(RECORD_TYPES.METER_DATA, mark, progress, callback);
   };
 
   var downloadSettingPages = function (progress, callback) {
-    downloadDataPages(RECORD_TYPES.USER_SETTING_DATA, progress, callback);
+    // always read all of the settings, since we need all of the time changes
+    downloadDataPages(RECORD_TYPES.USER_SETTING_DATA, null, progress, callback);
+  };
+
+  var downloadUserEventPages = function (mark, progress, callback) {
+    downloadDataPages(RECORD_TYPES.USER_EVENT_DATA, mark, progress, callback);
   };
 
   var processEGVPages = function (pagedata) {
@@ -706,6 +750,7 @@ module.exports = function (config) {
         var reading = _.pick(page.data[j],
                              'displaySeconds', 'displayDate', 'internalTime', 'systemSeconds',
                              'glucose', 'trendArrow', 'trendText', 'annotation');
+        reading.specialValue = sensorStates.isSpecialValue(reading.glucose);
         reading.pagenum = page.header.pagenum;
         readings.push(reading);
       }
@@ -746,33 +791,57 @@ module.exports = function (config) {
     return reshapedSettingsRecords;
   };
 
+  var processUserEventPages = function (pagedata) {
+    var events = [];
+    for (var i = 0; i < pagedata.length; ++i) {
+      var page = pagedata[i].parsed_payload;
+      for (var j = 0; j < page.data.length; ++j) {
+        var event = _.omit(page.data[j], 'data', 'crc');
+        event.pagenum = page.header.pagenum;
+        events.push(event);
+      }
+    }
+    return mungeUserEvents(events, {builder: cfg.builder});
+  };
+
+  var getDescriptor = function (deviceInfo) {
+    var descriptors = module.exports.descriptors;
+    return _.find(descriptors, {driverId: deviceInfo && deviceInfo.driverId}) || descriptors[0];
+  };
+
   var getDeviceId = function (data) {
     var names = data.firmwareHeader.attrs.ProductName.split(' ');
     var shortname = _.map(names, function(name) { return name.slice(0,3); }).join('');
     return shortname + '_' + data.manufacturing_data.attrs.SerialNumber;
   };
 
+  // the receiver shows readings outside its range as LO or HI,
+  // which we upload as just outside the range
   var prepCBGData = function (data) {
     var dataToPost = [];
+    var range = data.cbgRange;
     for (var i = 0; i < data.cbg_data.length; ++i) {
       var datum = data.cbg_data[i];
+      var value = datum.glucose;
       var annotation = null;
-      if (data.cbg_data[i].glucose < 40) {
+      if (datum.glucose < range.low) {
+        value = range.low - 1;
         annotation = {
           code: 'bg/out-of-range',
           value: 'low',
-          threshold: 40
+          threshold: range.low
         };
-      } else if (data.cbg_data[i].glucose > 400) {
+      } else if (datum.glucose > range.high) {
+        value = range.high + 1;
         annotation = {
           code: 'bg/out-of-range',
           value: 'high',
-          threshold: 400
+          threshold: range.high
         };
       }
       var payload = { trend: datum.trendText, internalTime: datum.internalTime };
       var cbg = cfg.builder.makeCBG()
-        .with_value(datum.glucose)
+        .with_value(value)
         .with_deviceTime(sundial.formatDeviceTime(datum.displayDate))
         .with_units('mg/dL')      // everything the Dexcom receiver stores is in this unit
         .set('index', datum.systemSeconds)
@@ -814,6 +883,21 @@ module.exports = function (config) {
     return dataToPost;
   };
 
+  // for the records built before we had the TimezoneOffsetUtil
+  var prepBuiltRecords = function (records) {
+    var dataToPost = [];
+    for (var i = 0; i < records.length; ++i) {
+      var datum = records[i];
+      cfg.tzoUtil.fillInUTCInfo(datum, datum.jsDate);
+      datum = datum.done();
+      delete datum.index;
+      delete datum.jsDate;
+      dataToPost.push(datum);
+    }
+
+    return dataToPost;
+  };
+
   var prepSettingsData = function (data) {
     var dataToPost = [];
     for (var i = 0; i < data.setting_data.settingChanges.length; ++i) {
@@ -922,21 +1006,43 @@ module.exports = function (config) {
         };
       };
 
+      // pages at or after the marks of the last upload to this user are all we need,
+      // unless we're sending everything again
+      var marks = cfg.resendAll ? {} : (pageMarks.get(cfg.groupId, dexcomDeviceId) || {});
+      debug('page marks for', dexcomDeviceId, marks);
+
       debug('STEP: fetchData');
       progress(0);
       // first half of the progress bar segment
-      downloadEGVPages(makeProgress(progress, 0, 50), function (err, result) {
+      downloadEGVPages(marks.EGV_DATA, makeProgress(progress, 0, 50), function (err, result) {
         data.egv_data = result;
         if (err == null) {
           // second half of the progress bar segment
-          downloadMeterPages(makeProgress(progress, 50, 75), function (err, result) {
+          downloadMeterPages(marks.METER_DATA, makeProgress(progress, 50, 75), function (err, result) {
             data.meter_data = result;
             if (err == null) {
-              downloadSettingPages(makeProgress(progress, 75, 100), function(err, result) {
+              downloadSettingPages(makeProgress(progress, 75, 90), function(err, result) {
                 data.user_setting_data = result;
-                progress(100);
-                cb(err, data);
-              }); 
+                if (err == null) {
+                  downloadUserEventPages(marks.USER_EVENT_DATA, makeProgress(progress, 90, 100), function(err, result) {
+                    data.user_event_data = result;
+                    data.egv_new_after = pageMarks.newAfter(marks.EGV_DATA,
+                      _.pluck(data.egv_data, 'parsed_payload'));
+                    data.page_marks = _.mapValues({
+                      EGV_DATA: data.egv_data,
+                      METER_DATA: data.meter_data,
+                      USER_EVENT_DATA: data.user_event_data
+                    }, function(pages) {
+                      return pageMarks.fromPages(_.pluck(pages, 'parsed_payload'));
+                    });
+                    progress(100);
+                    cb(err, data);
+                  });
+                } else {
+                  progress(100);
+                  cb(err, data);
+                }
+              });
             }
           });
         } else {
@@ -950,8 +1056,18 @@ module.exports = function (config) {
       debug('STEP: processData');
       progress(0);
       data.setting_data = processSettingPages(data.user_setting_data);
-      data.cbg_data = processEGVPages(data.egv_data);
+      var egvs = processEGVPages(data.egv_data);
+      data.cbgRange = getDescriptor(data.deviceInfo).cbgRange;
+      data.cbg_data = _.reject(egvs, 'specialValue');
+      data.sensor_states = sensorStates(egvs, {builder: cfg.builder});
       data.calibration_data = processMeterPages(data.meter_data);
+      data.user_events = processUserEventPages(data.user_event_data);
+      // the readings from before the page mark were uploaded last time, but
+      // they say which alerts were already going off when this upload's readings start
+      data.alarms = deriveAlerts(data.cbg_data, data.setting_data.settingChanges, {
+        builder: cfg.builder,
+        after: data.egv_new_after
+      });
       var non_setting_data = data.cbg_data.concat(data.calibration_data);
       var sorted = _.sortBy(non_setting_data, function(d) { return d.systemSeconds; });
       var mostRecent = sundial.applyTimezone(sorted[sorted.length - 1].displayDate, cfg.timezone).toISOString();
@@ -961,6 +1077,9 @@ module.exports = function (config) {
       data.post_records = cfg.tzoUtil.records;
       data.post_records = data.post_records.concat(prepCBGData(data));
       data.post_records = data.post_records.concat(prepMeterData(data));
+      data.post_records = data.post_records.concat(prepBuiltRecords(data.user_events));
+      data.post_records = data.post_records.concat(prepBuiltRecords(data.alarms));
+      data.post_records = data.post_records.concat(prepBuiltRecords(data.sensor_states));
       data.post_records = data.post_records.concat(prepSettingsData(data));
       progress(100);
       data.processData = true;
@@ -993,6 +1112,10 @@ module.exports = function (config) {
           progress(100);
           return cb(err, data);
         } else {
+          // next time, only read the pages from here on
+          if (!cfg.dryRun) {
+            pageMarks.update(cfg.groupId, dexcomDeviceId, data.page_marks);
+          }
           progress(100);
           return cb(null, data);
         }
@@ -1017,3 +1140,19 @@ module.exports = function (config) {
     }
   };
 };
+
+// the devices this driver handles, see driverRegistry.js
+module.exports.descriptors = [{
+  driverId: 'DexcomG4',
+  key: 'dexcom',
+  name: 'Dexcom G4 Platinum',
+  deviceName: 'Dexcom CGM',
+  detail: 'G4 Platinum or Share',
+  mode: 'serial',
+  vendorId: 8867,
+  productId: 71,
+  macPortPattern: '/dev/cu\\.(usb|dex).+',
+  // in mg/dL, the receiver shows readings outside this as LO or HI
+  cbgRange: {low: 40, high: 400},
+  dataTypes: ['cbg', 'deviceEvent', 'cgmSettings', 'food', 'bolus', 'note']
+}];
@@ -0,0 +1,34 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+// The registry of every device driver the uploader knows about.
+// To add a device, export `descriptors` from its driver module and register it
+// here, then add its USB ids to the `usbDevices` permission in manifest.json
+// (test/testDriverRegistry.js checks the two agree).
+// Devices are offered in device selection in the order they're registered.
+
+var registry = require('../driverRegistry')();
+
+registry
+  .register(require('./insuletDriver'))
+  .register(require('./dexcomDriver'))
+  .register(require('./abbottFreeStyle'))
+  .register(require('./oneTouchUltra2'))
+  .register(require('./oneTouchMiniDriver'))
+  .register(require('./bayerContourNext'));
+
+module.exports = registry;
@@ -21,9 +21,11 @@ var util = require('util');
 var sundial = require('sundial');
 
 var struct = require('./../struct.js')();
+var alarms = require('../alarms');
 var annotate = require('../eventAnnotations');
 var common = require('../insulet/common');
 var logic = require('../insulet/objectBuildingLogic');
+var settingsHistory = require('../insulet/settingsHistory');
 var insuletSimulatorMaker = require('../insulet/insuletSimulator');
 
 var isBrowser = typeof window !== 'undefined';
@@ -186,7 +188,7 @@ module.exports = function (config) {
       'day', 'month', 'year', 'seconds', 'minutes', 'hours',
       'secs_since_powerup'
     ]},
-    history_record: { format: 'bNSSbbsbbb.ins..', fields: [
+    history_record: { format: 'bNSSbbsbbb.ini', fields: [
       'log_id', 'log_index', 'record_size', 'error_code',
       'day', 'month', 'year', 'seconds', 'minutes', 'hours',
       'secs_since_powerup', 'rectype', 'flags'
@@ -392,23 +394,17 @@ module.exports = function (config) {
   };
 
   var LOG_FLAGS = {
-    // TODO: look for this flag and use it to identify
-    // extended boluses split over midnight instead of uploading
-    // them separately and annotating the extended with the
-    // 'insulet/bolus/split-extended' code as we're doing now
+    // set on the second half of an extended bolus split over midnight,
+    // which we stitch back onto the first half in linkWizardRecords
     CARRY_OVER_FLAG: { value: 0x01, name: 'CARRY_OVER_FLAG' },
     NEW_DAY_FLAG: { value: 0x02, name: 'NEW_DAY_FLAG' },
-    // TODO: we should probably look for this flag on all records
-    // and maybe annotate when we find it
+    // deliveries from records with this or the unconfirmed flag are annotated
     IN_PROGRESS_FLAG: { value: 0x04, name: 'IN_PROGRESS_FLAG' },
     END_DAY_FLAG: { value: 0x08, name: 'END_DAY_FLAG' },
-    // TODO: we should probably look for this flag on all records
-    // and either annotate or maybe even discard the record when we find it
     UNCOMFIRMED_FLAG: { value: 0x10, name: 'UNCOMFIRMED_FLAG' },
     REVERSE_CORR_FLAG: { value: 0x0100, name: 'REVERSE_CORR_FLAG' },
     MAX_BOLUS_FLAG: { value: 0x0200, name: 'MAX_BOLUS_FLAG' },
-    // TODO: check if we're filtering out records marked with this flag
-    // the spec says these are "deleted" and should be ignored
+    // the spec says these are "deleted" and should be ignored, so getLogRecord drops them
     ERROR: { value: 0x80000000, name: 'ERROR' }
   };
 
@@ -420,34 +416,37 @@ module.exports = function (config) {
     IGNORE: { value: 0x100, name: 'IGNORED by driver' }
   };
 
+  // `alarm` is what each code is in the shared alarm vocabulary (see lib/alarms.js)
   var ALARM_TYPES = {
-    AlrmPDM_ERROR0: { value: 0, name: 'AlrmPDM_ERROR0', explanation: 'PDM error', stopsDelivery: 'unknown' },
-    AlrmPDM_ERROR1: { value: 1, name: 'AlrmPDM_ERROR1', explanation: 'PDM error', stopsDelivery: 'unknown' },
-    AlrmPDM_ERROR2: { value: 2, name: 'AlrmPDM_ERROR2', explanation: 'PDM error', stopsDelivery: 'unknown' },
-    AlrmPDM_ERROR3: { value: 3, name: 'AlrmPDM_ERROR3', explanation: 'PDM error', stopsDelivery: 'unknown' },
-    AlrmPDM_ERROR4: { value: 4, name: 'AlrmPDM_ERROR4', explanation: 'PDM error', stopsDelivery: 'unknown' },
-    AlrmPDM_ERROR5: { value: 5, name: 'AlrmPDM_ERROR5', explanation: 'PDM error', stopsDelivery: 'unknown' },
-    AlrmPDM_ERROR6: { value: 6, name: 'AlrmPDM_ERROR6', explanation: 'PDM error', stopsDelivery: 'unknown' },
-    AlrmPDM_ERROR7: { value: 7, name: 'AlrmPDM_ERROR7', explanation: 'PDM error', stopsDelivery: 'unknown' },
-    AlrmPDM_ERROR8: { value: 8, name: 'AlrmPDM_ERROR8', explanation: 'PDM error', stopsDelivery: 'unknown' },
-    AlrmPDM_ERROR9: { value: 9, name: 'AlrmPDM_ERROR9', explanation: 'PDM error', stopsDelivery: 'unknown' },
-    AlrmSYSTEM_ERROR10: { value: 10, name: 'AlrmSYSTEM_ERROR10', explanation: 'system error', stopsDelivery: false },
-    AlrmSYSTEM_ERROR12: { value: 12, name: 'AlrmSYSTEM_ERROR12', explanation: 'system error', stopsDelivery: 'unknown' },
-    AlrmHAZ_REMOTE: { value: 13, name: 'AlrmHAZ_REMOTE', explanation: 'clock reset alarm', stopsDelivery: false },
-    AlrmHAZ_PUMP_VOL: { value: 14, name: 'AlrmHAZ_PUMP_VOL', explanation: 'empty reservoir', stopsDelivery: true },
-    AlrmHAZ_PUMP_AUTO_OFF: { value: 15, name: 'AlrmHAZ_PUMP_AUTO_OFF', explanation: 'auto-off', stopsDelivery: true },
-    AlrmHAZ_PUMP_EXPIRED: { value: 16, name: 'AlrmHAZ_PUMP_EXPIRED', explanation: 'pod expired', stopsDelivery: true },
-    AlrmHAZ_PUMP_OCCL: { value: 17, name: 'AlrmHAZ_PUMP_OCCL', explanation: 'pump site occluded', stopsDelivery: true },
-    AlrmHAZ_PUMP_ACTIVATE: { value: 18, name: 'AlrmHAZ_PUMP_ACTIVATE', explanation: 'pod is a lump of coal', stopsDelivery: false },
-    AlrmADV_KEY: { value: 21, name: 'AlrmADV_KEY', explanation: 'PDM stuck key detected', stopsDelivery: false },
-    AlrmADV_PUMP_VOL: { value: 23, name: 'AlrmADV_PUMP_VOL', explanation: 'low reservoir', stopsDelivery: false },
-    AlrmADV_PUMP_AUTO_OFF: { value: 24, name: 'AlrmADV_PUMP_AUTO_OFF', explanation: '15 minutes to auto-off warning', stopsDelivery: false },
-    AlrmADV_PUMP_SUSPEND: { value: 25, name: 'AlrmADV_PUMP_SUSPEND', explanation: 'suspend done', stopsDelivery: false },
-    AlrmADV_PUMP_EXP1: { value: 26, name: 'AlrmADV_PUMP_EXP1', explanation: 'pod expiration advisory', stopsDelivery: false },
-    AlrmADV_PUMP_EXP2: { value: 27, name: 'AlrmADV_PUMP_EXP2', explanation: 'pod expiration alert', stopsDelivery: false },
-    AlrmSYSTEM_ERROR28: { value: 28, name: 'AlrmSYSTEM_ERROR28', explanation: 'system error', stopsDelivery: 'unknown' },
-    AlrmEXP_WARNING: { value: 37, name: 'AlrmEXP_WARNING', explanation: 'pod expiration advisory', stopsDelivery: false },
-    AlrmHAZ_PDM_AUTO_OFF: { value: 39, name: 'AlrmHAZ_PDM_AUTO_OFF', explanation: 'auto-off', stopsDelivery: true }
+    AlrmPDM_ERROR0: { value: 0, name: 'AlrmPDM_ERROR0', alarm: 'controllerError' },
+    AlrmPDM_ERROR1: { value: 1, name: 'AlrmPDM_ERROR1', alarm: 'controllerError' },
+    AlrmPDM_ERROR2: { value: 2, name: 'AlrmPDM_ERROR2', alarm: 'controllerError' },
+    AlrmPDM_ERROR3: { value: 3, name: 'AlrmPDM_ERROR3', alarm: 'controllerError' },
+    AlrmPDM_ERROR4: { value: 4, name: 'AlrmPDM_ERROR4', alarm: 'controllerError' },
+    AlrmPDM_ERROR5: { value: 5, name: 'AlrmPDM_ERROR5', alarm: 'controllerError' },
+    AlrmPDM_ERROR6: { value: 6, name: 'AlrmPDM_ERROR6', alarm: 'controllerError' },
+    AlrmPDM_ERROR7: { value: 7, name: 'AlrmPDM_ERROR7', alarm: 'controllerError' },
+    AlrmPDM_ERROR8: { value: 8, name: 'AlrmPDM_ERROR8', alarm: 'controllerError' },
+    AlrmPDM_ERROR9: { value: 9, name: 'AlrmPDM_ERROR9', alarm: 'controllerError' },
+    AlrmSYSTEM_ERROR10: { value: 10, name: 'AlrmSYSTEM_ERROR10', alarm: 'systemError' },
+    AlrmSYSTEM_ERROR12: { value: 12, name: 'AlrmSYSTEM_ERROR12', alarm: 'systemError' },
+    AlrmHAZ_REMOTE: { value: 13, name: 'AlrmHAZ_REMOTE', alarm: 'clockReset' },
+    AlrmHAZ_PUMP_VOL: { value: 14, name: 'AlrmHAZ_PUMP_VOL', alarm: 'emptyReservoir' },
+    // TODO: clarify with Insulet or get data to figure out whether this (below) is
+    // a warning or the actual auto-off; the spec is confused
+    AlrmHAZ_PUMP_AUTO_OFF: { value: 15, name: 'AlrmHAZ_PUMP_AUTO_OFF', alarm: 'autoOff' },
+    AlrmHAZ_PUMP_EXPIRED: { value: 16, name: 'AlrmHAZ_PUMP_EXPIRED', alarm: 'expired' },
+    AlrmHAZ_PUMP_OCCL: { value: 17, name: 'AlrmHAZ_PUMP_OCCL', alarm: 'occlusion' },
+    AlrmHAZ_PUMP_ACTIVATE: { value: 18, name: 'AlrmHAZ_PUMP_ACTIVATE', alarm: 'activationFailed' },
+    AlrmADV_KEY: { value: 21, name: 'AlrmADV_KEY', alarm: 'stuckButton' },
+    AlrmADV_PUMP_VOL: { value: 23, name: 'AlrmADV_PUMP_VOL', alarm: 'lowReservoir' },
+    AlrmADV_PUMP_AUTO_OFF: { value: 24, name: 'AlrmADV_PUMP_AUTO_OFF', alarm: 'autoOffWarning' },
+    AlrmADV_PUMP_SUSPEND: { value: 25, name: 'AlrmADV_PUMP_SUSPEND', alarm: 'suspendEnded' },
+    AlrmADV_PUMP_EXP1: { value: 26, name: 'AlrmADV_PUMP_EXP1', alarm: 'expiryWarning' },
+    AlrmADV_PUMP_EXP2: { value: 27, name: 'AlrmADV_PUMP_EXP2', alarm: 'expiryWarning' },
+    AlrmSYSTEM_ERROR28: { value: 28, name: 'AlrmSYSTEM_ERROR28', alarm: 'systemError' },
+    AlrmEXP_WARNING: { value: 37, name: 'AlrmEXP_WARNING', alarm: 'expiryWarning' },
+    AlrmHAZ_PDM_AUTO_OFF: { value: 39, name: 'AlrmHAZ_PDM_AUTO_OFF', alarm: 'autoOff' }
   };
 
   var LOG_ERRORS = {
@@ -493,6 +492,20 @@ module.exports = function (config) {
     return false;
   };
 
+  // annotates a delivery made from log records that the PDM flagged as unconfirmed
+  // (it didn't hear back from the pod) or as still in progress
+  var annotateDeliveryFlags = function (event, deliveryType, logrecs) {
+    _.forEach(logrecs, function(rec) {
+      if (hasFlag(LOG_FLAGS.UNCOMFIRMED_FLAG, rec.flags)) {
+        annotate.annotateEvent(event, 'insulet/' + deliveryType + '/unconfirmed');
+      }
+      if (hasFlag(LOG_FLAGS.IN_PROGRESS_FLAG, rec.flags)) {
+        annotate.annotateEvent(event, 'insulet/' + deliveryType + '/in-progress');
+      }
+    });
+    return event;
+  };
+
 
   var getFixedRecord = function (recname, offset) {
     var rec = getRecord(offset);
@@ -594,6 +607,10 @@ module.exports = function (config) {
       if (logheader.flags !== 0) {
         logheader.flag_text = getFlagNames(LOG_FLAGS, logheader.flags);
       }
+      if (hasFlag(LOG_FLAGS.ERROR, logheader.flags)) {
+        debug('Ignoring history record %d marked as an error', logheader.log_index);
+        return { rectype: LOG_TYPES.IGNORE.value, packetlen: rec.packetlen };
+      }
     } else {
       // There are other record types but we don't have documentation on them,
       // so we're going to ignore them.
@@ -696,6 +713,8 @@ module.exports = function (config) {
     // so we create a table of backlinks from the calc records to the bolus records that
     // refer to them
     var wizRecords = {};
+    // the index of the last extended bolus, for the carried over halves of split ones
+    var lastExtended = null;
     for (var b = 0; b < bolusrecs.length; ++b) {
       var bolus = data.log_records[bolusrecs[b]];
       var wiz_idx;
@@ -710,8 +729,19 @@ module.exports = function (config) {
       else {
         wiz_idx = bolusrecs[b] + bolus.detail.calculation_record_offset;
       }
+      var isExtended = bolus.detail.extended_duration_msec !== null;
+      // the second half of an extended bolus split over midnight is flagged as
+      // carried over, and goes with the extended bolus before it even when
+      // there's no wizard record to tie them together
+      if (isExtended && hasFlag(LOG_FLAGS.CARRY_OVER_FLAG, bolus.flags) && lastExtended != null) {
+        wiz_idx = lastExtended;
+        bolus.carriedOverTo = lastExtended;
+      }
+      if (isExtended) {
+        lastExtended = wiz_idx;
+      }
       var r = wizRecords[wiz_idx] || {};
-      if (bolus.detail.extended_duration_msec !== null) {
+      if (isExtended) {
         // the extended portion of a dual-wave bolus is split into two records
         // if it crosses local (deviceTime) midnight
         if (r.extended != null) {
@@ -774,139 +804,42 @@ module.exports = function (config) {
 
     for (var a = 0; a < alarmrecs.length; ++a) {
       var alarm = data.log_records[alarmrecs[a]];
-      var postalarm = null, postsuspend = null, postbasal = null;
+      var postsuspend = null, postbasal = null;
       var alarmValue = null;
 
-      postalarm = cfg.builder.makeDeviceEventAlarm()
-        .with_deviceTime(alarm.deviceTime || alarm.alarm.deviceTime);
-      cfg.tzoUtil.fillInUTCInfo(postalarm, alarm.jsDate || alarm.alarm.jsDate);
-
       // handle history-style alarms
       if (alarm.detail) {
         alarmValue = alarm.detail.alarm_type;
-        postalarm.set('index', alarm.log_index);
       }
       // handle non-history alarms
+      // alarm.alarm.alarm is not a typo!
+      else if (alarm.alarm.alarm_text != null) {
+        alarmValue = alarm.alarm.alarm;
+      }
       else {
-        // alarm.alarm.alarm is not a typo!
-        if (alarm.alarm.alarm_text != null) {
-          alarmValue = alarm.alarm.alarm;
-        }
-        else {
-          postalarm = null;
-        }
+        continue;
       }
+
       var alarmText = getNameForValue(ALARM_TYPES, alarmValue);
-      switch (alarmValue) {
-        // alarmType `other`
-        // History - ALARM
-        case ALARM_TYPES.AlrmADV_KEY.value:
-        case ALARM_TYPES.AlrmEXP_WARNING.value:
-        case ALARM_TYPES.AlrmSYSTEM_ERROR10.value:
-        case ALARM_TYPES.AlrmSYSTEM_ERROR12.value:
-        case ALARM_TYPES.AlrmSYSTEM_ERROR28.value:
-        case ALARM_TYPES.AlrmPDM_ERROR0.value:
-        case ALARM_TYPES.AlrmPDM_ERROR1.value:
-        case ALARM_TYPES.AlrmPDM_ERROR2.value:
-        case ALARM_TYPES.AlrmPDM_ERROR3.value:
-        case ALARM_TYPES.AlrmPDM_ERROR4.value:
-        case ALARM_TYPES.AlrmPDM_ERROR5.value:
-        case ALARM_TYPES.AlrmPDM_ERROR6.value:
-        case ALARM_TYPES.AlrmPDM_ERROR7.value:
-        case ALARM_TYPES.AlrmPDM_ERROR8.value:
-        case ALARM_TYPES.AlrmPDM_ERROR9.value:
-        // History - REMOTE HAZ
-        case ALARM_TYPES.AlrmHAZ_REMOTE.value:
-        case ALARM_TYPES.AlrmHAZ_PUMP_ACTIVATE.value:
-        case ALARM_TYPES.AlrmADV_PUMP_AUTO_OFF.value:
-        case ALARM_TYPES.AlrmADV_PUMP_SUSPEND.value:
-        case ALARM_TYPES.AlrmADV_PUMP_EXP1.value:
-        case ALARM_TYPES.AlrmADV_PUMP_EXP2.value:
-          postalarm = postalarm.with_alarmType('other')
-            .with_payload({
-              alarmText: alarmText,
-              explanation: ALARM_TYPES[alarmText].explanation,
-              stopsDelivery: ALARM_TYPES[alarmText].stopsDelivery
-            })
-            .done();
-          break;
-        // Pump advisory and hazard alarm (non-History)
-        // alarmType `low_insulin`
-        case ALARM_TYPES.AlrmADV_PUMP_VOL.value:
-          postalarm = postalarm.with_alarmType('low_insulin')
-            .with_payload({
-              alarmText: alarmText,
-              explanation: ALARM_TYPES[alarmText].explanation,
-              stopsDelivery: ALARM_TYPES[alarmText].stopsDelivery
-            })
-            .done();
-          break;
-        // alarmType `no_insulin`
-        case ALARM_TYPES.AlrmHAZ_PUMP_VOL.value:
-          postsuspend = makeSuspended(alarm);
-          postbasal = makeSuspendBasal(alarm);
-          postalarm = postalarm.with_alarmType('no_insulin')
-            .with_payload({
-              alarmText: getNameForValue(ALARM_TYPES, alarmValue),
-              explanation: ALARM_TYPES[alarmText].explanation,
-              stopsDelivery: ALARM_TYPES[alarmText].stopsDelivery
-            })
-            .with_status(postsuspend)
-            .done();
-          break;
-        // alarmType `occlusion`
-        case ALARM_TYPES.AlrmHAZ_PUMP_OCCL.value:
-          postsuspend = makeSuspended(alarm);
-          postbasal = makeSuspendBasal(alarm);
-          postalarm = postalarm.with_alarmType('occlusion')
-            .with_payload({
-              alarmText: getNameForValue(ALARM_TYPES, alarmValue),
-              explanation: ALARM_TYPES[alarmText].explanation,
-              stopsDelivery: ALARM_TYPES[alarmText].stopsDelivery
-            })
-            .with_status(postsuspend)
-            .done();
-          break;
-        // alarmType `no_delivery`
-        case ALARM_TYPES.AlrmHAZ_PUMP_EXPIRED.value:
-          postsuspend = makeSuspended(alarm);
-          postbasal = makeSuspendBasal(alarm);
-          postalarm = postalarm.with_alarmType('no_delivery')
-            .with_payload({
-              alarmText: getNameForValue(ALARM_TYPES, alarmValue),
-              explanation: ALARM_TYPES[alarmText].explanation,
-              stopsDelivery: ALARM_TYPES[alarmText].stopsDelivery
-            })
-            .with_status(postsuspend)
-            .done();
-          break;
-        // alarmType `auto_off`
-        case ALARM_TYPES.AlrmHAZ_PDM_AUTO_OFF.value:
-        // TODO: clarify with Insulet or get data to figure out whether this (below) is
-        // a warning or the actual auto-off; the spec is confused
-        case ALARM_TYPES.AlrmHAZ_PUMP_AUTO_OFF.value:
-          postsuspend = makeSuspended(alarm);
-          postbasal = makeSuspendBasal(alarm);
-          postalarm = postalarm.with_alarmType('auto_off')
-            .with_payload({
-              alarmText: getNameForValue(ALARM_TYPES, alarmValue),
-              explanation: ALARM_TYPES[alarmText].explanation,
-              stopsDelivery: ALARM_TYPES[alarmText].stopsDelivery
-            })
-            .with_status(postsuspend)
-            .done();
-          break;
-        // for alarm codes not documented in the spec
-        default:
-          if (postalarm) {
-            postalarm = postalarm.with_alarmType('other')
-              .done();
-          }
-          break;
+      var alarmName = 'unknown', details = null;
+      // alarm codes not documented in the spec stay `unknown`
+      if (alarmText != null) {
+        alarmName = ALARM_TYPES[alarmText].alarm;
+        details = {alarmText: alarmText};
+      }
+      var postalarm = alarms.makeAlarm(cfg.builder, alarmName, alarmValue, details)
+        .with_deviceTime(alarm.deviceTime || alarm.alarm.deviceTime);
+      cfg.tzoUtil.fillInUTCInfo(postalarm, alarm.jsDate || alarm.alarm.jsDate);
+      if (alarm.detail) {
+        postalarm.set('index', alarm.log_index);
       }
-      if (postalarm != null) {
-        postrecords.push(postalarm);
+
+      if (alarms.ALARMS[alarmName].stopsDelivery) {
+        postsuspend = makeSuspended(alarm);
+        postbasal = makeSuspendBasal(alarm);
+        postalarm = postalarm.with_status(postsuspend);
       }
+      postrecords.push(postalarm.done());
       if (postsuspend != null) {
         postrecords.push(postsuspend);
       }
@@ -928,7 +861,10 @@ module.exports = function (config) {
       var bolus = data.log_records[bolusrecs[b]];
       var wiz_idx;
       // quick boluses are indexed by UTC timestamp
-      if (bolus.detail.calculation_record_offset === 0) {
+      if (bolus.carriedOverTo != null) {
+        wiz_idx = bolus.carriedOverTo;
+      }
+      else if (bolus.detail.calculation_record_offset === 0) {
         wiz_idx = bolus.time;
       }
       else {
@@ -941,11 +877,14 @@ module.exports = function (config) {
       }
 
       var postbolus = null;
+      // the log records the bolus is made from
+      var sources = [bolus];
       if (wizRecords[wiz_idx]) {
         if (wizRecords[wiz_idx].isDual) {
           var ext = wizRecords[wiz_idx].extended;
           var ext2 = wizRecords[wiz_idx].extended2 || null;
           var imm = wizRecords[wiz_idx].immediate;
+          sources = _.map(_.reject([imm, ext, ext2], _.isNull), function(i) { return data.log_records[i]; });
           postbolus = cfg.builder.makeDualBolus()
             .with_normal(data.log_records[imm].detail.volume_units)
             .with_deviceTime(data.log_records[imm].deviceTime)
@@ -983,6 +922,7 @@ module.exports = function (config) {
             .set('index', bolus.log_index);
           cfg.tzoUtil.fillInUTCInfo(postbolus, bolus.jsDate);
           if (square2 != null) {
+            sources.push(data.log_records[square2]);
             postbolus = postbolus.with_extended(common.fixFloatingPoint(
                 bolus.detail.volume_units + data.log_records[square2].detail.volume_units,
                 2)
@@ -990,16 +930,14 @@ module.exports = function (config) {
               .with_duration(
                 bolus.detail.extended_duration_msec + data.log_records[square2].detail.extended_duration_msec
               ).done();
+            // so the second half isn't made into a bolus of its own
+            wizRecords[wiz_idx].handled = true;
           } else {
             postbolus.with_extended(bolus.detail.volume_units)
               .with_duration(bolus.detail.extended_duration_msec);
-            var millisInDay = sundial.getMsFromMidnight(postbolus.time, postbolus.timezoneOffset);
-            // extended boluses with timestamps at "precisely" (within 5 sec.) of midnight
-            // might actually be the second half of a previous dual- or square-wave bolus
-            // since Insulet always splits these records when they cross midnight
-            // when there isn't a wizard record to tie split records together, we don't
-            // know if this is a component of a split, so we annotate
-            if (millisInDay <= 5000 && !data.log_records[wiz_idx]) {
+            // a carried over half that we couldn't put with its first half, which
+            // must be from before the start of the PDM's memory
+            if (hasFlag(LOG_FLAGS.CARRY_OVER_FLAG, bolus.flags)) {
               annotate.annotateEvent(postbolus, 'insulet/bolus/split-extended');
             }
             postbolus = postbolus.done();
@@ -1031,6 +969,7 @@ module.exports = function (config) {
       }
 
       if (postbolus) {
+        annotateDeliveryFlags(postbolus, 'bolus', sources);
         postrecords.push(postbolus);
         if (wizRecords[wiz_idx]) {
           var wiz = data.log_records[wiz_idx] || {};
@@ -1145,6 +1084,7 @@ module.exports = function (config) {
             .set('suppressed', suppressed);
         }
       }
+      annotateDeliveryFlags(postbasal, 'basal', [basal]);
       postrecords.push(postbasal);
     }
     var lastBasal = postrecords[postrecords.length - 1];
@@ -1463,6 +1403,56 @@ module.exports = function (config) {
     return records;
   };
 
+  // the earlier versions of the settings, from what the history says was in effect
+  var buildSettingsHistory = function (data, records, settings) {
+    var historyrecs = findSpecificRecords(data.log_records, [
+      getValueForName(logRecords, 'Basal_Rate'),
+      getValueForName(logRecords, 'Suggested_Calc')
+    ]);
+    var observations = [];
+    for (var h = 0; h < historyrecs.length; ++h) {
+      var rec = data.log_records[historyrecs[h]];
+      var observation = {
+        index: rec.log_index,
+        start: ((rec.hours * 60 + rec.minutes) * 60 + rec.seconds) * sundial.SEC_TO_MSEC,
+        record: rec
+      };
+      if (rec.rectype_name === 'Basal_Rate') {
+        // only scheduled rates say anything about the basal programs
+        if (rec.detail.duration !== 0) {
+          continue;
+        }
+        observation.scheduledRate = rec.detail.basal_rate_units_per_hour;
+      }
+      else {
+        _.assign(observation, {
+          carbRatio: rec.detail.ic_ratio_used,
+          insulinSensitivity: rec.detail.correction_factor_used,
+          target: rec.detail.target_bg,
+          high: rec.detail.bg_correction_threshold
+        });
+      }
+      observations.push(observation);
+    }
+
+    var postrecords = _.map(settingsHistory(settings, observations), function(version) {
+      var rec = version.observation.record;
+      var postsettings = cfg.builder.makePumpSettings()
+        .with_activeSchedule(version.settings.activeSchedule)
+        .with_units(settings.units)
+        .with_basalSchedules(version.settings.basalSchedules)
+        .with_carbRatio(version.settings.carbRatio)
+        .with_insulinSensitivity(version.settings.insulinSensitivity)
+        .with_bgTarget(version.settings.bgTarget)
+        .with_deviceTime(rec.deviceTime)
+        .set('index', rec.log_index);
+      cfg.tzoUtil.fillInUTCInfo(postsettings, rec.jsDate);
+      annotate.annotateEvent(postsettings, 'insulet/settings/from-history');
+      return postsettings.done();
+    });
+    return records.concat(postrecords);
+  };
+
   return {
     setup: function (deviceInfo, progress, cb) {
       debug('Insulet Setup!');
@@ -1582,6 +1572,7 @@ module.exports = function (config) {
       }
       // order of these matters (we use it to ensure the secondary sort order)
       postrecords = buildTimeChangeRecords(data, postrecords, settings);
+      postrecords = buildSettingsHistory(data, postrecords, settings);
       postrecords = buildActivationRecords(data, postrecords);
       postrecords = buildAlarmRecords(data, postrecords);
       postrecords = buildOcclusionRecords(data, postrecords);
@@ -1705,3 +1696,17 @@ module.exports = function (config) {
     }
   };
 };
+
+// the devices this driver handles, see driverRegistry.js
+module.exports.descriptors = [{
+  driverId: 'InsuletOmniPod',
+  key: 'omnipod',
+  name: 'Insulet OmniPod',
+  deviceName: 'Insulet OmniPod',
+  detail: 'Upload .ibf file from PDM.',
+  mode: 'block',
+  vendorId: 7734,
+  productId: 2,
+  extension: '.ibf',
+  dataTypes: ['basal', 'bolus', 'wizard', 'smbg', 'deviceEvent', 'pumpSettings', 'note']
+}];
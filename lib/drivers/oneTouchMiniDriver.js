@@ -21,12 +21,17 @@ var sundial = require('sundial');
 var crcCalculator = require('../crc.js');
 var struct = require('../struct.js')();
 
-var isBrowser = typeof window !== 'undefined';
-var debug = isBrowser ? require('../bows')('OTMiniDriver') : debug;
+var TZOUtil = require('../TimezoneOffsetUtil');
+var clockDrift = require('../clockDrift');
+var cancelToken = require('../cancelToken');
+
+var debug = require('../bows')('OTMiniDriver');
 
 module.exports = function (config) {
   var cfg = _.clone(config);
   cfg.deviceData = null;
+  // replaced once we have the most recent reading
+  cfg.tzoUtil = new TZOUtil(cfg.timezone, new Date().toISOString(), []);
   var serialDevice = config.deviceComms;
 
   var STX = 0x02;
@@ -123,6 +128,12 @@ module.exports = function (config) {
     return buildPacket(LINK_CTRL_MASK.NONE, cmd.length, cmd);
   };
 
+  var buildWriteRTC = function(timestamp) {
+    var cmd = [0x05, 0x20, 0x01, 0x00, 0x00, 0x00, 0x00];  // the 0s are filled with the time
+    struct.pack(cmd, 3, 'i', timestamp);
+    return buildPacket(LINK_CTRL_MASK.NONE, cmd.length, cmd);
+  };
+
   // accepts a stream of bytes and tries to find a packet
   // at the beginning of it.
   // returns a packet object; if valid == true it's a valid packet
@@ -271,6 +282,10 @@ module.exports = function (config) {
   // this sends a command, then waits for an ack and a response packet,
   // then calls the callback with the response packet
   var oneTouchCommandResponse = function (commandpacket, callback) {
+    // once the upload's been cancelled, send the meter nothing more
+    if (cancelToken.isCancelled(cfg.cancelToken)) {
+      return callback(cancelToken.makeError());
+    }
     // this is a parser for the ack packet only
     var ackparser = function(packet) {
       if (!isValidAcknowledgePacket(packet)) {
@@ -360,6 +375,57 @@ module.exports = function (config) {
     };
   };
 
+  // the meter's clock, like its readings, is its local time in seconds
+  var readClock = function() {
+    return {
+      packet: buildReadRTC(),
+      parser: function (result) {
+        return struct.unpack(result.payload, 0, '..i', ['clock']);
+      }
+    };
+  };
+
+  var writeClock = function(timestamp) {
+    return {
+      packet: buildWriteRTC(timestamp),
+      parser: function (result) {
+        return struct.unpack(result.payload, 0, '..i', ['clock']);
+      }
+    };
+  };
+
+  // measures how far off the meter's clock is and, if we've been asked to
+  // (`cfg.setClock`) and it's far enough off to warn about, sets it;
+  // not being able to doesn't stop the upload
+  var checkClock = function (obj, cb) {
+    oneTouchCommandResponse(readClock(), function (err, result) {
+      if (err) {
+        debug('Failure trying to read the clock.');
+        debug(err);
+        return cb(null, obj);
+      }
+      obj.clockDrift = clockDrift.measure(new Date(result.parsed_payload.clock * 1000), cfg.timezone);
+      debug('Clock drift:', obj.clockDrift);
+      if (!cfg.setClock || !clockDrift.exceedsThreshold(obj.clockDrift)) {
+        return cb(null, obj);
+      }
+
+      var now = new Date();
+      var offset = sundial.getOffsetFromZone(now.toISOString(), cfg.timezone);
+      var localNow = Math.round(now.valueOf() / 1000) + offset * 60;
+      oneTouchCommandResponse(writeClock(localNow), function (err) {
+        if (err) {
+          debug('Failure trying to set the clock.');
+          debug(err);
+        }
+        else {
+          obj.clockDrift.clockSet = true;
+        }
+        cb(null, obj);
+      });
+    });
+  };
+
   var getDeviceInfo = function (obj, cb) {
     debug('resetting oneTouch Mini');
     oneTouchDisconnect(function() {
@@ -422,12 +488,20 @@ module.exports = function (config) {
     });
   };
 
-  var processReadings = function(readings) {
-    _.each(readings, function(reading, index) {
-      readings[index].displayTime = sundial.formatDeviceTime(new Date(reading.timestamp * 1000).toISOString());
-      readings[index].displayUtc = sundial.applyTimezone(readings[index].displayTime, cfg.timezone).toISOString();
-      readings[index].displayOffset = sundial.getOffsetFromZone(readings[index].displayUtc, cfg.timezone);
+  // the meter's timestamps are its local time, in seconds; record 0 is its
+  // newest reading, so the readings are indexed in the opposite order
+  var processReadings = function(readings, drift) {
+    _.each(readings, function(reading, recnum) {
+      reading.index = readings.length - recnum;
+      reading.jsDate = new Date(reading.timestamp * 1000);
+      reading.displayTime = sundial.formatDeviceTime(reading.jsDate);
     });
+    if (!_.isEmpty(readings)) {
+      var mostRecent = sundial.applyTimezone(_.max(readings, 'index').jsDate, cfg.timezone).toISOString();
+      debug('Most recent datum at', mostRecent);
+      cfg.tzoUtil = new TZOUtil(cfg.timezone, mostRecent, [], drift && drift.clockDriftOffset);
+    }
+    return readings;
   };
 
   var prepBGData = function (progress, data) {
@@ -441,10 +515,11 @@ module.exports = function (config) {
         var smbg = cfg.builder.makeSMBG()
           .with_value(datum.glucose)
           .with_deviceTime(datum.displayTime)
-          .with_timezoneOffset(datum.displayOffset)
-          .with_time(datum.displayUtc)
           .with_units('mg/dL')
-          .done();
+          .set('index', datum.index);
+        cfg.tzoUtil.fillInUTCInfo(smbg, datum.jsDate);
+        smbg = smbg.done();
+        delete smbg.index;
         dataToPost.push(smbg);
       }
     }else{
@@ -497,7 +572,12 @@ module.exports = function (config) {
           if (commsErr) {
             cb(commsErr, obj);
           } else {
-            getSerialNumber(obj, function (err, result) {
+            async.waterfall([
+              getSerialNumber.bind(null, obj),
+              function (result, next) {
+                checkClock(obj, next);
+              }
+            ], function (err, result) {
               progress(100);
               data.connect = true;
               _.assign(data, obj);
@@ -544,7 +624,7 @@ module.exports = function (config) {
 
     processData: function (progress, data, cb) {
       progress(0);
-      data.bg_data = processReadings(data.bgmReadings);
+      data.bg_data = processReadings(data.bgmReadings, data.clockDrift);
       data.post_records = prepBGData(progress, data);
       var ids = {};
       for (var i = 0; i < data.post_records.length; ++i) {
@@ -571,9 +651,13 @@ module.exports = function (config) {
         deviceSerialNumber: data.serialNumber,
         deviceId: data.id,
         start: sundial.utcDateString(),
+        timeProcessing: cfg.tzoUtil.type,
         tzName : cfg.timezone,
         version: cfg.version
       };
+      if (data.clockDrift) {
+        sessionInfo.payload = {clockDrift: data.clockDrift};
+      }
 
       cfg.api.upload.toPlatform(data.post_records, sessionInfo, progress, cfg.groupId, function (err, result) {
         if (err) {
@@ -619,3 +703,17 @@ module.exports = function (config) {
   };
 };
 
+// the devices this driver handles, see driverRegistry.js
+module.exports.descriptors = [{
+  driverId: 'OneTouchMini',
+  key: 'onetouchmini',
+  name: 'OneTouch UltraMini',
+  deviceName: 'OneTouch UltraMini',
+  detail: '',
+  mode: 'FTDI',
+  vendorId: 1027,
+  productId: 24577,
+  dataTypes: ['smbg'],
+  canSetClock: true,
+  hidden: true
+}];
@@ -27,6 +27,16 @@
  * P "SAT","03/21/15","16:42:11   ","  105 ","B","02", 00 099F
  * P "SAT","03/21/15","16:39:46   ","  176 ","N","02", 00 09C1
  *
+ * The result is always in mg/dL, whatever units the meter shows, and is
+ * preceded by a `C` for a control solution test. After it comes the meal
+ * flag: `B` before a meal, `A` after one or `N` for neither.
+ *
+ * The units the meter shows are asked for with DMSU?, which answers:
+ * SU?,"MG/DL " 02CA
+ *
+ * and its clock with DMF:
+ * F "SAT","03/21/15","16:47:02   " 0604
+ *
  */
 
 var _ = require('lodash');
@@ -37,12 +47,17 @@ var sundial = require('sundial');
 // Tidepool struct lib
 var struct = require('../struct.js')();
 
-var isBrowser = typeof window !== 'undefined';
-var debug = isBrowser ? require('../bows')('Ultra2Driver') : debug;
+var TZOUtil = require('../TimezoneOffsetUtil');
+var clockDrift = require('../clockDrift');
+var cancelToken = require('../cancelToken');
+
+var debug = require('../bows')('Ultra2Driver');
 
 module.exports = function (config) {
   var cfg = _.clone(config);
   cfg.deviceData = null;
+  // replaced once we have the most recent reading
+  cfg.tzoUtil = new TZOUtil(cfg.timezone, new Date().toISOString(), []);
   var serialDevice = config.deviceComms;
 
   //BYTE START DEFINITION HEX
@@ -56,14 +71,33 @@ module.exports = function (config) {
   var CR = 0x0D;
   var LF = 0x0A;
 
-  function buildDateTime(date, time) {
+  // the meter keeps its results in mg/dL
+  var GLUCOSE_MM = 18.01559;
+
+  var UNITS = {
+    'MG/DL': 'mg/dL',
+    'MMOL/L': 'mmol/L'
+  };
+
+  // the meal flag of a result, for the smbg's payload
+  var MEAL_TAGS = {
+    B: 'beforeMeal',
+    A: 'afterMeal'
+  };
+
+  // the units in a DMSU? answer or the upload's header
+  function parseUnits(str) {
+    var match = /"(MG\/DL|MMOL\/L) *"/.exec(str);
+    return match ? UNITS[match[1]] : null;
+  }
+
+  function convertFromMgdl(value, units) {
+    return units === 'mmol/L' ? value / GLUCOSE_MM : value;
+  }
+
+  function parseDateTime(date, time) {
     var fmt = 'MM/DD/YY HH:mm:ss';
-    var ddate = date + ' ' + time;
-    var parsed = sundial.parseFromFormat(ddate, fmt);
-    var dev = sundial.formatDeviceTime(parsed);
-    var utc = sundial.applyTimezone(dev, cfg.timezone).toISOString();
-    var offset = sundial.getOffsetFromZone(utc, cfg.timezone);
-    return { dev: dev, utc: utc, offset: offset };
+    return sundial.parseFromFormat(date + ' ' + time, fmt);
   }
 
   var buildPacket = function (bytes) {
@@ -151,6 +185,10 @@ module.exports = function (config) {
   };
 
   var otu2CommandResponse = function (command, callback) {
+    // once the upload's been cancelled, send the meter nothing more
+    if (cancelToken.isCancelled(cfg.cancelToken)) {
+      return callback(cancelToken.makeError());
+    }
     var cmd = struct.packString(command);
     serialDevice.writeSerial(cmd, function () {
       listenForPacket(18000, function(err, pkt) {
@@ -164,9 +202,24 @@ module.exports = function (config) {
 
   };
 
+  // measures how far off the meter's clock is; not being able to doesn't stop the upload
   var getSomeInfo = function (obj, cb) {
       debug('DEBUG: on getSomeInfo');
-      cb();
+      otu2CommandResponse(DMDateTime, function(err, result) {
+        if (err) {
+          debug('Failure trying to read the clock.');
+          debug(err);
+          return cb(null, obj);
+        }
+        var match = /F "\w+","(\d{2}\/\d{2}\/\d{2})","(\d{2}:\d{2}:\d{2}) *"/.exec(
+          String.fromCharCode.apply(null, result.bytes)
+        );
+        if (match) {
+          obj.clockDrift = clockDrift.measure(parseDateTime(match[1], match[2]), cfg.timezone);
+          debug('Clock drift:', obj.clockDrift);
+        }
+        cb(null, obj);
+      });
   };
 
   var prepBGData = function (progress, data) {
@@ -197,6 +250,15 @@ module.exports = function (config) {
         checksum = toMatch[4],
         calcchks = 0;
 
+    // the header has the units too, if we couldn't ask the meter for them
+    var units = data.units || parseUnits(header);
+    if (units == null) {
+      debug('Unknown glucose units', oum);
+      return null;
+    }
+    data.units = units;
+    data.controlSolutionTests = [];
+
     // set missing serial number and id
     data.serialNumber = serialno;
     data.id = data.id + serialno;
@@ -213,17 +275,22 @@ module.exports = function (config) {
      }
 
     // get data from lines
-    var dpattern = /P "(\w+)","(\d{2}\/\d{2}\/\d{2})","(\d{2}:\d{2}:\d{2})   ","..(\d{3}).","(.)","(\d{2})",\W00\W(.+)/;
-    _.forEach(splites.slice(1), function(l){ // <-- jump the header
+    var dpattern = /P "(\w+)","(\d{2}\/\d{2}\/\d{2})","(\d{2}:\d{2}:\d{2})   ","(.).(\d{3}).","(.)","(\d{2})",\W00\W(.+)/;
+    var records = _.filter(splites.slice(1), function(l) { // <-- jump the header
+      return l.trim() !== '';
+    });
+    var readings = [];
+    _.forEach(records, function(l, i){
         var ms = l.match(dpattern);
         if(ms){
             var dow = ms[1], // day of week
                 dor = ms[2], // date of reading
                 tor = ms[3], // time of reading
-                rf  = ms[4], // result
-                alv = ms[5], // alpha value
-                umc = ms[6], // numeric value for user meal comment
-                chk = ms[7], // checksum
+                ctl = ms[4], // `C` for a control solution test
+                rf  = ms[5], // result, in mg/dL
+                alv = ms[6], // alpha value, the meal flag
+                umc = ms[7], // numeric value for user meal comment
+                chk = ms[8], // checksum
                 createchk = 0;
 
             var st = l.substr(0, l.indexOf(chk) - 1);
@@ -236,23 +303,56 @@ module.exports = function (config) {
               debug('error...bad checksum in data lines', createchk, chk);
               return null;
             } else {
-              var bdt = buildDateTime(dor, tor);
-
-              var smbg = cfg.builder.makeSMBG()
-                              .with_deviceId('OneTouchUltra2 ' + serialno)
-                              .with_value(parseInt(rf))
-                              .with_deviceTime(bdt.dev)
-                              .with_time(bdt.utc)
-                              .with_timezoneOffset(bdt.offset)
-                              .with_units('mg/dL')
-                              .done();
-              dataToPost.push(smbg);
+              readings.push({
+                // the meter sends its newest result first
+                index: records.length - i,
+                jsDate: parseDateTime(dor, tor),
+                control: ctl === 'C',
+                value: convertFromMgdl(parseInt(rf, 10), units),
+                mealFlag: alv
+              });
             }
         }else{
           debug('ERROR: no match in dpattern');
         }
     });
 
+    if (_.isEmpty(readings)) {
+      debug('Device has no records to upload');
+      return dataToPost;
+    }
+    var mostRecent = sundial.applyTimezone(_.max(readings, 'index').jsDate, cfg.timezone).toISOString();
+    debug('Most recent datum at', mostRecent);
+    cfg.tzoUtil = new TZOUtil(cfg.timezone, mostRecent, [], data.clockDrift && data.clockDrift.clockDriftOffset);
+
+    _.forEach(_.sortBy(readings, 'index'), function(reading) {
+      // control solution tests aren't the patient's blood glucose,
+      // so they go with the upload instead
+      if (reading.control) {
+        data.controlSolutionTests.push({
+          deviceTime: sundial.formatDeviceTime(reading.jsDate),
+          time: cfg.tzoUtil.lookup(reading.jsDate, reading.index).time,
+          value: reading.value,
+          units: units
+        });
+        return;
+      }
+
+      var smbg = cfg.builder.makeSMBG()
+                      .with_deviceId('OneTouchUltra2 ' + serialno)
+                      .with_value(reading.value)
+                      .with_deviceTime(sundial.formatDeviceTime(reading.jsDate))
+                      .with_units(units)
+                      .set('index', reading.index);
+      if (MEAL_TAGS[reading.mealFlag] != null) {
+        smbg.with_payload({mealTag: MEAL_TAGS[reading.mealFlag]});
+      }
+      cfg.tzoUtil.fillInUTCInfo(smbg, reading.jsDate);
+      smbg = smbg.done();
+      delete smbg.index;
+      dataToPost.push(smbg);
+    });
+
     return dataToPost;
   };
 
@@ -293,10 +393,20 @@ module.exports = function (config) {
     },
 
     getConfigInfo: function (progress, data, cb) {
-      // we don't do too much here
       debug('in getConfigInfo', data);
-      progress(100);
-      cb(null, data);
+
+      // the units the meter shows its results in
+      otu2CommandResponse(DMGlucoseUnits, function(err, result) {
+        if (err) {
+          debug('Failure trying to talk to device.');
+          debug(err);
+          return cb(err, null);
+        }
+        data.units = parseUnits(String.fromCharCode.apply(null, result.bytes));
+        debug('Glucose units:', data.units);
+        progress(100);
+        cb(null, data);
+      });
     },
 
     fetchData: function (progress, data, callback) {
@@ -337,9 +447,16 @@ module.exports = function (config) {
         deviceSerialNumber: data.serialNumber,
         deviceId: data.id,
         start: sundial.utcDateString(),
+        timeProcessing: cfg.tzoUtil.type,
         tzName : cfg.timezone,
         version: cfg.version
       };
+      if (data.clockDrift) {
+        sessionInfo.payload = {clockDrift: data.clockDrift};
+      }
+      if (!_.isEmpty(data.controlSolutionTests)) {
+        sessionInfo.payload = _.assign({}, sessionInfo.payload, {controlSolutionTests: data.controlSolutionTests});
+      }
 
       cfg.api.upload.toPlatform(data.post_records, sessionInfo, progress, cfg.groupId, function (err, result) {
         if (err) {
@@ -385,3 +502,19 @@ module.exports = function (config) {
     }
   };
 };
+
+// the devices this driver handles, see driverRegistry.js
+module.exports.descriptors = [{
+  driverId: 'OneTouchUltra2',
+  key: 'onetouchultra2',
+  name: 'OneTouch Ultra2',
+  deviceName: 'OneTouch Ultra2',
+  detail: '',
+  mode: 'FTDI',
+  vendorId: 1027,
+  productId: 24577,
+  bitrate: 9600,
+  sendTimeout: 5000,
+  dataTypes: ['smbg'],
+  hidden: true
+}];
@@ -46,6 +46,8 @@ module.exports = function(config) {
   var logcount = 0;
   var loglimit = 400;
   var doLogging = (config && config.doLogging) || false;
+  // an optional trafficRecorder that captures the whole session
+  var recorder = config.recorder || null;
   var connectionId;
 
   function init() {
@@ -103,6 +105,9 @@ module.exports = function(config) {
   };
 
   function _receiveSomeBytes(bufView) {
+    if (recorder) {
+      recorder.received(bufView);
+    }
     for (var i=0; i<bufView.byteLength; i++) {
       buffer.push(bufView[i]);
     }
@@ -167,6 +172,9 @@ module.exports = function(config) {
 
           debug('connection Id ' + connectInfo.connectionId);
           connection = connectInfo;
+          if (recorder) {
+            recorder.connected(deviceInfo, String(deviceInfo.deviceId));
+          }
 
           probe(function(err) {
             if (!err) {
@@ -180,8 +188,6 @@ module.exports = function(config) {
               cb(new Error('Could not connect to device: '+ deviceDebugInfo));
             }
           });
-
-          cb();
         } else {
           cb(new Error('Unable to connect to device'));
         }
@@ -193,6 +199,9 @@ module.exports = function(config) {
     if (connection === null){
       return;
     }else{
+      if (recorder) {
+        recorder.disconnected();
+      }
       chrome.hid.disconnect(connectionId, function(){
         cb();
         console.log('disconnected from HIDDevice');
@@ -227,6 +236,9 @@ module.exports = function(config) {
       debug('just tried to send nothing!');
     } else {
       var reportId = 0;
+      if (recorder) {
+        recorder.sent(bytes);
+      }
       chrome.hid.send(connectionId, reportId, bytes, function(err){
         if(chrome.runtime.lastError) {
             callback(new Error('Could not connect to device: '+ chrome.runtime.lastError.message));
@@ -16,7 +16,7 @@ var builder = require('../../objectBuilder.js')();
 /*
  * Load the given insulet file and then parse and send the data to the tp-platform
  */
-function loadFile(filePath, tz, userid) {
+function loadFile(filePath, tz, userid, dryRun) {
   // http://stackoverflow.com/questions/8609289/convert-a-binary-nodejs-buffer-to-javascript-arraybuffer
   function toArrayBuffer(buffer) {
       var ab = new ArrayBuffer(buffer.length);
@@ -36,7 +36,7 @@ function loadFile(filePath, tz, userid) {
 
     var drivers = {'Insulet': insuletDriver};
     var cfg = { 'Insulet': {
-      api: api,
+      api: dryRun ? {upload: dryRun} : api,
       builder: builder,
       filedata: toArrayBuffer(data),
       filename: filePath,
@@ -45,20 +45,26 @@ function loadFile(filePath, tz, userid) {
       groupId: userid
     } };
 
-    processInsulet(driverManager(drivers,cfg));
+    processInsulet(driverManager(drivers,cfg), dryRun);
   });
 }
 
 /*
  * Process our raw insulet data
  */
-function processInsulet(driverMgr){
+function processInsulet(driverMgr, dryRun){
   driverMgr.process('Insulet', function(err, result) {
     if (err) {
       console.log(intro, 'Error processing Insulet data:', err);
       console.log(err.stack);
       process.exit();
     }
+    if (dryRun) {
+      var output = program.output || program.file + '.dry-run.json';
+      fs.writeFileSync(output, dryRun.serialize());
+      console.log(intro + ' Dry run! Wrote the [%s] events that would be uploaded to %s', result.post_records.length, output);
+      process.exit();
+    }
     console.log(intro + ' All good! loaded [%s] events - check in blip :)', result.post_records.length);
     process.exit();
   });
@@ -84,11 +90,20 @@ program
   .option('-u, --username [user]', 'username')
   .option('-p, --password [pw]', 'password')
   .option('-t, --timezone [tz]', 'named timezone', config.DEFAULT_TIMEZONE)
+  .option('-n, --dry-run', 'don\'t upload, but write what would be uploaded to a JSON file')
+  .option('-o, --output [path]', 'the file for a dry run, by default the insulet file path + .dry-run.json')
   .parse(process.argv);
 
 console.log(intro, 'Loading Insulet file...');
 
-if(program.file && program.username && program.password) {
+if(program.file && program.dryRun) {
+  if (fs.existsSync(program.file)){
+    console.log(intro, 'Loading using the timezone', program.timezone);
+    loadFile(program.file, program.timezone, null, api.upload.makeDryRun());
+  }else{
+    console.log(intro + ' Insulet file at [%s] not found', program.file);
+  }
+}else if(program.file && program.username && program.password) {
   if (fs.existsSync(program.file)){
 
     login(program.username, program.password, config, function(err, data){
@@ -19,6 +19,7 @@ var _ = require('lodash');
 var sundial = require('sundial');
 var util = require('util');
 
+var alarms = require('../alarms');
 var annotate = require('../eventAnnotations');
 var common = require('./common');
 
@@ -110,10 +111,8 @@ exports.make = function(config){
 
   return {
     alarm: function(event) {
-      if (event.payload != null && event.payload.stopsDelivery === true) {
-        if (event.status == null && event.index != null) {
-          throw new Error('An Insulet alarm with a log index that has `stopsDelivery` in the payload must have a `status`.');
-        }
+      if (alarms.stopsDelivery(event) && event.status == null && event.index != null) {
+        throw new Error('An Insulet alarm with a log index that stops delivery must have a `status`.');
       }
       simpleSimulate(event);
     },
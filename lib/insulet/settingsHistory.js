@@ -0,0 +1,137 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+var _ = require('lodash');
+
+var common = require('./common');
+
+// what a bolus calculation used, and where it's kept in the settings
+var CALC_FIELDS = [
+  { observed: 'carbRatio', schedule: 'carbRatio', key: 'amount' },
+  { observed: 'insulinSensitivity', schedule: 'insulinSensitivity', key: 'amount' },
+  { observed: 'target', schedule: 'bgTarget', key: 'target' },
+  { observed: 'high', schedule: 'bgTarget', key: 'high' }
+];
+
+// the PDM logs this for values that weren't given
+var NOT_GIVEN = 65535;
+
+function same(a, b) {
+  return common.fixFloatingPoint(a) === common.fixFloatingPoint(b);
+}
+
+// the step of a schedule that covers `start` milliseconds from midnight;
+// before the first step it's the last one, carried over from the day before
+function stepAt(schedule, start) {
+  var i = _.findLastIndex(schedule, function(step) { return step.start <= start; });
+  return schedule[i === -1 ? schedule.length - 1 : i];
+}
+
+function agrees(schedule, start, key, value) {
+  if (_.isEmpty(schedule)) {
+    return true;
+  }
+  return same(stepAt(schedule, start)[key], value);
+}
+
+/*
+ * Reconstructs the history of the PDM's settings, working back from the
+ * settings at the time of the download.
+ *
+ * The PDM doesn't log changes to its settings, but its history does have the
+ * scheduled basal rate at each change of rate and the ratio, sensitivity and
+ * target each bolus calculation used. Going back through these observations,
+ * one that doesn't agree with the settings means they were different then:
+ * a scheduled rate from another basal program means that program was active,
+ * otherwise the program (or ratio, sensitivity or target) must have had the
+ * observed value in the step that covers the observation's time of day.
+ *
+ * `observations` have their `start` in milliseconds from midnight and
+ * either a `scheduledRate` or the `carbRatio`, `insulinSensitivity`, `target`
+ * and `high` of a bolus calculation. They're returned with the settings.
+ *
+ * Returns `{settings, observation}` for each version of the settings found,
+ * oldest first, with the earliest observation that agrees with it;
+ * or nothing, if the settings didn't change.
+ */
+module.exports = function(current, observations) {
+  observations = _.sortBy(observations || [], 'index').reverse();
+
+  var versions = [];
+  var settings = _.cloneDeep(_.pick(current, 'activeSchedule', 'basalSchedules',
+    'carbRatio', 'insulinSensitivity', 'bgTarget'));
+  // the earliest observation that agrees with `settings`
+  var earliest = null;
+
+  // returns the settings amended to agree with the observation,
+  // or null if they already do
+  function amend(observation) {
+    var amended = _.cloneDeep(settings);
+    var differs = false;
+
+    if (observation.scheduledRate != null) {
+      var rate = observation.scheduledRate;
+      var schedules = settings.basalSchedules || {};
+      if (!agrees(schedules[settings.activeSchedule], observation.start, 'rate', rate)) {
+        var other = _.findKey(schedules, function(schedule) {
+          return !_.isEmpty(schedule) && agrees(schedule, observation.start, 'rate', rate);
+        });
+        if (other != null) {
+          amended.activeSchedule = other;
+        }
+        else {
+          stepAt(amended.basalSchedules[settings.activeSchedule], observation.start).rate = rate;
+        }
+        differs = true;
+      }
+    }
+
+    _.forEach(CALC_FIELDS, function(field) {
+      var value = observation[field.observed];
+      if (value == null || value === NOT_GIVEN) {
+        return;
+      }
+      if (!agrees(settings[field.schedule], observation.start, field.key, value)) {
+        stepAt(amended[field.schedule], observation.start)[field.key] = value;
+        differs = true;
+      }
+    });
+
+    return differs ? amended : null;
+  }
+
+  var changed = false;
+  _.forEach(observations, function(observation) {
+    var amended = amend(observation);
+    if (amended != null) {
+      // the settings we had were in effect from the earliest observation that
+      // agrees with them, unless that's the download itself
+      if (earliest != null) {
+        versions.unshift({settings: settings, observation: earliest});
+      }
+      settings = amended;
+      changed = true;
+    }
+    earliest = observation;
+  });
+
+  if (changed) {
+    versions.unshift({settings: settings, observation: earliest});
+  }
+
+  return versions;
+};
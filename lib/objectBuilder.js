@@ -199,6 +199,18 @@ module.exports = function () {
     return rec;
   }
 
+  function makeDeviceEventPrime() {
+    var rec = _.assign(_createObject(), deviceInfo, {
+      type: 'deviceEvent',
+      subType: 'prime',
+      primeTarget: REQUIRED,
+      volume: OPTIONAL,
+      payload: OPTIONAL
+    });
+    rec._bindProps();
+    return rec;
+  }
+
   function makeDeviceEventReservoirChange() {
     var rec = _.assign(_createObject(), deviceInfo, {
       type: 'deviceEvent',
@@ -223,6 +235,18 @@ module.exports = function () {
     return rec;
   }
 
+  function makeDeviceEventSensorState() {
+    var rec = _.assign(_createObject(), deviceInfo, {
+      type: 'deviceEvent',
+      subType: 'sensorState',
+      state: REQUIRED,
+      duration: OPTIONAL,
+      payload: OPTIONAL
+    });
+    rec._bindProps();
+    return rec;
+  }
+
   function makeDeviceEventSuspend() {
     var rec = _.assign(_createObject(), deviceInfo, {
       type: 'deviceEvent',
@@ -431,8 +455,10 @@ module.exports = function () {
     makeCGMSettings: makeCGMSettings,
     makeDeviceEventAlarm: makeDeviceEventAlarm,
     makeDeviceEventCalibration: makeDeviceEventCalibration,
+    makeDeviceEventPrime: makeDeviceEventPrime,
     makeDeviceEventReservoirChange: makeDeviceEventReservoirChange,
     makeDeviceEventResume: makeDeviceEventResume,
+    makeDeviceEventSensorState: makeDeviceEventSensorState,
     makeDeviceEventSuspend: makeDeviceEventSuspend,
     makeDeviceEventTimeChange: makeDeviceEventTimeChange,
     makeDualBolus: makeDualBolus,
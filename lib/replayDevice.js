@@ -0,0 +1,264 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+// A stand-in for serialDevice and hidDevice that plays back a session
+// captured by trafficRecorder, so that drivers can be run without hardware.
+// Pass it to a driver as its `deviceComms`, with the capture's deviceInfo:
+//
+//   var comms = replayDevice({capture: trafficRecorder.parse(text)});
+//   var driver = dexcomDriver({deviceComms: comms, ...});
+//
+// Every write must match the next bytes sent in the capture. After each one
+// the bytes the device sent back are delivered to the packet handler (serial),
+// or handed out by receive() (HID).
+
+var _ = require('lodash');
+
+var trafficRecorder = require('./trafficRecorder');
+
+var debug = require('./bows')('ReplayDevice');
+
+module.exports = function(config) {
+  config = config || {};
+  var capture = trafficRecorder.parse(config.capture);
+  var isHid = capture.mode === 'HID';
+  var entries = capture.entries;
+  var position = 0;
+  var connected = false;
+  var buffer = [];
+  var packetBuffer = [];
+  var packetHandler = null;
+  var receivers = [];
+
+  var bufobj = {
+    get : function(n) {return buffer[n]; },
+    len : function() { return buffer.length; },
+    discard : function(n) { discardBytes(n); },
+    bytes : function() {
+      return new Uint8Array(buffer);
+    }
+  };
+
+  function nextEntry() {
+    return entries[position] || null;
+  }
+
+  function mismatch(expected, actual) {
+    return new Error('Replay expected ' + expected + ' but got ' + actual +
+      ' at entry ' + position);
+  }
+
+  function receiveSomeBytes(bytes) {
+    for (var i = 0; i < bytes.length; i++) {
+      buffer.push(bytes[i]);
+    }
+    if (packetHandler) {
+      var pkt = packetHandler(bufobj);
+      while (pkt) {
+        packetBuffer.push(pkt);
+        pkt = packetHandler(bufobj);
+      }
+    }
+  }
+
+  // hand out whatever the device sent next, if anyone's listening for it
+  function deliver() {
+    var entry = nextEntry();
+    while (connected && entry && entry.type === 'rx') {
+      var bytes = trafficRecorder.fromHex(entry.data);
+      if (isHid) {
+        if (receivers.length === 0) {
+          return;
+        }
+        ++position;
+        receiveSomeBytes(bytes);
+        receivers.shift()(bytes.buffer);
+      }
+      else {
+        ++position;
+        receiveSomeBytes(bytes);
+      }
+      entry = nextEntry();
+    }
+  }
+
+  function scheduleDelivery() {
+    setTimeout(deliver, 0);
+  }
+
+  function connect(deviceInfo, handler, probe, cb) {
+    if (_.isFunction(handler)) {
+      setPacketHandler(handler);
+    } else if (_.isObject(handler)) {
+      setPacketHandler(handler.packetHandler);
+    }
+    flush();
+
+    // each 'connect' in the capture is a port that was tried; if the probe
+    // failed there, the capture carries on from its 'disconnect'
+    var tryNextPort = function() {
+      var entry = nextEntry();
+      if (entry == null || entry.type !== 'connect') {
+        return cb(new Error('Could not connect to a matching device port: ' +
+          'no more connections in the capture'));
+      }
+      debug('replaying connection to', entry.port);
+      ++position;
+      connected = true;
+      scheduleDelivery();
+      probe(function(err) {
+        if (!err) {
+          return cb();
+        }
+        connected = false;
+        while (nextEntry() && nextEntry().type !== 'disconnect') {
+          ++position;
+        }
+        ++position;
+        tryNextPort();
+      });
+    };
+    tryNextPort();
+  }
+
+  function disconnect(deviceInfo, cb) {
+    if (_.isFunction(deviceInfo)) {
+      cb = deviceInfo;
+    }
+    var entry = nextEntry();
+    if (entry && entry.type === 'disconnect') {
+      ++position;
+    }
+    connected = false;
+    receivers = [];
+    if (cb) {
+      cb();
+    }
+  }
+
+  function write(bytes, callback) {
+    var sent = trafficRecorder.toHex(new Uint8Array(bytes));
+    var entry = nextEntry();
+    if (entry == null || entry.type !== 'tx') {
+      return callback(mismatch(entry ? entry.type : 'the end of the capture', 'tx ' + sent));
+    }
+    if (entry.data !== sent && !config.loose) {
+      return callback(mismatch('tx ' + entry.data, 'tx ' + sent));
+    }
+    ++position;
+    scheduleDelivery();
+    callback(null, {bytesSent: bytes.byteLength || bytes.length});
+  }
+
+  function writeSerial(bytes, callback) {
+    write(bytes, function(err, info) {
+      callback(err, info || {bytesSent: 0, error: err && err.message});
+    });
+  }
+
+  function send(bytes, callback) {
+    write(bytes, function(err) {
+      callback(err);
+    });
+  }
+
+  function receive(cb) {
+    receivers.push(cb);
+    deliver();
+  }
+
+  function changeBitRate(newrate, cb) {
+    var entry = nextEntry();
+    if (entry && entry.type === 'bitrate') {
+      ++position;
+    }
+    if (cb) {
+      cb(connected);
+    }
+  }
+
+  function discardBytes(discardCount) {
+    buffer = buffer.slice(discardCount);
+  }
+
+  function readSerial(bytes, timeout, callback) {
+    var packet;
+    if (buffer.length >= bytes || timeout === 0) {
+      packet = buffer.slice(0, bytes);
+      buffer = buffer.slice(packet.length);
+      callback(packet);
+    } else {
+      setTimeout(function() {
+        readSerial(bytes, 0, callback);
+      }, timeout);
+    }
+  }
+
+  function setPacketHandler(handler) {
+    packetHandler = handler;
+  }
+
+  function clearPacketHandler() {
+    packetHandler = null;
+  }
+
+  function hasAvailablePacket() {
+    return packetBuffer.length > 0;
+  }
+
+  function peekPacket() {
+    return hasAvailablePacket() ? packetBuffer[0] : null;
+  }
+
+  function nextPacket() {
+    return hasAvailablePacket() ? packetBuffer.shift() : null;
+  }
+
+  function flush() {
+    packetBuffer = [];
+  }
+
+  // true once every entry in the capture has been played back
+  function isFinished() {
+    return position >= entries.length;
+  }
+
+  return {
+    connect: connect,
+    disconnect: disconnect,
+    writeSerial: writeSerial,
+    send: send,
+    receive: receive,
+    changeBitRate: changeBitRate,
+    discardBytes: discardBytes,
+    readSerial: readSerial,
+    setPacketHandler: setPacketHandler,
+    clearPacketHandler: clearPacketHandler,
+    setErrorHandler: _.noop,
+    clearErrorHandler: _.noop,
+    hasAvailablePacket: hasAvailablePacket,
+    peekPacket: peekPacket,
+    nextPacket: nextPacket,
+    flush: flush,
+    recordPort: _.noop,
+    setPattern: _.noop,
+    setBitrate: _.noop,
+    emitLog: _.noop,
+    packetBuffer: function() { return packetBuffer; },
+    isFinished: isFinished
+  };
+};
@@ -47,6 +47,8 @@ module.exports = function(config) {
   var logcount = 0;
   var loglimit = 400;
   var doLogging = (config && config.doLogging) || false;
+  // an optional trafficRecorder that captures the whole session
+  var recorder = config.recorder || null;
 
   if (config.silent) {
     // debug = _.noop;
@@ -107,6 +109,9 @@ module.exports = function(config) {
   };
 
   function _receiveSomeBytes(bufView) {
+    if (recorder) {
+      recorder.received(bufView);
+    }
     for (var i=0; i<bufView.byteLength; i++) {
       buffer.push(bufView[i]);
     }
@@ -185,8 +190,12 @@ module.exports = function(config) {
 
     // generate a list of all the ports in the system
     chrome.serial.getDevices(function(ports) {
-      // filter the list of ports if we can, using the portPattern if we have one
-      if (deviceInfo.portPattern) {
+      // if detection told us which port the device is on, only try that one;
+      // otherwise filter the list of ports using the portPattern if we have one
+      if (deviceInfo.port) {
+        ports = _.filter(ports, {path: deviceInfo.port});
+      }
+      else if (deviceInfo.portPattern) {
         ports = _.filter(ports, function(p) {
           return p.path.match(deviceInfo.portPattern);
         });
@@ -231,11 +240,17 @@ module.exports = function(config) {
           }
           if (conn && conn.connectionId) {
             connection = conn;
+            if (recorder) {
+              recorder.connected(deviceInfo, port.path);
+            }
             probe(function(err) {
               if (!err) {
                 return done(conn); // we found a port so abort the eachSerial
               } else {
                 // it didn't work so disconnect
+                if (recorder) {
+                  recorder.disconnected();
+                }
                 chrome.serial.disconnect(conn.connectionId, function() {});  // don't care what the result is
                 return done();
               }
@@ -284,6 +299,9 @@ module.exports = function(config) {
   function disconnect(cb) {
     chrome.serial.onReceive.removeListener(portListener);
     if (connection) {
+      if (recorder) {
+        recorder.disconnected();
+      }
       chrome.serial.disconnect(connection.connectionId, function(result) {
         addlog(' done\n');
         logdump();
@@ -305,6 +323,9 @@ module.exports = function(config) {
     if (connection) {
       addlog(' change bitrate to ' + newrate + '\n');
       bitrate = newrate;
+      if (recorder) {
+        recorder.bitrate(newrate);
+      }
       chrome.serial.disconnect(connection.connectionId, function(result) {
         debug('reconnecting on ' + connection.name + ' at ' + bitrate);
         setTimeout(function() {
@@ -377,6 +398,9 @@ module.exports = function(config) {
     if (bytes == null) {
       debug('just tried to send nothing!');
     } else {
+      if (recorder) {
+        recorder.sent(bytes);
+      }
       chrome.serial.send(connection.connectionId, bytes, sendcheck);
     }
   }
@@ -25,17 +25,25 @@ var localStore = require('../core/localStore');
 var api = require('../core/api');
 var device = require('../core/device');
 var carelink = require('../core/carelink');
+var cancelToken = require('../cancelToken');
+var outbox = require('../core/outbox');
+var repeat = require('../core/repeat');
 var appState = require('./appState');
 
 var config = require('../config.js');
 
 var appActions = {};
 
+// how often to try sending uploads queued while offline
+var OUTBOX_SYNC_INTERVAL = 60 * 1000;
+
 appActions.trackedState = {
   LOGIN_SUCCESS : 'Login Successful',
   LOGOUT_CLICKED : 'Clicked Log Out',
   UPLOAD_FAILED : 'Upload Failed',
   UPLOAD_SUCCESS : 'Upload Successful',
+  UPLOAD_QUEUED : 'Upload Queued',
+  UPLOAD_CANCELLED : 'Upload Cancelled',
   UPLOAD_STARTED : 'Upload Attempted',
   CARELINK_FETCH_FAILED : 'CareLink Fetch Failed',
   CARELINK_FETCH_SUCCESS : 'CareLink Fetch Successful',
@@ -47,7 +55,7 @@ appActions.trackedState = {
 appActions.errorText = {
   E_READING_FILE : 'Error reading file: ',
   E_WRONG_FILE_EXT : 'Please choose a file ending in ',
-  E_UPLOAD_IN_PROGRESS : 'Cannot start upload while an upload is in progress',
+  E_UPLOAD_IN_PROGRESS : 'Cannot start upload while this device is already uploading',
   E_UNSUPPORTED_TYPE : 'Unsupported upload source type: ',
   E_INVALID_UPLOAD_INDEX : 'Invalid upload index: ',
   E_DEVICE_NOT_CONNECTED : 'The device doesn\'t appear to be connected'
@@ -193,7 +201,8 @@ appActions.load = function(cb) {
       // these are for initialization only -- they get overwritten
       // if someone changes the URL
       apiUrl: config.API_URL,
-      uploadUrl: config.UPLOAD_URL
+      uploadUrl: config.UPLOAD_URL,
+      uploadConcurrency: config.UPLOAD_CONCURRENCY
     }),
     setHostsWithCallback,
   ], function(err, results) {
@@ -297,6 +306,7 @@ appActions._afterLoginPage = function(user, cb) {
   var self = this;
 
   var defaultTargetId = self._getDefaultTargetId(user);
+  self._startOutboxSync();
   var devices = localStore.getItem('devices') || {};
   var targetDevicesWithTimezones = devices[defaultTargetId];
   var targetDevices = _.pluck(targetDevicesWithTimezones, 'key');
@@ -334,6 +344,8 @@ appActions.logout = function(cb) {
       return cb(err);
     }
 
+    self._stopOutboxSync();
+
     self.app.setState(_.assign(appState.getInitial(), {
       page: 'login'
     }));
@@ -441,44 +453,61 @@ appActions._logError = function(error, friendlyMessage, properties) {
 appActions._mergeDevicesWithUploads = function(devices, uploads) {
   var self = this;
 
-  // map connected devices to upload ids
-  var connectedDeviceMap = _.reduce(devices, function(acc, d) {
-    var upload = self._newUploadFromDevice(d);
-    acc[self._getUploadId(upload)] = d;
-    return acc;
-  }, {});
+  // group connected devices by driver
+  var connectedDeviceMap = _.groupBy(devices, function(d) {
+    return self._getUploadId(self._newUploadFromDevice(d));
+  });
 
   // work only on device uploads
   var deviceUploads = _.filter(uploads, function(upload) {
     return upload.source.type === 'device';
   });
 
-  // mark device uploads that are disconnected
-  // and add any newly connected devices at the end of the list
-  var newDeviceMap = _.clone(connectedDeviceMap);
-  _.forEach(deviceUploads, function(upload) {
-    var uploadId = self._getUploadId(upload);
-    var connectedDevice = connectedDeviceMap[uploadId];
-    if (!connectedDevice) {
-      upload.source.connected = false;
-      delete upload.progress;
-    }
-    else {
-      upload.source = _.assign(
-        upload.source, {connected: true}, connectedDevice
-      );
-      delete newDeviceMap[uploadId];
-    }
+  // each connected device gets its own upload: the uploads for a driver are
+  // matched up with its connected devices, and any extra devices get new
+  // uploads right after the driver's others
+  var newUploads = [];
+  var uploadIds = _.uniq(_.map(deviceUploads, self._getUploadId));
+  _.forEach(uploadIds, function(uploadId) {
+    var driverUploads = _.filter(deviceUploads, function(upload) {
+      return self._getUploadId(upload) === uploadId;
+    });
+    var connectedDevices = connectedDeviceMap[uploadId] || [];
+    delete connectedDeviceMap[uploadId];
+    var pairs = self._pairDevicesWithUploads(connectedDevices, driverUploads);
+
+    _.forEach(driverUploads, function(upload, index) {
+      var connectedDevice = pairs[index];
+      if (connectedDevice) {
+        upload.source = _.assign(
+          upload.source, {connected: true}, connectedDevice
+        );
+        newUploads.push(upload);
+      }
+      // keep one (disconnected) upload per driver
+      else if (index === 0) {
+        upload.source.connected = false;
+        delete upload.progress;
+        newUploads.push(upload);
+      }
+    });
+
+    _.forEach(_.difference(connectedDevices, pairs), function(d) {
+      newUploads.push(_.assign(
+        _.pick(driverUploads[0], 'name', 'key'), self._newUploadFromDevice(d)
+      ));
+    });
   });
-  _.forEach(_.values(newDeviceMap), function(d) {
-    deviceUploads.push(self._newUploadFromDevice(d));
+
+  // add any newly connected devices at the end of the list
+  _.forEach(_.flatten(_.values(connectedDeviceMap)), function(d) {
+    newUploads.push(self._newUploadFromDevice(d));
   });
 
   // add back CareLink upload at beginning of list
   var carelinkUpload = _.find(uploads, function(upload) {
     return upload.source.type === 'carelink';
   });
-  var newUploads = deviceUploads;
   if (carelinkUpload) {
     newUploads.unshift(carelinkUpload);
   }
@@ -486,6 +515,23 @@ appActions._mergeDevicesWithUploads = function(devices, uploads) {
   return newUploads;
 };
 
+// Returns the device connected for each upload, by upload index:
+// an upload gets the device on the port it was last seen on if there is one,
+// and otherwise the next of the remaining devices
+appActions._pairDevicesWithUploads = function(devices, uploads) {
+  var remaining = _.clone(devices);
+  var pairs = _.map(uploads, function(upload) {
+    var d = upload.source.port != null && _.find(remaining, {port: upload.source.port});
+    if (d) {
+      remaining = _.without(remaining, d);
+    }
+    return d || null;
+  });
+  return _.map(pairs, function(d) {
+    return d || remaining.shift() || null;
+  });
+};
+
 appActions._getUploadId = function(upload) {
   var source = upload.source;
   if (source.type === 'device' || source.type === 'block') {
@@ -569,26 +615,38 @@ appActions.upload = function(uploadIndex, options, cb) {
 
   this._assertValidUploadIndex(uploadIndex);
 
-  if (appState.hasUploadInProgress()) {
+  // uploads from different devices can run side by side
+  if (appState.isUploadInProgress(uploadIndex)) {
     var err = new Error(self.errorText.E_UPLOAD_IN_PROGRESS);
     appActions.addMoreInfoToError(err, appActions.errorStages['STAGE_UPLOAD']);
     throw err;
   }
 
   var upload = this.app.state.uploads[uploadIndex];
+  var token = cancelToken();
+  this._cancelTokens[uploadIndex] = token;
 
   options = _.assign(options, {
     targetId: this.app.state.targetId,
     timezone: this.app.state.targetTimezone,
     progress: this._setUploadPercentage.bind(this, uploadIndex),
+    cancelToken: token,
+    recordTraffic: config.RECORD_TRAFFIC,
     version: config.namedVersion //e.g. Tidepool Uploader v0.1.0
   });
-  var onUploadFinish = function(err, records) {
+  // `details` has anything else about the upload to show the user:
+  // the `unsupportedRows` of a CareLink export and the device's `clockDrift`
+  var onUploadFinish = function(err, records, queueId, details) {
+    delete self._cancelTokens[uploadIndex];
+    if (cancelToken.isCancelError(err)) {
+      self._handleUploadCancelled(uploadIndex);
+      return cb(err);
+    }
     if (err) {
       self._handleUploadError(uploadIndex, err);
       return cb(err);
     }
-    self._handleUploadSuccess(uploadIndex, records);
+    self._handleUploadSuccess(uploadIndex, records, queueId, details);
     return cb(null, records);
   };
 
@@ -600,8 +658,9 @@ appActions.upload = function(uploadIndex, options, cb) {
   );
 
   if (upload.source.type === 'device' || upload.source.type === 'block') {
-    var driverId = this.app.state.uploads[uploadIndex].source.driverId;
-    return this._uploadDevice(driverId, options, onUploadFinish);
+    var source = this.app.state.uploads[uploadIndex].source;
+    options.port = source.port;
+    return this._uploadDevice(source.driverId, options, onUploadFinish);
   }
   else if (upload.source.type === 'carelink') {
     var credentials = {
@@ -617,6 +676,18 @@ appActions.upload = function(uploadIndex, options, cb) {
   }
 };
 
+// cancel tokens for the uploads in progress, by upload index
+appActions._cancelTokens = {};
+
+// aborts the upload in progress at `uploadIndex`; the driver still
+// disconnects from the device before the upload is marked as cancelled
+appActions.cancelUpload = function(uploadIndex) {
+  var token = this._cancelTokens[uploadIndex];
+  if (token) {
+    token.cancel();
+  }
+};
+
 appActions._assertValidUploadIndex = function(uploadIndex) {
   if (uploadIndex > this.app.state.uploads.length - 1) {
     var err = new Error(this.errorText.E_INVALID_UPLOAD_INDEX + uploadIndex);
@@ -655,12 +726,14 @@ appActions._setUploadPercentage = function(uploadIndex, step, percentage) {
   });
 };
 
-appActions._handleUploadSuccess = function(uploadIndex, records) {
+appActions._handleUploadSuccess = function(uploadIndex, records, queueId, details) {
   var self = this;
+  details = details || {};
   this._updateUpload(uploadIndex, function(upload) {
+    var trackedState = queueId ? self.trackedState.UPLOAD_QUEUED : self.trackedState.UPLOAD_SUCCESS;
     //log metric details
     self._logMetric(
-      self.trackedState.UPLOAD_SUCCESS+' '+self._getUploadId(upload),
+      trackedState+' '+self._getUploadId(upload),
       { type: upload.source.type,
         source: upload.source.driverId,
         started: upload.progress.start,
@@ -674,6 +747,44 @@ appActions._handleUploadSuccess = function(uploadIndex, records) {
       success: true,
       count: records.length
     });
+    // records that couldn't reach the platform are sent later from the outbox
+    if (queueId) {
+      instance.queued = true;
+      instance.queueId = queueId;
+    }
+    // rows of a CareLink export we couldn't read, to tell the user about
+    if (!_.isEmpty(details.unsupportedRows)) {
+      instance.unsupportedRows = details.unsupportedRows;
+    }
+    // how far the device's clock was off from the computer's
+    if (details.clockDrift) {
+      instance.clockDrift = details.clockDrift;
+    }
+    upload.progress = instance;
+    upload = self._addToUploadHistory(upload, instance);
+    if (upload.file != null) {
+      delete upload.file;
+    }
+    return upload;
+  });
+
+  if (queueId) {
+    this._startOutboxSync();
+  }
+};
+
+appActions._handleUploadCancelled = function(uploadIndex) {
+  var self = this;
+  this._updateUpload(uploadIndex, function(upload) {
+    self._logMetric(
+      self.trackedState.UPLOAD_CANCELLED+' '+self._getUploadId(upload),
+      { type: upload.source.type, source: upload.source.driverId, step: upload.progress.step }
+    );
+
+    var instance = _.assign(upload.progress, {
+      finish: self._now(),
+      cancelled: true
+    });
     upload.progress = instance;
     upload = self._addToUploadHistory(upload, instance);
     if (upload.file != null) {
@@ -737,27 +848,89 @@ appActions._uploadDevice = function(driverId, options, cb) {
 
   var self = this;
 
-  device.detect(driverId, options, function(err, d) {
+  // with the upload's port, only that port is probed, so that
+  // other uploads from devices using the same driver carry on undisturbed
+  device.detect(driverId, options, function(err, devices) {
     if (err) {
       appActions.addMoreInfoToError(err, appActions.errorStages['STAGE_DEVICE_DETECT']);
       return cb(err);
     }
 
+    // find the device on the upload's port, if we know it
+    var d = options.port == null ? _.first(devices) : _.find(devices, {port: options.port});
     if (!d && options.filename == null) {
       err = new Error(self.errorText.E_DEVICE_NOT_CONNECTED);
       appActions.addMoreInfoToError(err, appActions.errorStages['STAGE_DEVICE_DETECT']);
       return cb(err);
     }
+    if (d) {
+      options.port = d.port;
+    }
 
-    device.upload(driverId, options, function(err, records) {
+    device.upload(driverId, options, function(err, records, queueId, details) {
       if (err) {
         appActions.addMoreInfoToError(err, appActions.errorStages['STAGE_DEVICE_UPLOAD']);
         return cb(err);
       }
 
       records = records || [];
-      return cb(null, records);
+      return cb(null, records, queueId, details);
+    });
+  });
+};
+
+// Starts trying to send any queued uploads every `OUTBOX_SYNC_INTERVAL`,
+// until the outbox is empty or the user logs out; queueing an upload starts it again
+appActions._startOutboxSync = function() {
+  var self = this;
+  if (this._stopOutboxSyncFn || outbox.count() === 0) {
+    return;
+  }
+
+  var drained = false;
+  var stop = repeat(function(cb) {
+    device.syncOutbox(function(err, sentIds) {
+      if (!_.isEmpty(sentIds)) {
+        self._handleQueuedUploadsSent(sentIds);
+      }
+      // there's nothing to try again until another upload is queued
+      if (outbox.count() === 0) {
+        drained = true;
+        if (self._stopOutboxSyncFn === stop) {
+          self._stopOutboxSyncFn = null;
+        }
+        return;
+      }
+      // otherwise keep trying whatever happened
+      return cb();
     });
+  }, OUTBOX_SYNC_INTERVAL);
+  // the first try can empty the outbox before repeat() returns
+  if (!drained) {
+    this._stopOutboxSyncFn = stop;
+  }
+};
+
+appActions._stopOutboxSync = function() {
+  if (this._stopOutboxSyncFn) {
+    this._stopOutboxSyncFn();
+    this._stopOutboxSyncFn = null;
+  }
+};
+
+appActions._handleQueuedUploadsSent = function(queueIds) {
+  var self = this;
+  var uploads = _.map(this.app.state.uploads, function(upload) {
+    _.forEach(_.filter([upload.progress].concat(upload.history || []), function(instance) {
+      return instance && instance.queued && _.contains(queueIds, instance.queueId);
+    }), function(instance) {
+      instance.queued = false;
+      instance.sent = self._now();
+    });
+    return upload;
+  });
+  this.app.setState({
+    uploads: uploads
   });
 };
 
@@ -785,14 +958,14 @@ appActions._uploadCarelink = function(credentials, options, cb) {
 
     self._logMetric(self.trackedState.CARELINK_FETCH_SUCCESS);
 
-    carelink.upload(data, options, function(err, records) {
+    carelink.upload(data, options, function(err, records, unsupportedRows) {
       if (err) {
         appActions.addMoreInfoToError(err, appActions.errorStages['STAGE_CARELINK_UPLOAD']);
         return cb(err);
       }
 
       records = records || [];
-      return cb(null, records);
+      return cb(null, records, null, {unsupportedRows: unsupportedRows});
     });
   });
 };
@@ -17,6 +17,8 @@
 
 var _ = require('lodash');
 var mapcat = require('../core/mapcat');
+var clockDrift = require('../clockDrift');
+var driverRegistry = require('../drivers');
 
 var config = require('../config');
 
@@ -29,48 +31,20 @@ appState.bindApp = function(app) {
 
 appState.getInitial = function() {
 
-  var uploads = [
-    {
-      name: 'Insulet OmniPod',
-      key: 'omnipod',
-      source: {type: 'block', driverId: 'InsuletOmniPod', extension: '.ibf'}
-    },
-    {
-      name: 'Dexcom G4 Platinum',
-      key: 'dexcom',
-      source: {type: 'device', driverId: 'DexcomG4'}
-    },
-    {
-      name: 'Abbott Precision Xtra',
-      key: 'precisionxtra',
-      source: {type: 'device', driverId: 'AbbottFreeStyle'}
-    },
-    // {
-    //   name: 'OneTouch Ultra2',
-    //   key: 'onetouchultra2',
-    //   source: {type: 'device', driverId: 'OneTouchUltra2'}
-    // },
-    // {
-    //   name: 'OneTouch UltraMini',
-    //   key: 'onetouchmini',
-    //   source: {type: 'device', driverId: 'OneTouchMini'}
-    // },
-    {
-      name: 'Bayer Contour Next',
-      key: 'bayercontournext',
-      source: {type: 'device', driverId: 'BayerContourNext'}
-    },
-    {
-       name: 'Bayer Contour Next USB',
-       key: 'bayercontournextusb',
-       source: {type: 'device', driverId: 'BayerContourNextUsb'}
-    },
-    {
-       name: 'Bayer Contour USB',
-       key: 'bayercontourusb',
-       source: {type: 'device', driverId: 'BayerContourUsb'}
+  var uploads = _.map(_.reject(driverRegistry.getAll(), 'hidden'), function(descriptor) {
+    var source = {
+      type: descriptor.mode === 'block' ? 'block' : 'device',
+      driverId: descriptor.driverId
+    };
+    if (descriptor.extension) {
+      source.extension = descriptor.extension;
     }
-  ];
+    return {
+      name: descriptor.name,
+      key: descriptor.key,
+      source: source
+    };
+  });
 
   if (config.CARELINK) {
     uploads.unshift({name: 'Medtronic MiniMed (CareLink)', key: 'carelink', source: {type: 'carelink'}});
@@ -93,7 +67,7 @@ appState.isLoggedIn = function() {
   return Boolean(this.app.state.user);
 };
 
-// For now we only support only one upload at a time,
+// Several uploads can run at once,
 // so the "current" upload is the first one of the list "in progress"
 appState.currentUploadIndex = function() {
   return _.findIndex(this.app.state.uploads, this._isUploadInProgress);
@@ -110,6 +84,10 @@ appState.hasUploadInProgress = function() {
   return Boolean(this.currentUploadIndex() !== -1);
 };
 
+appState.isUploadInProgress = function(uploadIndex) {
+  return this._isUploadInProgress(this.app.state.uploads[uploadIndex]);
+};
+
 appState.deviceCount = function() {
   return _.filter(this.app.state.uploads, function(upload) {
     return upload.source.type === 'device';
@@ -118,21 +96,16 @@ appState.deviceCount = function() {
 
 appState.uploadsWithFlags = function() {
   var self = this;
-  var currentUploadIndex = this.currentUploadIndex();
-  var currentUploadKey = null;
-  if (currentUploadIndex !== -1) {
-    currentUploadKey = this.app.state.uploads[currentUploadIndex].key;
-  }
-  var targetedUploads = _.filter(this.app.state.uploads, function(upload) {
+  // several connected devices can share a key, so remember
+  // where each upload is in the full list of uploads
+  var targetedUploads = _.filter(_.map(this.app.state.uploads, function(upload, index) {
+    return _.assign(_.clone(upload), {index: index});
+  }), function(upload) {
     return _.contains(self.app.state.targetDevices, upload.key);
   });
-  return _.map(targetedUploads, function(upload, index) {
-    upload = _.clone(upload);
+  return _.map(targetedUploads, function(upload) {
     var source = upload.source || {};
 
-    if (currentUploadIndex !== -1 && upload.key !== currentUploadKey) {
-      upload.disabled = true;
-    }
     if (source.type === 'device' &&
         source.connected === false) {
       upload.disconnected = true;
@@ -152,6 +125,19 @@ appState.uploadsWithFlags = function() {
       var instance = upload.progress;
       if (instance.success) {
         upload.successful = true;
+        if (instance.queued) {
+          upload.queued = true;
+        }
+        if (!_.isEmpty(instance.unsupportedRows)) {
+          upload.unsupportedRows = instance.unsupportedRows;
+        }
+        // only worth a warning if the device's clock is well off
+        if (instance.clockDrift && clockDrift.exceedsThreshold(instance.clockDrift)) {
+          upload.clockDrift = instance.clockDrift;
+        }
+      }
+      else if (instance.cancelled) {
+        upload.cancelled = true;
       }
       else if (instance.error) {
         upload.failed = true;
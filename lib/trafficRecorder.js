@@ -0,0 +1,111 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+// Records everything that goes over the wire between a driver and a device,
+// in both directions, so that the session can be saved and played back
+// later with replayDevice.
+//
+// A capture is a plain object that serializes to JSON:
+//   {
+//     format: 'tidepool-traffic',
+//     version: 1,
+//     mode: 'serial' or 'HID',
+//     deviceInfo: {...},
+//     started: ISO timestamp,
+//     entries: [{t: msec since start, type: 'tx', data: '02 06 0a'}, ...]
+//   }
+// where an entry's type is one of 'connect', 'tx' (sent to the device),
+// 'rx' (received from the device), 'bitrate' or 'disconnect'.
+
+var _ = require('lodash');
+
+var FORMAT = 'tidepool-traffic';
+var VERSION = 1;
+
+function toHex(bytes) {
+  return _.map(bytes, function(b) {
+    return ('00' + b.toString(16)).substr(-2);
+  }).join(' ');
+}
+
+function fromHex(hex) {
+  if (!hex) {
+    return new Uint8Array(0);
+  }
+  return new Uint8Array(_.map(hex.split(' '), function(b) {
+    return parseInt(b, 16);
+  }));
+}
+
+var trafficRecorder = function(config) {
+  config = config || {};
+  var now = config.now || Date.now;
+  var started = now();
+  var capture = {
+    format: FORMAT,
+    version: VERSION,
+    mode: config.mode || 'serial',
+    deviceInfo: {},
+    started: new Date(started).toISOString(),
+    entries: []
+  };
+
+  function add(type, props) {
+    capture.entries.push(_.assign({t: now() - started, type: type}, props));
+  }
+
+  return {
+    connected: function(deviceInfo, port) {
+      capture.deviceInfo = _.omit(deviceInfo, 'usbDevice');
+      add('connect', {port: port});
+    },
+    sent: function(bytes) {
+      add('tx', {data: toHex(new Uint8Array(bytes))});
+    },
+    received: function(bytes) {
+      add('rx', {data: toHex(new Uint8Array(bytes))});
+    },
+    bitrate: function(rate) {
+      add('bitrate', {bitrate: rate});
+    },
+    disconnected: function() {
+      add('disconnect');
+    },
+    capture: function() {
+      return _.cloneDeep(capture);
+    },
+    serialize: function() {
+      return JSON.stringify(capture, null, 2);
+    }
+  };
+};
+
+trafficRecorder.parse = function(text) {
+  var capture = _.isString(text) ? JSON.parse(text) : text;
+  if (capture.format !== FORMAT) {
+    throw new Error('Not a traffic capture');
+  }
+  if (capture.version !== VERSION) {
+    throw new Error('Unsupported traffic capture version ' + capture.version);
+  }
+  return capture;
+};
+
+trafficRecorder.toHex = toHex;
+trafficRecorder.fromHex = fromHex;
+
+module.exports = trafficRecorder;
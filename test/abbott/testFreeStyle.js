@@ -0,0 +1,212 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global afterEach, beforeEach, describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var builder = require('../../lib/objectBuilder')();
+var replayDevice = require('../../lib/replayDevice');
+var abbottFreeStyle = require('../../lib/drivers/abbottFreeStyle');
+var models = require('../../lib/abbott/models');
+var cancelToken = require('../../lib/cancelToken');
+var clockDrift = require('../../lib/clockDrift');
+
+describe('abbottFreeStyle', function() {
+  // a Precision Xtra's answers to `$xlog,1` and `$xmem` and a FreeStyle Lite's
+  // to `mem`; the ETX after each is what serialDevice adds when the meter goes quiet
+  var precisionXtra = require('./precisionxtra-traffic.json');
+  var freeStyleLite = require('./freestylelite-traffic.json');
+  var insuLinx = require('./insulinx-traffic.json');
+
+  function upload(capture, cb) {
+    var sessionInfo = null;
+    var driver = abbottFreeStyle({
+      deviceComms: replayDevice({capture: capture}),
+      timezone: 'US/Pacific',
+      builder: builder,
+      api: {upload: {toPlatform: function(records, info, progress, groupId, done) {
+        sessionInfo = info;
+        done(null, records);
+      }}}
+    });
+    var steps = ['connect', 'getConfigInfo', 'fetchData', 'processData', 'uploadData', 'cleanup'];
+    var next = function(err, data) {
+      if (err || steps.length === 0) {
+        return cb(err, data, sessionInfo);
+      }
+      driver[steps.shift()](_.noop, data, next);
+    };
+    driver.setup(capture.deviceInfo, _.noop, next);
+  }
+
+  describe('models', function() {
+    it('identifies a meter from its serial number, among those on the same cable', function() {
+      expect(models.identify('AbbottFreeStyle', 'CAGM0123456').model).to.equal('AbbFreePrecXtra');
+      expect(models.identify('AbbottFreeStyleLite', 'DCGL123-A1234').model).to.equal('AbbFreeLite');
+      expect(models.identify('AbbottFreeStyleLite', 'DAGL123-A1234').model).to.equal('AbbFreedomLite');
+      expect(models.identify('AbbottFreeStyleInsuLinx', 'JAGZ123-A1234').model).to.equal('AbbInsuLinx');
+      expect(models.identify('AbbottFreeStyleLite', 'CAGM0123456')).to.be.null;
+      expect(models.identify('AbbottFreeStyle', 'Log Empty')).to.be.null;
+    });
+
+    it('takes a meter it does not recognize to be the cable\'s usual one', function() {
+      expect(models.defaultFor('AbbottFreeStyle').model).to.equal('AbbFreePrecXtra');
+      expect(models.defaultFor('AbbottFreeStyleLite').model).to.equal('AbbFreeLite');
+      expect(models.defaultFor('AbbottFreeStyleInsuLinx').model).to.equal('AbbInsuLinx');
+    });
+
+    it('has the commands for each cable', function() {
+      expect(models.protocol('AbbottFreeStyle').log).to.equal('$xmem');
+      expect(models.protocol('AbbottFreeStyleLite').log).to.equal('mem');
+      expect(models.protocol('AbbottFreeStyleInsuLinx').comms).to.equal('hid');
+      expect(models.protocol('BayerContourNext')).to.be.null;
+    });
+  });
+
+  it('sends the meter nothing more once the upload has been cancelled', function(done) {
+    var token = cancelToken();
+    var driver = abbottFreeStyle({
+      deviceComms: replayDevice({capture: precisionXtra}),
+      timezone: 'US/Pacific',
+      builder: builder,
+      cancelToken: token
+    });
+    driver.setup(precisionXtra.deviceInfo, _.noop, function(err, data) {
+      driver.connect(_.noop, data, function(err, data) {
+        if (err) throw err;
+        token.cancel();
+        driver.fetchData(_.noop, data, function(err) {
+          expect(cancelToken.isCancelError(err)).to.be.true;
+          done();
+        });
+      });
+    });
+  });
+
+  it('uploads glucose in mg/dL and reads the meter\'s ranges from its model', function(done) {
+    upload(precisionXtra, function(err, data, sessionInfo) {
+      if (err) throw err;
+      expect(data.model).to.equal('AbbFreePrecXtra');
+      expect(data.id).to.equal('AbbFreePrecXtra CAGM0123456');
+      expect(sessionInfo.deviceModel).to.equal('FreeStyle Precision Xtra');
+
+      var smbgs = _.filter(data.post_records, {type: 'smbg'});
+      // the control solution test is left out
+      expect(_.pluck(smbgs, 'value')).to.deep.equal([501, 19, 132]);
+      expect(_.uniq(_.pluck(smbgs, 'units'))).to.deep.equal(['mg/dL']);
+      expect(smbgs[0].annotations).to.deep.equal([{code: 'bg/out-of-range', value: 'high', threshold: 500}]);
+      expect(smbgs[1].annotations).to.deep.equal([{code: 'bg/out-of-range', value: 'low', threshold: 20}]);
+      expect(smbgs[2].annotations).to.be.undefined;
+      done();
+    });
+  });
+
+  it('gives out-of-range ketone readings the meter\'s threshold', function(done) {
+    upload(precisionXtra, function(err, data) {
+      if (err) throw err;
+      var ketones = _.filter(data.post_records, {type: 'bloodKetone'});
+      expect(_.pluck(ketones, 'value')).to.deep.equal([8.0, 0.78]);
+      expect(ketones[0].annotations).to.deep.equal([
+        {code: 'ketone/out-of-range', value: 'high', threshold: 8.0},
+        {code: 'ketone/unknown-value'}
+      ]);
+      expect(ketones[1].annotations).to.be.undefined;
+      done();
+    });
+  });
+
+  it('reads a meter whose serial number it does not recognize as the cable\'s usual one', function(done) {
+    // the FreeStyle Lite, with a serial number of CDGL123-A1234 (which leaves the checksum alone)
+    var unrecognized = _.cloneDeep(freeStyleLite);
+    _.forEach(unrecognized.entries, function(entry) {
+      if (entry.type === 'rx') {
+        entry.data = entry.data.replace('44 43 47 4c 31 32 33 2d', '43 44 47 4c 31 32 33 2d');
+      }
+    });
+    upload(unrecognized, function(err, data, sessionInfo) {
+      if (err) throw err;
+      expect(models.identify('AbbottFreeStyleLite', data.serialNumber)).to.be.null;
+      expect(data.id).to.equal('AbbFreeLite CDGL123-A1234');
+      expect(sessionInfo.deviceModel).to.equal('FreeStyle Lite');
+      expect(_.pluck(data.post_records, 'value')).to.deep.equal([86, 501, 132]);
+      done();
+    });
+  });
+
+  it('reads a FreeStyle Lite\'s log from what it sent to identify itself', function(done) {
+    upload(freeStyleLite, function(err, data, sessionInfo) {
+      if (err) throw err;
+      expect(data.id).to.equal('AbbFreeLite DCGL123-A1234');
+      expect(sessionInfo.deviceModel).to.equal('FreeStyle Lite');
+      expect(_.pluck(data.post_records, 'type')).to.deep.equal(['smbg', 'smbg', 'smbg']);
+      expect(_.pluck(data.post_records, 'value')).to.deep.equal([86, 501, 132]);
+      expect(_.pluck(data.post_records, 'deviceTime')).to.deep.equal([
+        '2015-03-21T16:45:00', '2015-03-21T12:10:00', '2015-03-20T06:58:00'
+      ]);
+      expect(data.post_records[1].annotations[0].threshold).to.equal(500);
+      done();
+    });
+  });
+
+  it('reads an InsuLinx\'s glucose readings over HID', function(done) {
+    upload(insuLinx, function(err, data, sessionInfo) {
+      if (err) throw err;
+      expect(data.id).to.equal('AbbInsuLinx JAGZ123-A1234');
+      expect(data.softwareVersion).to.equal('1.01');
+      expect(data.deviceTime).to.equal('2015-03-21T16:47:00');
+      expect(sessionInfo.deviceModel).to.equal('FreeStyle InsuLinx');
+      expect(sessionInfo.payload.clockDrift.deviceTime).to.equal('2015-03-21T16:47:00');
+      // the insulin record is left out
+      expect(_.pluck(data.post_records, 'value')).to.deep.equal([132, 98]);
+      expect(data.post_records[0].time).to.equal('2015-03-21T23:45:00.000Z');
+      expect(_.uniq(_.pluck(data.post_records, 'units'))).to.deep.equal(['mg/dL']);
+      done();
+    });
+  });
+
+  describe('clock drift', function() {
+    // measure the drift against a computer clock of 16:50 on the day of the captures
+    var measure = clockDrift.measure;
+    beforeEach(function() {
+      clockDrift.measure = function(deviceClock, timezone) {
+        return measure(deviceClock, timezone, '2015-03-21T23:50:00.000Z');
+      };
+    });
+
+    afterEach(function() {
+      clockDrift.measure = measure;
+    });
+
+    it('measures the drift from the clock the meter sends with its serial number', function(done) {
+      upload(precisionXtra, function(err, data, sessionInfo) {
+        if (err) throw err;
+        var drift = {
+          deviceTime: '2015-03-21T16:47:02',
+          computerTime: '2015-03-21T23:50:00.000Z',
+          clockDriftOffset: -178000
+        };
+        expect(data.clockDrift).to.deep.equal(drift);
+        expect(sessionInfo.payload).to.deep.equal({clockDrift: drift});
+        expect(data.post_records).to.have.length(5);
+        expect(_.uniq(_.pluck(data.post_records, 'clockDriftOffset'))).to.deep.equal([-178000]);
+        done();
+      });
+    });
+  });
+});
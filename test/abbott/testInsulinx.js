@@ -0,0 +1,70 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global describe, it */
+
+var expect = require('salinity').expect;
+
+var insulinx = require('../../lib/abbott/insulinx');
+
+describe('insulinx', function() {
+  describe('reports', function() {
+    it('puts the message type and length before the content', function() {
+      var report = insulinx.buildCommand('$serlnum?');
+      expect(report.length).to.equal(64);
+      expect([report[0], report[1], report[2]]).to.deep.equal([0x60, 11, '$'.charCodeAt(0)]);
+      expect(insulinx.readReport(report)).to.deep.equal({type: 0x60, content: '$serlnum?\r\n'});
+    });
+  });
+
+  describe('parseReply', function() {
+    it('checks the checksum and the status', function() {
+      expect(insulinx.parseReply('JAGZ123-A1234\r\nCKSM:00000311\r\nCMD OK\r\n'))
+        .to.deep.equal({message: 'JAGZ123-A1234\r\n'});
+      expect(insulinx.parseReply('JAGZ123-A1235\r\nCKSM:00000311\r\nCMD OK\r\n').error)
+        .to.match(/checksum/);
+      expect(insulinx.parseReply('CKSM:00000000\r\nCMD Fail!\r\n').error).to.equal('Command failed');
+      expect(insulinx.isComplete('JAGZ123-A1234\r\nCKSM:00000311\r\n')).to.be.false;
+    });
+  });
+
+  describe('parseRecords', function() {
+    var reading = '0,1,03,21,15,16,45,0,0,0,0,0,0,132,0,0\r\n';
+
+    it('splits the records', function() {
+      expect(insulinx.parseRecords(reading + '1,0000071E\r\n')).to.deep.equal([
+        ['0', '1', '03', '21', '15', '16', '45', '0', '0', '0', '0', '0', '0', '132', '0', '0']
+      ]);
+      expect(insulinx.parseRecords('Log Empty\r\n')).to.deep.equal([]);
+    });
+
+    it('rejects records whose count or checksum is wrong', function() {
+      expect(insulinx.parseRecords(reading + '2,0000071E\r\n')).to.be.null;
+      expect(insulinx.parseRecords(reading + '1,0000071F\r\n')).to.be.null;
+    });
+  });
+
+  describe('parseReading', function() {
+    it('reads glucose readings only', function() {
+      var record = '0,1,03,21,15,16,45,0,0,0,0,0,0,132,0,0'.split(',');
+      var reading = insulinx.parseReading(record);
+      expect(reading.jsDate.toISOString()).to.equal('2015-03-21T16:45:00.000Z');
+      expect(reading.value).to.equal(132);
+      expect(insulinx.parseReading('1,2,03,21,15,12,30,0,0,0,0,0,0,4,0,0'.split(','))).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global afterEach, beforeEach, describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var builder = require('../../lib/objectBuilder')();
+var replayDevice = require('../../lib/replayDevice');
+var clockDrift = require('../../lib/clockDrift');
+var bayerContourNext = require('../../lib/drivers/bayerContourNext');
+
+describe('bayerContourNext', function() {
+  // a Contour Next's header, whose clock says 2015-05-29 12:48, and three readings
+  var contourNext = require('./contournext-traffic.json');
+
+  // the meter waits for the driver to poll for each packet
+  this.timeout(5000);
+
+  // measure the drift against a computer clock of 12:50 on the same day
+  var measure = clockDrift.measure;
+  beforeEach(function() {
+    clockDrift.measure = function(deviceClock, timezone) {
+      return measure(deviceClock, timezone, '2015-05-29T19:50:00.000Z');
+    };
+  });
+
+  afterEach(function() {
+    clockDrift.measure = measure;
+  });
+
+  function upload(capture, cb) {
+    var sessionInfo = null;
+    var driver = bayerContourNext({
+      deviceComms: replayDevice({capture: capture}),
+      timezone: 'US/Pacific',
+      builder: builder,
+      api: {upload: {toPlatform: function(records, info, progress, groupId, done) {
+        sessionInfo = info;
+        done(null, records);
+      }}}
+    });
+    var steps = ['connect', 'getConfigInfo', 'fetchData', 'processData', 'uploadData', 'cleanup'];
+    var next = function(err, data) {
+      if (err || steps.length === 0) {
+        return cb(err, data, sessionInfo);
+      }
+      driver[steps.shift()](_.noop, data, next);
+    };
+    driver.setup(capture.deviceInfo, _.noop, next);
+  }
+
+  it('connects once its probe calls back', function(done) {
+    var probed = false;
+    var driver = bayerContourNext({
+      // like hidDevice, only calls back from connect once the probe has
+      deviceComms: {connect: function(deviceInfo, handler, probe, cb) {
+        probe(function(err) {
+          probed = true;
+          cb(err);
+        });
+      }},
+      timezone: 'US/Pacific',
+      builder: builder
+    });
+    driver.connect(_.noop, {deviceInfo: {}}, function(err, data) {
+      expect(err).to.not.exist;
+      expect(probed).to.be.true;
+      expect(data.disconnect).to.be.false;
+      done();
+    });
+  });
+
+  it('measures the clock drift from the header and gives it to the readings', function(done) {
+    upload(contourNext, function(err, data, sessionInfo) {
+      if (err) throw err;
+      var drift = {
+        deviceTime: '2015-05-29T12:48:00',
+        computerTime: '2015-05-29T19:50:00.000Z',
+        clockDriftOffset: -2 * 60 * 1000
+      };
+      expect(data.clockDrift).to.deep.equal(drift);
+      expect(sessionInfo.payload).to.deep.equal({clockDrift: drift});
+      expect(_.pluck(data.post_records, 'value')).to.deep.equal([98, 143, 81]);
+      expect(_.uniq(_.pluck(data.post_records, 'clockDriftOffset'))).to.deep.equal([-2 * 60 * 1000]);
+      expect(data.post_records[2].deviceTime).to.equal('2015-05-29T12:45:00');
+      done();
+    });
+  });
+});
@@ -31,16 +31,21 @@ exports.make = function(config) {
   }
 
   return {
+    alarm: appendToEvents('alarm'),
     basalScheduled: appendToEvents('basal-scheduled'),
     basalTemp: appendToEvents('basal-temp'),
     bolus: appendToEvents('bolus'),
     bolusDual: appendToEvents('bolus-dual'),
     bolusNormal: appendToEvents('bolus-normal'),
     bolusSquare: appendToEvents('bolus-square'),
+    calibration: appendToEvents('calibration'),
     cbg: appendToEvents('cbg'),
+    changeReservoir: appendToEvents('reservoirChange'),
     deviceEvent: appendToEvents('deviceEvent'),
+    prime: appendToEvents('prime'),
     resume: appendToEvents('resume'),
     pumpSettings: appendToEvents('pumpSettings'),
+    sensorState: appendToEvents('sensorState'),
     suspend: appendToEvents('suspend'),
     smbg: appendToEvents('smbg'),
     wizard: appendToEvents('wizard'),
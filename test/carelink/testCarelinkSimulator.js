@@ -79,6 +79,81 @@ describe('carelinkSimulator.js', function(){
     });
   });
 
+  describe('deviceEvent', function(){
+    describe('alarm', function(){
+      it('works', function(){
+        var val = {
+          time: '2014-09-25T01:00:00.000Z',
+          deviceTime: '2014-09-25T01:00:00',
+          timezoneOffset: 0,
+          conversionOffset: 0,
+          alarmType: 'occlusion',
+          payload: {alarm: 'occlusion', stopsDelivery: true, vendorCode: 4}
+        };
+
+        simulator.alarm(val);
+        expect(simulator.getEvents()).deep.equals([_.assign({}, {type: 'deviceEvent', subType: 'alarm'}, val)]);
+      });
+    });
+
+    describe('calibration', function(){
+      it('works', function(){
+        var val = {
+          time: '2014-09-25T01:00:00.000Z',
+          deviceTime: '2014-09-25T01:00:00',
+          timezoneOffset: 0,
+          conversionOffset: 0,
+          value: 118,
+          units: 'mg/dL'
+        };
+
+        simulator.calibration(val);
+        expect(simulator.getEvents()).deep.equals([_.assign({}, {type: 'deviceEvent', subType: 'calibration'}, val)]);
+      });
+    });
+
+    describe('sensorState', function(){
+      it('works', function(){
+        var val = {
+          time: '2014-09-25T01:00:00.000Z',
+          deviceTime: '2014-09-25T01:00:00',
+          timezoneOffset: 0,
+          conversionOffset: 0,
+          state: 'sensorStart'
+        };
+
+        simulator.sensorState(val);
+        expect(simulator.getEvents()).deep.equals([_.assign({}, {type: 'deviceEvent', subType: 'sensorState'}, val)]);
+      });
+    });
+
+    describe('reservoirChange and prime', function(){
+      it('works', function(){
+        var rewind = {
+          time: '2014-09-25T01:00:00.000Z',
+          deviceTime: '2014-09-25T01:00:00',
+          timezoneOffset: 0,
+          conversionOffset: 0
+        };
+        var prime = {
+          time: '2014-09-25T01:02:00.000Z',
+          deviceTime: '2014-09-25T01:02:00',
+          timezoneOffset: 0,
+          conversionOffset: 0,
+          primeTarget: 'tubing',
+          volume: 9.4
+        };
+
+        simulator.changeReservoir(rewind);
+        simulator.prime(prime);
+        expect(simulator.getEvents()).deep.equals([
+          _.assign({}, {type: 'deviceEvent', subType: 'reservoirChange'}, rewind),
+          _.assign({}, {type: 'deviceEvent', subType: 'prime'}, prime)
+        ]);
+      });
+    });
+  });
+
   describe('bolus', function(){
     describe('dual', function(){
       it('works', function(){
@@ -0,0 +1,70 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var models = require('../../lib/carelink/models');
+
+describe('models', function() {
+  function row(model, rawType, rawValues) {
+    return {'Raw-Device Type': model, 'Raw-Type': rawType, 'Raw-Values': rawValues};
+  }
+
+  describe('find', function() {
+    it('finds the family of each model we support', function() {
+      expect(models.find('Paradigm 722').family).to.equal('x22');
+      expect(models.find('Paradigm Revel - 523').family).to.equal('x23');
+      expect(models.find('Paradigm Veo - 754').family).to.equal('x54');
+      expect(models.find('MiniMed 530G - 551').family).to.equal('x54');
+      expect(models.find('MiniMed 630G - 1715').family).to.equal('x6x');
+      expect(models.find('MiniMed 640G MMT-1512/1712').family).to.equal('x6x');
+    });
+
+    it('finds nothing for a model we don\'t support', function() {
+      expect(models.find('MiniMed 670G - 1780')).to.be.null;
+      expect(models.find('Paradigm Revel - 723 : CGM')).to.be.null;
+      expect(models.isSupported('Paradigm 515')).to.be.false;
+    });
+
+    it('only generates scheduled basals for the x22s, which don\'t record them', function() {
+      expect(models.autoGenScheduleds('Paradigm 522')).to.be.true;
+      expect(models.autoGenScheduleds('Paradigm Revel - 723')).to.be.false;
+      expect(models.autoGenScheduleds('MiniMed 670G - 1780')).to.be.false;
+      expect(_.includes(models.find('Paradigm 522').rowTypes, 'BasalProfileStart')).to.be.false;
+    });
+  });
+
+  describe('checkRow', function() {
+    it('accepts a row from a supported model with the values we need', function() {
+      expect(models.checkRow(row('MiniMed 640G - 1512', 'BolusNormal',
+        {AMOUNT: '1.5', PROGRAMMED_AMOUNT: '1.5', IS_DUAL_COMPONENT: 'false'}))).to.be.null;
+      expect(models.checkRow(row('Paradigm Revel - 723', 'JournalEntryPumpLowBattery', null))).to.be.null;
+    });
+
+    it('says why it can\'t read a row', function() {
+      expect(models.checkRow(row('MiniMed 670G - 1780', 'BolusNormal', {AMOUNT: '1.5'})))
+        .to.equal('unsupported model');
+      expect(models.checkRow(row('Paradigm 722', 'BasalProfileStart', {PATTERN_NAME: 'standard', RATE: '0.8'})))
+        .to.equal('row type not recorded by this model');
+      expect(models.checkRow(row('MiniMed 640G - 1512', 'BolusSquare', {AMOUNT: '1.5'})))
+        .to.equal('missing DURATION, PROGRAMMED_AMOUNT');
+    });
+  });
+});
@@ -24,6 +24,7 @@ var util = require('util');
 
 var expect = require('salinity').expect;
 
+var models = require('../../lib/carelink/models');
 var removeOverlaps = require('../../lib/carelink/removeOverlapping');
 
 describe('removeOverlapping', function() {
@@ -48,8 +49,8 @@ describe('removeOverlapping', function() {
     return e;
   }
 
-  it('should not find overlaps on a file without overlaps', function() {
-    var input = fs.readFileSync(__dirname + '/overlaps/no-overlap.csv', {encoding: 'utf8'}), payload = {};
+  function readPayload(filename) {
+    var input = fs.readFileSync(__dirname + '/overlaps/' + filename, {encoding: 'utf8'}), payload = {};
     var endOfPreamble = input.indexOf('Index');
     // Setup the preamble to have everything up to the header line
     payload.preamble = csv.parse(input.substr(0, endOfPreamble), {});
@@ -63,28 +64,47 @@ describe('removeOverlapping', function() {
       convertRawValues(payload.theData[i]);
       payload.theData[i].csvIndex = payload.theData[i]['Index'];
     }
+    return payload;
+  }
+
+  it('should not find overlaps on a file without overlaps', function() {
+    var payload = readPayload('no-overlap.csv');
 
     expect(Object.keys(removeOverlaps(payload))).deep.equals(['53602018', '53602076']);
     expect(payload.skippedUploads).to.deep.equal([]);
+    expect(payload.unsupportedRows).to.deep.equal([]);
   });
 
   it('when overlapping uploads in file, should keep only latest and report skipped in payload', function() {
-    var input = fs.readFileSync(__dirname + '/overlaps/overlap.csv', {encoding: 'utf8'}), payload = {};
-    var endOfPreamble = input.indexOf('Index');
-    // Setup the preamble to have everything up to the header line
-    payload.preamble = csv.parse(input.substr(0, endOfPreamble), {});
-    // Store the rest of the data
-    payload.theData = csv.parse(input.substr(endOfPreamble), {
-      header: true,
-      dynamicTyping: true
-    }).data;
-
-    for (var i = 0; i < payload.theData.length; ++i) {
-      convertRawValues(payload.theData[i]);
-      payload.theData[i].csvIndex = payload.theData[i]['Index'];
-    }
+    var payload = readPayload('overlap.csv');
 
     expect(Object.keys(removeOverlaps(payload))).deep.equals(['53602076']);
     expect(payload.skippedUploads).to.deep.equal(['53602018']);
   });
-});
\ No newline at end of file
+
+  it('leaves out the rows of a model we don\'t support and reports them in payload', function() {
+    var payload = readPayload('no-overlap.csv');
+    // as the driver does, only the rows we read
+    payload.theData = _.filter(payload.theData, function(row) {
+      return models.ROW_TYPES[row['Raw-Type']] != null;
+    });
+    var fromUnsupported = _.filter(payload.theData, function(row) {
+      return row['Raw-Upload ID'] === 53602018;
+    });
+    _.forEach(fromUnsupported, function(row) {
+      row['Raw-Device Type'] = 'MiniMed 670G - 1780';
+    });
+
+    expect(Object.keys(removeOverlaps(payload))).deep.equals(['53602076']);
+    expect(payload.skippedUploads).to.deep.equal([]);
+    expect(payload.unsupportedRows).to.have.length(fromUnsupported.length);
+    expect(payload.unsupportedRows[0]).to.deep.equal({
+      index: fromUnsupported[0].csvIndex,
+      timestamp: fromUnsupported[0].Timestamp,
+      rawType: fromUnsupported[0]['Raw-Type'],
+      model: 'MiniMed 670G - 1780',
+      reason: 'unsupported model'
+    });
+    expect(_.every(fromUnsupported, 'unsupported')).to.be.true;
+  });
+});
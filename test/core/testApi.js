@@ -0,0 +1,271 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global beforeEach, describe, it */
+
+var _ = require('lodash');
+var proxyquire = require('proxyquire').noCallThru();
+var expect = require('salinity').expect;
+
+describe('api', function() {
+  var api, localStore, posted, failOnPost, respond;
+
+  var sessionInfo = {
+    deviceTags: ['bgm'],
+    deviceManufacturers: ['Abbott'],
+    deviceModel: 'FreeStyle Precision Xtra',
+    deviceSerialNumber: 'ABC123',
+    deviceId: 'AbbFreePrecXtra ABC123',
+    start: '2015-06-01T12:00:00.000Z',
+    timeProcessing: 'across-the-board-timezone',
+    tzName: 'US/Eastern',
+    version: 'tidepool-uploader 0.0.0'
+  };
+
+  // what the platform client calls back with when the platform
+  // answers with something other than a 200
+  function httpError(statusCode) {
+    return {
+      error: 'Request failed with statusCode ' + statusCode,
+      code: statusCode,
+      message: {}
+    };
+  }
+
+  function makeData(n) {
+    return _.map(_.range(n), function(i) {
+      return {type: 'smbg', value: i, deviceId: sessionInfo.deviceId};
+    });
+  }
+
+  beforeEach(function() {
+    posted = [];
+    failOnPost = null;
+    respond = function(data, cb) { cb(); };
+    localStore = require('../../lib/core/localStore')({});
+    var tidepool = {
+      initialize: function(cb) { cb(); },
+      getUserId: function() { return 'abc'; },
+      uploadDeviceDataForUser: function(data, groupId, cb) {
+        if (posted.length === failOnPost) {
+          failOnPost = null;
+          return cb(httpError(400));
+        }
+        respond(data, function(err) {
+          if (err) {
+            return cb(err);
+          }
+          posted.push(data);
+          cb(null, data);
+        });
+      }
+    };
+    api = proxyquire('../../lib/core/api', {
+      './localStore': localStore,
+      'tidepool-platform-client': function() { return tidepool; }
+    });
+    api.log = _.noop;
+    api.init({}, _.noop);
+    api.upload.settings.retryDelay = 0;
+  });
+
+  describe('upload.makeDryRun', function() {
+    it('collects the upload metadata and records that would be sent without posting them', function(done) {
+      var dryRun = api.upload.makeDryRun();
+      var data = makeData(3);
+      dryRun.toPlatform(data, sessionInfo, _.noop, 'abc', function(err, result) {
+        expect(err).to.not.exist;
+        expect(result).to.equal(data);
+        expect(posted).to.be.empty;
+        var uploads = dryRun.exported().uploads;
+        expect(uploads).to.have.length(1);
+        var upload = uploads[0].upload;
+        expect(upload.type).to.equal('upload');
+        expect(upload.byUser).to.equal('abc');
+        expect(upload.deviceId).to.equal(sessionInfo.deviceId);
+        expect(_.uniq(_.pluck(uploads[0].records, 'uploadId'))).to.deep.equal([upload.uploadId]);
+        expect(_.pluck(uploads[0].records, 'value')).to.deep.equal([0, 1, 2]);
+        expect(_.every(uploads[0].records, 'guid')).to.be.true;
+        expect(JSON.parse(dryRun.serialize()).uploads[0].upload.uploadId).to.equal(upload.uploadId);
+        done();
+      });
+    });
+  });
+
+  describe('upload.toPlatform', function() {
+    it('posts the upload metadata followed by the data in growing blocks', function(done) {
+      api.upload.toPlatform(makeData(450), sessionInfo, _.noop, 'abc', function(err) {
+        expect(err).to.not.exist;
+        expect(posted).to.have.length(4);
+        expect(posted[0].type).to.equal('upload');
+        expect(_.pluck(posted.slice(1), 'length')).to.deep.equal([100, 200, 150]);
+        done();
+      });
+    });
+
+    it('never has more than `concurrency` blocks in flight', function(done) {
+      var inFlight = 0, maxInFlight = 0;
+      respond = function(data, cb) {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(function() {
+          inFlight--;
+          cb();
+        }, 1);
+      };
+      api.upload.settings.concurrency = 3;
+      api.upload.settings.maxBlockSize = 100;
+      api.upload.toPlatform(makeData(1000), sessionInfo, _.noop, 'abc', function(err) {
+        expect(err).to.not.exist;
+        expect(maxInFlight).to.equal(3);
+        expect(_.flatten(posted.slice(1))).to.have.length(1000);
+        done();
+      });
+    });
+
+    it('splits blocks that are too big for the platform', function(done) {
+      respond = function(data, cb) {
+        if (data.length > 40) {
+          return cb(httpError(413));
+        }
+        cb();
+      };
+      var data = makeData(250);
+      api.upload.toPlatform(data, sessionInfo, _.noop, 'abc', function(err) {
+        expect(err).to.not.exist;
+        var values = _.sortBy(_.pluck(_.flatten(posted.slice(1)), 'value'));
+        expect(values).to.deep.equal(_.pluck(data, 'value'));
+        _.forEach(posted.slice(1), function(block) {
+          expect(block.length).to.be.at.most(40);
+        });
+        done();
+      });
+    });
+
+    it('retries blocks that get a server error', function(done) {
+      var failures = 0;
+      respond = function(data, cb) {
+        if (data.length && failures < 2) {
+          failures++;
+          return cb(httpError(503));
+        }
+        cb();
+      };
+      api.upload.toPlatform(makeData(50), sessionInfo, _.noop, 'abc', function(err) {
+        expect(err).to.not.exist;
+        expect(failures).to.equal(2);
+        expect(posted).to.have.length(2);
+        expect(posted[1]).to.have.length(50);
+        done();
+      });
+    });
+
+    it('gives up on a block after `maxRetries` server errors', function(done) {
+      var attempts = 0;
+      respond = function(data, cb) {
+        if (data.length) {
+          attempts++;
+          return cb(httpError(500));
+        }
+        cb();
+      };
+      api.upload.settings.maxRetries = 2;
+      api.upload.toPlatform(makeData(50), sessionInfo, _.noop, 'abc', function(err) {
+        expect(err).to.deep.equal(httpError(500));
+        expect(attempts).to.equal(3);
+        done();
+      });
+    });
+
+    it('stops posting blocks when cancelled', function(done) {
+      var token = require('../../lib/cancelToken')();
+      respond = function(data, cb) {
+        if (posted.length === 2) {
+          token.cancel();
+        }
+        cb();
+      };
+      api.upload.settings.concurrency = 1;
+      api.upload.settings.maxBlockSize = 100;
+      var data = makeData(500);
+      api.upload.toPlatform(data, sessionInfo, _.noop, 'abc', function(err) {
+        expect(err.cancelled).to.be.true;
+        expect(posted).to.have.length(3);
+        expect(api.upload.getCheckpoint(sessionInfo.deviceId, data).recordsSent).to.equal(200);
+        done();
+      }, token);
+    });
+
+    it('clears the checkpoint when the upload completes', function(done) {
+      var data = makeData(250);
+      api.upload.toPlatform(data, sessionInfo, _.noop, 'abc', function(err) {
+        expect(err).to.not.exist;
+        expect(api.upload.getCheckpoint(sessionInfo.deviceId, data)).to.be.null;
+        done();
+      });
+    });
+
+    it('leaves a checkpoint of the records sent when an upload fails', function(done) {
+      var data = makeData(250);
+      // metadata and the first block succeed, the second block fails
+      failOnPost = 2;
+      api.upload.toPlatform(data, sessionInfo, _.noop, 'abc', function(err) {
+        expect(err).to.exist;
+        var checkpoint = api.upload.getCheckpoint(sessionInfo.deviceId, data);
+        expect(checkpoint.recordsSent).to.equal(100);
+        expect(checkpoint.uploadId).to.equal(posted[0].uploadId);
+        done();
+      });
+    });
+
+    it('resumes from the first unsent block under the same upload metadata', function(done) {
+      var data = makeData(250);
+      failOnPost = 2;
+      api.upload.toPlatform(data, sessionInfo, _.noop, 'abc', function(err) {
+        expect(err).to.exist;
+        var uploadId = posted[0].uploadId;
+        posted = [];
+        var retryInfo = _.assign({}, sessionInfo, {start: '2015-06-01T12:05:00.000Z'});
+        api.upload.toPlatform(data, retryInfo, _.noop, 'abc', function(err) {
+          expect(err).to.not.exist;
+          expect(posted).to.have.length(2);
+          expect(_.pluck(posted, 'length')).to.deep.equal([100, 50]);
+          expect(posted[0][0].value).to.equal(100);
+          expect(_.uniq(_.pluck(_.flatten(posted), 'uploadId'))).to.deep.equal([uploadId]);
+          done();
+        });
+      });
+    });
+
+    it('starts a fresh upload when the data differs from the checkpoint', function(done) {
+      failOnPost = 2;
+      api.upload.toPlatform(makeData(250), sessionInfo, _.noop, 'abc', function(err) {
+        expect(err).to.exist;
+        posted = [];
+        var data = makeData(260);
+        api.upload.toPlatform(data, sessionInfo, _.noop, 'abc', function(err) {
+          expect(err).to.not.exist;
+          expect(posted).to.have.length(3);
+          expect(posted[0].type).to.equal('upload');
+          expect(_.flatten(posted.slice(1))).to.have.length(260);
+          expect(localStore.getItem('uploadCheckpoints')).to.deep.equal({});
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global beforeEach, describe, it */
+
+var _ = require('lodash');
+var proxyquire = require('proxyquire').noCallThru();
+var expect = require('salinity').expect;
+
+describe('dedupe', function() {
+  var dedupe;
+  var deviceId = 'DexG4Rec_SM12345678';
+
+  function cbg(deviceTime, value) {
+    return {
+      type: 'cbg',
+      deviceId: deviceId,
+      deviceTime: deviceTime,
+      time: deviceTime + '.000Z',
+      timezoneOffset: 0,
+      value: value,
+      units: 'mg/dL'
+    };
+  }
+
+  beforeEach(function() {
+    dedupe = proxyquire('../../lib/core/dedupe', {
+      './localStore': require('../../lib/core/localStore')({})
+    });
+  });
+
+  describe('recordId', function() {
+    it('is the same for the same record read twice', function() {
+      var first = cbg('2015-06-01T10:00:00', 100);
+      var second = _.assign(cbg('2015-06-01T10:00:00', 100), {
+        time: '2015-06-01T14:00:00.000Z',
+        timezoneOffset: -240,
+        uploadId: 'upid_abcdef',
+        payload: {logIndices: [4]}
+      });
+      expect(dedupe.recordId(first)).to.equal(dedupe.recordId(second));
+    });
+
+    it('does not depend on the order of the fields', function() {
+      var rec = cbg('2015-06-01T10:00:00', 100);
+      var reordered = _.zipObject(_.keys(rec).reverse(), _.values(rec).reverse());
+      expect(dedupe.recordId(rec)).to.equal(dedupe.recordId(reordered));
+    });
+
+    it('differs when the value differs', function() {
+      expect(dedupe.recordId(cbg('2015-06-01T10:00:00', 100)))
+        .to.not.equal(dedupe.recordId(cbg('2015-06-01T10:00:00', 101)));
+    });
+
+    it('is formatted like a UUID', function() {
+      expect(dedupe.recordId(cbg('2015-06-01T10:00:00', 100)))
+        .to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    });
+  });
+
+  describe('identify', function() {
+    it('sets each record\'s guid to its record id', function() {
+      var records = dedupe.identify([cbg('2015-06-01T10:00:00', 100)]);
+      expect(records[0].guid).to.equal(dedupe.recordId(cbg('2015-06-01T10:00:00', 100)));
+    });
+
+    it('tells apart identical readings at the same time', function() {
+      var records = dedupe.identify([cbg('2015-06-01T10:00:00', 100), cbg('2015-06-01T10:00:00', 100)]);
+      expect(records[0].guid).to.not.equal(records[1].guid);
+      // and identifies them the same way each time they're read
+      expect(_.pluck(dedupe.identify([cbg('2015-06-01T10:00:00', 100), cbg('2015-06-01T10:00:00', 100)]), 'guid'))
+        .to.deep.equal(_.pluck(records, 'guid'));
+    });
+
+    it('keeps a guid the record already has', function() {
+      var rec = _.assign(cbg('2015-06-01T10:00:00', 100), {guid: 'abc'});
+      expect(dedupe.identify([rec])[0].guid).to.equal('abc');
+    });
+  });
+
+  describe('filterNew', function() {
+    var groupId = 'abc';
+
+    it('returns everything when nothing has been sent from the device', function() {
+      var records = dedupe.identify([cbg('2015-06-01T10:00:00', 100), cbg('2015-06-01T10:05:00', 105)]);
+      expect(dedupe.filterNew(groupId, deviceId, records)).to.deep.equal(records);
+    });
+
+    it('returns only the records that have not been sent', function() {
+      dedupe.markSent(groupId, deviceId, dedupe.identify([
+        cbg('2015-06-01T10:00:00', 100),
+        cbg('2015-06-01T10:05:00', 105)
+      ]));
+      var records = dedupe.identify([
+        cbg('2015-06-01T10:00:00', 100),
+        cbg('2015-06-01T10:05:00', 105),
+        cbg('2015-06-01T10:10:00', 110)
+      ]);
+      expect(dedupe.filterNew(groupId, deviceId, records)).to.deep.equal([records[2]]);
+    });
+
+    it('returns records from shortly before the ones already sent', function() {
+      dedupe.markSent(groupId, deviceId, dedupe.identify([cbg('2015-06-01T10:05:00', 105)]));
+      var records = dedupe.identify([cbg('2015-06-01T09:00:00', 90), cbg('2015-06-01T10:05:00', 105)]);
+      expect(dedupe.filterNew(groupId, deviceId, records)).to.deep.equal([records[0]]);
+    });
+
+    it('takes records from more than a week before the high-water mark to have been sent', function() {
+      dedupe.markSent(groupId, deviceId, dedupe.identify([cbg('2015-06-10T10:05:00', 105)]));
+      var records = dedupe.identify([cbg('2015-06-01T10:00:00', 100), cbg('2015-06-10T10:10:00', 110)]);
+      expect(dedupe.filterNew(groupId, deviceId, records)).to.deep.equal([records[1]]);
+    });
+
+    it('returns a second identical reading that was not sent', function() {
+      dedupe.markSent(groupId, deviceId, dedupe.identify([cbg('2015-06-01T10:05:00', 105)]));
+      var records = dedupe.identify([cbg('2015-06-01T10:05:00', 105), cbg('2015-06-01T10:05:00', 105)]);
+      expect(dedupe.filterNew(groupId, deviceId, records)).to.deep.equal([records[1]]);
+    });
+
+    it('tracks what was sent per device', function() {
+      dedupe.markSent(groupId, deviceId, dedupe.identify([cbg('2015-06-01T10:05:00', 105)]));
+      var records = dedupe.identify([cbg('2015-06-01T10:05:00', 105)]);
+      expect(dedupe.filterNew(groupId, 'another device', records)).to.deep.equal(records);
+    });
+
+    it('tracks what was sent per user', function() {
+      dedupe.markSent(groupId, deviceId, dedupe.identify([cbg('2015-06-01T10:05:00', 105)]));
+      var records = dedupe.identify([cbg('2015-06-01T10:05:00', 105)]);
+      expect(dedupe.filterNew('another user', deviceId, records)).to.deep.equal(records);
+    });
+  });
+
+  describe('markSent', function() {
+    it('moves the high-water mark to the latest record sent', function() {
+      dedupe.markSent('abc', deviceId, dedupe.identify([cbg('2015-06-01T10:05:00', 105)]));
+      dedupe.markSent('abc', deviceId, dedupe.identify([cbg('2015-06-01T09:00:00', 90)]));
+      expect(dedupe.getHighWaterMark('abc', deviceId).time).to.equal(Date.parse('2015-06-01T10:05:00.000Z'));
+    });
+
+    it('forgets the ids of records more than a week before the high-water mark', function() {
+      dedupe.markSent('abc', deviceId, dedupe.identify([
+        cbg('2015-06-01T10:00:00', 100),
+        cbg('2015-06-05T10:00:00', 105)
+      ]));
+      dedupe.markSent('abc', deviceId, dedupe.identify([cbg('2015-06-10T10:00:00', 110)]));
+      expect(_.size(dedupe.getHighWaterMark('abc', deviceId).sent)).to.equal(2);
+    });
+  });
+
+  describe('clearSent', function() {
+    it('makes every record new again', function() {
+      var records = dedupe.identify([cbg('2015-06-01T10:00:00', 100)]);
+      dedupe.markSent('abc', deviceId, records);
+      dedupe.clearSent('abc', deviceId);
+      expect(dedupe.filterNew('abc', deviceId, records)).to.deep.equal(records);
+    });
+  });
+});
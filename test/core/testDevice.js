@@ -0,0 +1,145 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global afterEach, beforeEach, describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var device = require('../../lib/core/device');
+var outbox = require('../../lib/core/outbox');
+
+describe('device', function() {
+  var probed;
+  var detectUsb = device.detectUsb;
+  var detectHelper = device.detectHelper;
+
+  afterEach(function() {
+    device.detectUsb = detectUsb;
+    device.detectHelper = detectHelper;
+  });
+
+  beforeEach(function() {
+    probed = [];
+    device._deviceInfoCache = {};
+    device._uploading = {};
+    device._driverManifests = device._getAllDriverManifests();
+    device.detectUsb = function(driverId, cb) {
+      cb(null, [
+        {driverId: driverId, port: 'COM3'},
+        {driverId: driverId, port: 'COM4'}
+      ]);
+    };
+    device.detectHelper = function(driverId, options, cb) {
+      probed.push(options.port);
+      cb(null, {serialNumber: 'SN-' + options.port});
+    };
+  });
+
+  describe('detect', function() {
+    it('probes every port that could be the driver\'s device', function(done) {
+      device.detect('DexcomG4', {}, function(err, devices) {
+        expect(err).to.not.exist;
+        expect(probed).to.deep.equal(['COM3', 'COM4']);
+        expect(_.pluck(devices, 'serialNumber')).to.deep.equal(['SN-COM3', 'SN-COM4']);
+        done();
+      });
+    });
+
+    it('only probes the port it is given', function(done) {
+      device.detect('DexcomG4', {port: 'COM4'}, function(err, devices) {
+        expect(err).to.not.exist;
+        expect(probed).to.deep.equal(['COM4']);
+        expect(_.pluck(devices, 'port')).to.deep.equal(['COM4']);
+        done();
+      });
+    });
+
+    it('leaves alone a port that is being uploaded from', function(done) {
+      var cacheKey = device._cacheKey('DexcomG4', 'COM3');
+      device._deviceInfoCache[cacheKey] = {driverId: 'DexcomG4', port: 'COM3', serialNumber: 'SN-COM3'};
+      device._uploading.COM3 = 'DexcomG4';
+      device.detect('DexcomG4', {}, function(err, devices) {
+        expect(err).to.not.exist;
+        expect(probed).to.deep.equal(['COM4']);
+        // but still finds the device there
+        expect(_.pluck(devices, 'serialNumber')).to.deep.equal(['SN-COM3', 'SN-COM4']);
+        expect(device._deviceInfoCache[cacheKey].serialNumber).to.equal('SN-COM3');
+        done();
+      });
+    });
+
+    it('leaves alone a port that another driver is uploading from', function(done) {
+      device._uploading.COM3 = 'DexcomG4';
+      device.detect('OneTouchUltra2', {}, function(err, devices) {
+        expect(err).to.not.exist;
+        expect(probed).to.deep.equal(['COM4']);
+        expect(_.pluck(devices, 'port')).to.deep.equal(['COM4']);
+        done();
+      });
+    });
+  });
+
+  describe('upload api', function() {
+    var api = device._api;
+    var add = outbox.add;
+    var upload;
+
+    beforeEach(function() {
+      device._api = {upload: {toPlatform: function(data, sessionInfo, progress, groupId, cb) {
+        cb({crossDomain: true});
+      }}};
+      upload = function(options, cb) {
+        var sessionInfo = {deviceId: 'DexcomG4_SN123', start: '2015-06-01T12:00:00.000Z'};
+        device._createUploadApi(options).upload.toPlatform(
+          [{type: 'smbg', time: '2015-06-01T11:00:00.000Z', value: 5.5}],
+          sessionInfo, _.noop, 'abc', cb
+        );
+      };
+    });
+
+    afterEach(function() {
+      device._api = api;
+      outbox.add = add;
+    });
+
+    it('queues the records when the platform can\'t be reached', function(done) {
+      var queued = null;
+      outbox.add = function(entry, cb) {
+        cb(null, 'outbox_abc123');
+      };
+      upload({onQueued: function(id) { queued = id; }}, function(err, result) {
+        expect(err).to.not.exist;
+        expect(result).to.deep.equal([]);
+        expect(queued).to.equal('outbox_abc123');
+        done();
+      });
+    });
+
+    it('fails the upload when the records can\'t be queued', function(done) {
+      var queued = null;
+      outbox.add = function(entry, cb) {
+        cb(new Error('QUOTA_BYTES quota exceeded'));
+      };
+      upload({onQueued: function(id) { queued = id; }}, function(err) {
+        expect(err).to.deep.equal({crossDomain: true});
+        expect(queued).to.be.null;
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global beforeEach, describe, it */
+
+var _ = require('lodash');
+var async = require('async');
+var proxyquire = require('proxyquire').noCallThru();
+var expect = require('salinity').expect;
+
+describe('outbox', function() {
+  var outbox;
+
+  function makeEntry(deviceId, start) {
+    return {
+      records: [{type: 'smbg', value: 100, deviceId: deviceId}],
+      sessionInfo: {deviceId: deviceId, start: start},
+      groupId: 'abc'
+    };
+  }
+
+  // queues each entry in turn, calling back with their ids
+  function addAll(entries, cb) {
+    async.mapSeries(entries, outbox.add, cb);
+  }
+
+  beforeEach(function() {
+    outbox = proxyquire('../../lib/core/outbox', {
+      './localStore': require('../../lib/core/localStore')({})
+    });
+  });
+
+  describe('isUnreachable', function() {
+    it('is true for requests that got no response', function() {
+      expect(outbox.isUnreachable({crossDomain: true})).to.be.true;
+      expect(outbox.isUnreachable({status: 0})).to.be.true;
+      expect(outbox.isUnreachable({code: 'ECONNREFUSED'})).to.be.true;
+    });
+
+    it('is false for errors returned by the platform', function() {
+      expect(outbox.isUnreachable({status: 500})).to.be.false;
+      expect(outbox.isUnreachable('duplicate')).to.be.false;
+      expect(outbox.isUnreachable(null)).to.be.false;
+    });
+  });
+
+  describe('add', function() {
+    it('persists the records with their session metadata', function(done) {
+      outbox.add(makeEntry('Dexcom_123', '2015-06-01T12:00:00.000Z'), function(err, id) {
+        expect(err).to.not.exist;
+        expect(outbox.count()).to.equal(1);
+        var entry = outbox.list()[0];
+        expect(entry.id).to.equal(id);
+        expect(entry.deviceId).to.equal('Dexcom_123');
+        expect(entry.groupId).to.equal('abc');
+        expect(entry.records).to.have.length(1);
+        done();
+      });
+    });
+
+    it('calls back with the error and queues nothing when the records can\'t be saved', function(done) {
+      var store = require('../../lib/core/localStore')({});
+      store.setItem = function(key, value, cb) {
+        cb(new Error('QUOTA_BYTES quota exceeded'));
+      };
+      outbox = proxyquire('../../lib/core/outbox', {'./localStore': store});
+      outbox.add(makeEntry('Dexcom_123', '2015-06-01T12:00:00.000Z'), function(err, id) {
+        expect(err.message).to.equal('QUOTA_BYTES quota exceeded');
+        expect(id).to.not.exist;
+        expect(outbox.count()).to.equal(0);
+        done();
+      });
+    });
+  });
+
+  describe('sync', function() {
+    var dexcom = makeEntry('Dexcom_123', '2015-06-01T12:00:00.000Z');
+    var oneTouch = makeEntry('OneTouch_456', '2015-06-01T12:05:00.000Z');
+
+    it('sends the queued uploads and removes them', function(done) {
+      addAll([dexcom, oneTouch], function(err, ids) {
+        var sent = [];
+        var upload = function(data, sessionInfo, progress, groupId, cb) {
+          sent.push(sessionInfo.deviceId);
+          cb(null, data);
+        };
+        outbox.sync(upload, function(err, sentIds) {
+          expect(err).to.not.exist;
+          expect(_.sortBy(sentIds)).to.deep.equal(_.sortBy(ids));
+          expect(_.sortBy(sent)).to.deep.equal(['Dexcom_123', 'OneTouch_456']);
+          expect(outbox.count()).to.equal(0);
+          done();
+        });
+      });
+    });
+
+    it('stops and keeps the queue when the platform is still unreachable', function(done) {
+      addAll([dexcom, oneTouch], function() {
+        var attempts = 0;
+        var upload = function(data, sessionInfo, progress, groupId, cb) {
+          attempts++;
+          cb({crossDomain: true});
+        };
+        outbox.sync(upload, function(err, ids) {
+          expect(err).to.not.exist;
+          expect(ids).to.be.empty;
+          expect(attempts).to.equal(1);
+          expect(outbox.count()).to.equal(2);
+          done();
+        });
+      });
+    });
+
+    it('keeps uploads the platform rejects but sends the others', function(done) {
+      addAll([dexcom, oneTouch], function(err, ids) {
+        var upload = function(data, sessionInfo, progress, groupId, cb) {
+          if (sessionInfo.deviceId === 'Dexcom_123') {
+            return cb({status: 500});
+          }
+          cb(null, data);
+        };
+        outbox.sync(upload, function(err, sentIds) {
+          expect(sentIds).to.deep.equal([ids[1]]);
+          expect(outbox.count()).to.equal(1);
+          expect(outbox.list()[0].deviceId).to.equal('Dexcom_123');
+          done();
+        });
+      });
+    });
+  });
+});
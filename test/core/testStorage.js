@@ -0,0 +1,92 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global afterEach, beforeEach, describe, it */
+
+var expect = require('salinity').expect;
+
+var storage = require('../../lib/core/storage');
+
+describe('storage', function() {
+  describe('chrome.storage version', function() {
+    var store, chromeStorage, failWith;
+
+    beforeEach(function() {
+      failWith = null;
+      chromeStorage = {};
+      global.chrome = {runtime: {}};
+      store = storage({
+        isChromeApp: true,
+        ourStore: {
+          get: function(query, cb) { cb({}); },
+          set: function(payload, cb) {
+            if (failWith) {
+              global.chrome.runtime.lastError = {message: failWith};
+            }
+            else {
+              chromeStorage = payload;
+            }
+            cb();
+            delete global.chrome.runtime.lastError;
+          },
+          remove: function() {}
+        }
+      });
+    });
+
+    afterEach(function() {
+      delete global.chrome;
+    });
+
+    it('writes the value and calls back', function(done) {
+      store.setItem('uploadOutbox', {a: 1}, function(err) {
+        expect(err).to.not.exist;
+        expect(chromeStorage).to.deep.equal({uploadOutbox: {a: 1}});
+        expect(store.getItem('uploadOutbox')).to.deep.equal({a: 1});
+        done();
+      });
+    });
+
+    it('calls back with chrome\'s error and keeps the old value when the write fails', function(done) {
+      store.setItem('uploadOutbox', {a: 1}, function() {
+        failWith = 'QUOTA_BYTES quota exceeded';
+        store.setItem('uploadOutbox', {a: 1, b: 2}, function(err) {
+          expect(err.message).to.equal('QUOTA_BYTES quota exceeded');
+          expect(store.getItem('uploadOutbox')).to.deep.equal({a: 1});
+          done();
+        });
+      });
+    });
+  });
+
+  describe('localStorage version', function() {
+    it('calls back with the error when the browser refuses the write', function(done) {
+      var store = storage({
+        isChromeApp: false,
+        ourStore: {
+          getItem: function() {},
+          setItem: function() { throw new Error('QuotaExceededError'); },
+          removeItem: function() {}
+        }
+      });
+      store.setItem('uploadOutbox', {a: 1}, function(err) {
+        expect(err.message).to.equal('QuotaExceededError');
+        done();
+      });
+    });
+  });
+});
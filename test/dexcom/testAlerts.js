@@ -0,0 +1,131 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var builder = require('../../lib/objectBuilder')();
+var alerts = require('../../lib/dexcom/alerts');
+
+describe('alerts.js', function() {
+  var BASE = Date.UTC(2015, 5, 1, 0, 0, 0);
+
+  // a reading every five minutes
+  function makeReadings(values, start) {
+    start = start || 0;
+    return _.map(values, function(glucose, i) {
+      var seconds = start + i * 300;
+      return {
+        systemSeconds: seconds,
+        displayDate: new Date(BASE + 1000 * seconds),
+        internalTime: 'internal',
+        glucose: glucose
+      };
+    });
+  }
+
+  function makeSettings(index, overrides) {
+    return _.assign({
+      index: index,
+      lowAlerts: {enabled: true, level: 70, snooze: 18e5},
+      highAlerts: {enabled: true, level: 200, snooze: 36e5},
+      rateOfChangeAlerts: {
+        fallRate: {enabled: false, rate: 2},
+        riseRate: {enabled: false, rate: 2}
+      },
+      outOfRangeAlerts: {enabled: false, snooze: 18e5}
+    }, overrides);
+  }
+
+  function alertTypes(alarms) {
+    return _.map(alarms, function(alarm) { return alarm.payload.vendorCode; });
+  }
+
+  it('raises a low alert when a reading crosses the level, and again once the snooze runs out', function() {
+    // 30 minutes of snooze is six readings
+    var readings = makeReadings([100, 80, 70, 65, 65, 65, 65, 65, 65, 65, 90, 68]);
+    var alarms = alerts(readings, [makeSettings(0)], {builder: builder});
+    expect(alertTypes(alarms)).to.deep.equal(['low', 'low', 'low']);
+    expect(_.pluck(alarms, 'index')).to.deep.equal([600, 2400, 3300]);
+    expect(alarms[0].alarmType).to.equal('other');
+    expect(alarms[0].payload).to.deep.equal({
+      alarm: 'lowGlucose',
+      stopsDelivery: false,
+      vendorCode: 'low',
+      internalTime: 'internal',
+      value: 70,
+      units: 'mg/dL',
+      threshold: 70
+    });
+    expect(alarms[0].annotations).to.deep.equal([{code: 'dexcom/alarm/derived'}]);
+  });
+
+  it('doesn\'t raise a low again when it carries on into the next upload', function() {
+    var readings = makeReadings([100, 80, 65, 65, 65, 65, 65, 65, 65, 65, 65]);
+    // the first upload ended with the reading at 1200 seconds
+    var first = alerts(_.filter(readings, function(r) { return r.systemSeconds <= 1200; }),
+      [makeSettings(0)], {builder: builder});
+    // the next one re-reads the page holding that reading
+    var second = alerts(readings, [makeSettings(0)], {builder: builder, after: 1200});
+    expect(_.pluck(first, 'index')).to.deep.equal([600]);
+    // the low went off at 600, so the snooze runs out at 2400
+    expect(_.pluck(second, 'index')).to.deep.equal([2400]);
+  });
+
+  it('uses the settings that were in effect at the time of each reading', function() {
+    var readings = makeReadings([210, 150, 210, 190]);
+    var settings = [
+      makeSettings(0),
+      makeSettings(450, {highAlerts: {enabled: true, level: 180, snooze: 36e5}})
+    ];
+    var alarms = alerts(readings, settings, {builder: builder});
+    expect(alertTypes(alarms)).to.deep.equal(['high', 'high']);
+    expect(_.pluck(_.pluck(alarms, 'payload'), 'threshold')).to.deep.equal([200, 180]);
+  });
+
+  it('always raises the urgent low alarm, even with no settings', function() {
+    var alarms = alerts(makeReadings([60, 55, 50]), [], {builder: builder});
+    expect(alertTypes(alarms)).to.deep.equal(['urgentLow']);
+    expect(alarms[0].index).to.equal(300);
+  });
+
+  it('raises the rate alerts when the rate of change crosses their limits', function() {
+    var settings = [makeSettings(0, {
+      lowAlerts: {enabled: false, level: 70, snooze: 18e5},
+      highAlerts: {enabled: false, level: 200, snooze: 36e5},
+      rateOfChangeAlerts: {
+        fallRate: {enabled: true, rate: 2},
+        riseRate: {enabled: true, rate: 3}
+      }
+    })];
+    var alarms = alerts(makeReadings([100, 110, 130, 150, 155, 140, 125]), settings, {builder: builder});
+    expect(alertTypes(alarms)).to.deep.equal(['riseRate', 'fallRate']);
+    expect(alarms[0].payload.rate).to.equal(4);
+    expect(alarms[1].payload.rate).to.equal(-3);
+  });
+
+  it('raises the out-of-range alert when the readings stop for longer than its time', function() {
+    var settings = [makeSettings(0, {outOfRangeAlerts: {enabled: true, snooze: 18e5}})];
+    var readings = makeReadings([100, 100]).concat(makeReadings([100], 3600));
+    var alarms = alerts(readings, settings, {builder: builder});
+    expect(alertTypes(alarms)).to.deep.equal(['outOfRange']);
+    expect(alarms[0].index).to.equal(300 + 1800);
+    expect(alarms[0].deviceTime).to.equal('2015-06-01T00:35:00');
+  });
+});
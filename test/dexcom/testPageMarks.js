@@ -0,0 +1,77 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global afterEach, describe, it */
+
+var expect = require('salinity').expect;
+
+var pageMarks = require('../../lib/dexcom/pageMarks');
+
+describe('pageMarks.js', function() {
+  function makePage(pagenum, seconds) {
+    return {
+      header: {pagenum: pagenum},
+      data: seconds.map(function(s) { return {systemSeconds: s}; })
+    };
+  }
+
+  afterEach(function() {
+    pageMarks.clear('abc', 'DexG4_123');
+  });
+
+  it('takes the mark from the newest page read', function() {
+    var mark = pageMarks.fromPages([makePage(12, [500, 600]), makePage(11, [300, 400])]);
+    expect(mark).to.deep.equal({page: 12, systemSeconds: 600});
+    expect(pageMarks.fromPages([])).to.be.null;
+  });
+
+  it('only matches the same page still holding the marked record', function() {
+    var mark = {page: 12, systemSeconds: 600};
+    expect(pageMarks.matches(mark, makePage(12, [500, 600, 700]))).to.be.true;
+    expect(pageMarks.matches(mark, makePage(12, [100]))).to.be.false;
+    expect(pageMarks.matches(mark, makePage(13, [600]))).to.be.false;
+  });
+
+  it('gives the marked record as the last one sent before only when the pages were read from it', function() {
+    var mark = {page: 12, systemSeconds: 600};
+    expect(pageMarks.newAfter(mark, [makePage(13, [700, 800]), makePage(12, [500, 600])])).to.equal(600);
+    expect(pageMarks.newAfter(mark, [makePage(2, [700]), makePage(1, [100])])).to.be.null;
+    expect(pageMarks.newAfter(null, [makePage(12, [500, 600])])).to.be.null;
+  });
+
+  it('remembers the marks for each receiver, keeping those of record types without new pages', function() {
+    expect(pageMarks.get('abc', 'DexG4_123')).to.be.null;
+    pageMarks.update('abc', 'DexG4_123', {
+      EGV_DATA: {page: 12, systemSeconds: 600},
+      USER_EVENT_DATA: {page: 2, systemSeconds: 400}
+    });
+    pageMarks.update('abc', 'DexG4_123', {
+      EGV_DATA: {page: 13, systemSeconds: 900},
+      USER_EVENT_DATA: null
+    });
+    expect(pageMarks.get('abc', 'DexG4_123')).to.deep.equal({
+      EGV_DATA: {page: 13, systemSeconds: 900},
+      USER_EVENT_DATA: {page: 2, systemSeconds: 400}
+    });
+    expect(pageMarks.get('abc', 'DexG4_456')).to.be.null;
+  });
+
+  it('keeps the marks for each user a receiver is uploaded to apart', function() {
+    pageMarks.update('abc', 'DexG4_123', {EGV_DATA: {page: 12, systemSeconds: 600}});
+    expect(pageMarks.get('def', 'DexG4_123')).to.be.null;
+  });
+});
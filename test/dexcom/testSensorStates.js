@@ -0,0 +1,62 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var builder = require('../../lib/objectBuilder')();
+var sensorStates = require('../../lib/dexcom/sensorStates');
+
+describe('sensorStates.js', function() {
+  var BASE = Date.UTC(2015, 5, 1, 0, 0, 0);
+
+  // a reading every five minutes
+  function makeReadings(values) {
+    return _.map(values, function(glucose, i) {
+      return {
+        systemSeconds: i * 300,
+        displayDate: new Date(BASE + 1000 * i * 300),
+        internalTime: 'internal',
+        glucose: glucose
+      };
+    });
+  }
+
+  it('knows the special values from readings', function() {
+    expect(sensorStates.isSpecialValue(1)).to.be.true;
+    expect(sensorStates.isSpecialValue(12)).to.be.true;
+    expect(sensorStates.isSpecialValue(39)).to.be.false;
+  });
+
+  it('makes each run of a special value into one sensor state event', function() {
+    var states = sensorStates(makeReadings([120, 1, 1, 1, 6, 110, 12, 12]), {builder: builder});
+    expect(_.pluck(states, 'state')).to.deep.equal(['sensorNotActive', 'countsDeviation', 'badRF']);
+    expect(_.pluck(states, 'index')).to.deep.equal([300, 1200, 1800]);
+    // until the next reading that isn't the same, or the last reading
+    expect(_.pluck(states, 'duration')).to.deep.equal([9e5, 3e5, 3e5]);
+    expect(states[0].deviceTime).to.equal('2015-06-01T00:05:00');
+    expect(states[1].payload).to.deep.equal({code: 6, display: '???', internalTime: 'internal'});
+  });
+
+  it('keeps codes it does not know as an unknown state', function() {
+    var states = sensorStates(makeReadings([4, 100]), {builder: builder});
+    expect(states[0].state).to.equal('unknown');
+    expect(states[0].payload.code).to.equal(4);
+  });
+});
@@ -0,0 +1,87 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var builder = require('../../lib/objectBuilder')();
+var userEvents = require('../../lib/dexcom/userEvents');
+
+describe('userEvents.js', function() {
+  function makeEvent(systemSeconds, eventType, eventSubType, eventValue) {
+    return {
+      systemSeconds: systemSeconds,
+      eventType: eventType,
+      eventSubType: eventSubType,
+      eventValue: eventValue,
+      internalTime: '2015-06-01T12:00:00',
+      deviceTime: '2015-06-01T08:00:00',
+      jsDate: new Date('2015-06-01T08:00:00Z')
+    };
+  }
+
+  // what the driver does once it has the UTC info
+  function finish(records) {
+    return _.map(records, function(rec) {
+      rec = rec.with_time('2015-06-01T12:00:00.000Z')
+        .with_timezoneOffset(-240)
+        .with_conversionOffset(0)
+        .done();
+      delete rec.index;
+      delete rec.jsDate;
+      return rec;
+    });
+  }
+
+  it('makes carbs into food', function() {
+    var food = finish(userEvents([makeEvent(100, 1, 0, 45)], {builder: builder}))[0];
+    expect(food.type).to.equal('food');
+    expect(food.carbs).to.equal(45);
+    expect(food.deviceTime).to.equal('2015-06-01T08:00:00');
+    expect(food.payload).to.deep.equal({
+      userEvent: {type: 'carbs'},
+      internalTime: '2015-06-01T12:00:00',
+      logIndices: [100]
+    });
+  });
+
+  it('makes insulin, stored in hundredths of a unit, into a bolus', function() {
+    var bolus = finish(userEvents([makeEvent(100, 2, 0, 350)], {builder: builder}))[0];
+    expect(bolus.type).to.equal('bolus');
+    expect(bolus.subType).to.equal('normal');
+    expect(bolus.normal).to.equal(3.5);
+    expect(bolus.payload.userEvent).to.deep.equal({type: 'insulin'});
+  });
+
+  it('makes health and exercise events into notes with their subtype', function() {
+    var notes = finish(userEvents([makeEvent(100, 3, 2, 0), makeEvent(200, 4, 3, 30)], {builder: builder}));
+    expect(_.pluck(notes, 'type')).to.deep.equal(['note', 'note']);
+    expect(notes[0].value).to.equal('stress');
+    expect(notes[0].payload.userEvent).to.deep.equal({type: 'health', subType: 'stress'});
+    expect(notes[1].value).to.equal('exercise');
+    expect(notes[1].payload.userEvent).to.deep.equal({type: 'exercise', subType: 'heavy', duration: 18e5});
+  });
+
+  it('sorts the events and skips types it does not know', function() {
+    var records = userEvents([makeEvent(300, 1, 0, 10), makeEvent(200, 9, 0, 1), makeEvent(100, 1, 0, 20)],
+      {builder: builder});
+    expect(_.pluck(records, 'index')).to.deep.equal([100, 300]);
+    expect(_.pluck(records, 'jsDate')).to.have.length(2);
+  });
+});
@@ -0,0 +1,247 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var builder = require('../../lib/objectBuilder')();
+var struct = require('../../lib/struct')();
+var insuletDriver = require('../../lib/drivers/insuletDriver');
+
+describe('insuletDriver', function() {
+  var FLAGS = {
+    CARRY_OVER: 0x01,
+    IN_PROGRESS: 0x04,
+    UNCONFIRMED: 0x10,
+    ERROR: 0x80000000
+  };
+  var BOLUS = 0x0004, BASAL_RATE = 0x0008, DOWNLOAD = 0x20000;
+
+  // packs `values` (by field name) into the payload of an IBF record, which is
+  // framed by its size and a checksum the same way the driver's getRecord reads it
+  function ibfRecord(format, fields, values) {
+    var payload = new Uint8Array(struct.structlen(format));
+    var args = [payload, 0, format];
+    var field = 0;
+    var pat = /([0-9]*)([a-zA-Z.])/g, token;
+    while ((token = pat.exec(format)) !== null) {
+      var count = token[1] ? parseInt(token[1], 10) : 1;
+      if (token[2] === '.') {
+        args.push(null);
+      }
+      else if (token[2] === 'z') {
+        args.push(values[fields[field++]] || '');
+      }
+      else {
+        for (var i = 0; i < count; ++i) {
+          args.push(values[fields[field++]] || 0);
+        }
+      }
+    }
+    struct.pack.apply(null, args);
+    var rec = new Uint8Array(payload.length + 4);
+    struct.storeBEShort(payload.length + 2, rec, 0);
+    rec.set(payload, 2);
+    struct.storeBEShort(_.reduce(payload, function(sum, b) { return sum + b; }, 0) & 0xFFFF,
+                        rec, payload.length + 2);
+    return rec;
+  }
+
+  var HISTORY_FORMAT = 'bNSSbbsbbb.ini';
+  var HISTORY_FIELDS = [
+    'log_id', 'log_index', 'record_size', 'error_code',
+    'day', 'month', 'year', 'seconds', 'minutes', 'hours',
+    'secs_since_powerup', 'rectype', 'flags'
+  ];
+
+  function history(index, when, rectype, flags, detailFormat, detailFields, detail) {
+    return ibfRecord(HISTORY_FORMAT + (detailFormat || ''), HISTORY_FIELDS.concat(detailFields || []),
+      _.assign({
+        log_id: 3,
+        log_index: index,
+        day: when.day,
+        month: 6,
+        year: 2015,
+        minutes: when.minutes || 0,
+        hours: when.hours,
+        rectype: rectype,
+        flags: flags
+      }, detail));
+  }
+
+  function bolus(index, when, flags, detail) {
+    return history(index, when, BOLUS, flags, 'isss', [
+      'volume', 'extended_duration_minutes', 'calculation_record_offset', 'immediate_duration_seconds'
+    ], detail);
+  }
+
+  // a PDM with one basal program and flat settings, whose history is `records`
+  function ibfFile(records) {
+    var basalProgramFields = ['num_progs', 'enabled_idx', 'max_name_size'];
+    var basalProgramFormat = '3S';
+    var programs = {num_progs: 1, enabled_idx: 0, max_name_size: 8};
+    for (var i = 0; i < 7; ++i) {
+      basalProgramFormat += 'S8z';
+      basalProgramFields.push('index' + i, 'name' + i);
+      programs['index' + i] = i;
+    }
+    programs.name0 = 'standard';
+
+    var parts = [
+      ibfRecord('6S8z8z', ['ibf_maj', 'ibf_min', 'ibf_patch', 'eng_maj', 'eng_min', 'eng_patch',
+                           'vendorid', 'productid'],
+        {ibf_min: 1, eng_min: 1, vendorid: 'Insulet', productid: 'OmniPod'}),
+      ibfRecord('3S', ['pdm_maj', 'pdm_min', 'pdm_patch'], {pdm_maj: 2, pdm_min: 3}),
+      ibfRecord('8z', ['data'], {data: 'test'}),
+      ibfRecord(basalProgramFormat, basalProgramFields, programs),
+      ibfRecord('13.4i2b4.b5.b.bb8.i19.7b3sb19.bi', [
+        'BOLUS_INCR', 'BOLUS_MAX', 'BASAL_MAX', 'LOW_VOL', 'AUTO_OFF', 'LANGUAGE', 'EXPIRE_ALERT',
+        'BG_REMINDER', 'CONF_ALERT', 'REMDR_ALERT', 'REMOTE_ID', 'TEMP_BAS_TYPE', 'EXT_BOL_TYPE',
+        'BOL_REMINDER', 'BOL_CALCS', 'BOL_CALCS_REVERSE', 'BG_DISPLAY', 'BG_SOUND', 'BG_MIN',
+        'BG_GOAL_LOW', 'BG_GOAL_UP', 'INSULIN_DURATION', 'ALARM_REPAIR_COUNT', 'PDM_CONFIG'
+      ], {REMOTE_ID: 12345, INSULIN_DURATION: 8})
+    ];
+    // carb ratio, sensitivity, target, threshold, then the seven basal programs
+    var settings = [10, 50, 100, 120, 100, 0, 0, 0, 0, 0, 0];
+    _.each(settings, function(value, i) {
+      var steps = _.map(_.range(48), function(j) { return 'step' + j; });
+      var profile = {profile_idx: 11 + i};
+      _.each(steps, function(step) { profile[step] = value; });
+      parts.push(ibfRecord('b6.Si48i', ['profile_idx', 'error_code', 'operation_time'].concat(steps),
+                           profile));
+    });
+    parts.push(ibfRecord('7bS3b.S', [
+      'logs_info_revision', 'insulin_history_revision', 'alarm_history_revision',
+      'blood_glucose_revision', 'insulet_stats_revision', 'day', 'month', 'year',
+      'seconds', 'minutes', 'hours', 'num_log_descriptions'
+    ], {day: 5, month: 6, year: 2015}));
+    parts = parts.concat(records);
+
+    var file = new Uint8Array(_.reduce(parts, function(len, part) { return len + part.length; }, 0));
+    var offset = 0;
+    _.each(parts, function(part) {
+      file.set(part, offset);
+      offset += part.length;
+    });
+    return file.buffer;
+  }
+
+  function upload(records, cb) {
+    var uploaded = null;
+    var driver = insuletDriver({
+      filename: 'test.ibf',
+      filedata: ibfFile(records),
+      timezone: 'US/Pacific',
+      builder: builder,
+      api: {upload: {toPlatform: function(events, info, progress, groupId, done) {
+        uploaded = events;
+        done(null, events);
+      }}}
+    });
+    var steps = ['connect', 'getConfigInfo', 'fetchData', 'processData', 'uploadData', 'cleanup'];
+    var next = function(err, data) {
+      if (err || steps.length === 0) {
+        return cb(err, data, uploaded);
+      }
+      driver[steps.shift()](_.noop, data, next);
+    };
+    driver.setup({}, _.noop, next);
+  }
+
+  function codes(event) {
+    return _.pluck(event.annotations, 'code');
+  }
+
+  function basal(index, when, flags) {
+    return history(index, when, BASAL_RATE, flags, 'ish', ['basal_rate', 'duration', 'percent'],
+                   {basal_rate: 100});
+  }
+
+  var download = history(99, {day: 5, hours: 12}, DOWNLOAD, 0);
+
+  it('drops history records the PDM flagged as errors', function(done) {
+    upload([
+      basal(0, {day: 1, hours: 0}, 0),
+      bolus(1, {day: 1, hours: 8}, 0, {volume: 100, immediate_duration_seconds: 40}),
+      bolus(2, {day: 1, hours: 9}, FLAGS.ERROR, {volume: 300, immediate_duration_seconds: 120}),
+      download
+    ], function(err, data, events) {
+      expect(err).to.not.exist;
+      expect(_.pluck(data.log_records, 'log_index')).to.deep.equal([0, 1, 99]);
+      expect(_.pluck(_.filter(events, {type: 'bolus'}), 'normal')).to.deep.equal([1]);
+      done();
+    });
+  });
+
+  it('annotates deliveries from unconfirmed and in-progress records', function(done) {
+    upload([
+      basal(1, {day: 1, hours: 0}, FLAGS.UNCONFIRMED),
+      bolus(2, {day: 1, hours: 8}, FLAGS.UNCONFIRMED, {volume: 100, immediate_duration_seconds: 40}),
+      bolus(3, {day: 1, hours: 9}, FLAGS.IN_PROGRESS, {volume: 200, immediate_duration_seconds: 80}),
+      bolus(4, {day: 1, hours: 10}, 0, {volume: 300, immediate_duration_seconds: 120}),
+      download
+    ], function(err, data, events) {
+      expect(err).to.not.exist;
+      var boluses = _.filter(events, {type: 'bolus'});
+      expect(codes(boluses[0])).to.deep.equal(['insulet/bolus/unconfirmed']);
+      expect(codes(boluses[1])).to.deep.equal(['insulet/bolus/in-progress']);
+      expect(boluses[2].annotations).to.not.exist;
+      var basal = _.find(events, {type: 'basal', deliveryType: 'scheduled'});
+      expect(codes(basal)).to.include('insulet/basal/unconfirmed');
+      done();
+    });
+  });
+
+  it('stitches the carried over half of an extended bolus split over midnight back onto the first', function(done) {
+    upload([
+      basal(0, {day: 1, hours: 0}, 0),
+      bolus(1, {day: 1, hours: 22}, 0, {volume: 100, extended_duration_minutes: 120}),
+      bolus(2, {day: 2, hours: 0}, FLAGS.CARRY_OVER, {volume: 50, extended_duration_minutes: 60}),
+      download
+    ], function(err, data, events) {
+      expect(err).to.not.exist;
+      var boluses = _.filter(events, {type: 'bolus'});
+      expect(boluses.length).to.equal(1);
+      expect(boluses[0].subType).to.equal('square');
+      expect(boluses[0].extended).to.equal(1.5);
+      expect(boluses[0].duration).to.equal(180 * 60 * 1000);
+      expect(boluses[0].annotations).to.not.exist;
+      done();
+    });
+  });
+
+  it('annotates a carried over half of an extended bolus with no first half before it', function(done) {
+    upload([
+      basal(0, {day: 1, hours: 0}, 0),
+      bolus(1, {day: 1, hours: 0}, FLAGS.CARRY_OVER, {volume: 50, extended_duration_minutes: 60}),
+      bolus(2, {day: 1, hours: 22}, 0, {volume: 100, extended_duration_minutes: 120}),
+      bolus(3, {day: 2, hours: 0}, FLAGS.CARRY_OVER, {volume: 50, extended_duration_minutes: 60}),
+      download
+    ], function(err, data, events) {
+      expect(err).to.not.exist;
+      var boluses = _.filter(events, {type: 'bolus'});
+      expect(boluses.length).to.equal(2);
+      expect(boluses[0].extended).to.equal(0.5);
+      expect(codes(boluses[0])).to.deep.equal(['insulet/bolus/split-extended']);
+      expect(boluses[1].extended).to.equal(1.5);
+      expect(boluses[1].annotations).to.not.exist;
+      done();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var settingsHistory = require('../../lib/insulet/settingsHistory');
+
+describe('settingsHistory', function() {
+  var HOUR = 3600000;
+  var current = {
+    activeSchedule: 'weekday',
+    units: { carb: 'grams', bg: 'mg/dL' },
+    basalSchedules: {
+      weekday: [{start: 0, rate: 0.8}, {start: 6 * HOUR, rate: 1.2}],
+      weekend: [{start: 0, rate: 0.5}]
+    },
+    carbRatio: [{start: 0, amount: 12}],
+    insulinSensitivity: [{start: 0, amount: 40}],
+    bgTarget: [{start: 0, target: 100, high: 120}]
+  };
+
+  function calc(index, hour, overrides) {
+    return _.assign({index: index, start: hour * HOUR, carbRatio: 12, insulinSensitivity: 40,
+      target: 100, high: 120}, overrides);
+  }
+
+  function basal(index, hour, rate) {
+    return {index: index, start: hour * HOUR, scheduledRate: rate};
+  }
+
+  it('finds nothing when the history agrees with the settings', function() {
+    var observations = [basal(1, 1, 0.8), basal(2, 7, 1.2), calc(3, 8)];
+    expect(settingsHistory(current, observations)).to.deep.equal([]);
+  });
+
+  it('finds an edited step of the active basal program', function() {
+    var observations = [basal(1, 7, 1.0), basal(2, 1, 0.8), basal(3, 7, 1.2), basal(4, 8, 1.2)];
+    var versions = settingsHistory(current, observations);
+    expect(versions).to.have.length(2);
+    expect(versions[0].observation.index).to.equal(1);
+    expect(versions[0].settings.basalSchedules.weekday).to.deep.equal(
+      [{start: 0, rate: 0.8}, {start: 6 * HOUR, rate: 1.0}]
+    );
+    // the current settings, from the earliest observation that agrees with them
+    expect(versions[1].observation.index).to.equal(2);
+    expect(versions[1].settings.basalSchedules.weekday[1].rate).to.equal(1.2);
+    // and the current settings themselves are untouched
+    expect(current.basalSchedules.weekday[1].rate).to.equal(1.2);
+  });
+
+  it('finds a switch to another basal program', function() {
+    var versions = settingsHistory(current, [basal(1, 3, 0.5), basal(2, 3, 0.8)]);
+    expect(_.pluck(_.pluck(versions, 'settings'), 'activeSchedule')).to.deep.equal(['weekend', 'weekday']);
+    expect(versions[0].settings.basalSchedules).to.deep.equal(current.basalSchedules);
+  });
+
+  it('finds changes to the ratio, sensitivity and target from bolus calculations', function() {
+    var observations = [
+      calc(1, 9, {carbRatio: 15, target: 110, insulinSensitivity: 50}),
+      calc(2, 9, {insulinSensitivity: 50}),
+      calc(3, 9, {carbRatio: 65535})
+    ];
+    var versions = settingsHistory(current, observations);
+    expect(_.pluck(_.pluck(versions, 'observation'), 'index')).to.deep.equal([1, 2, 3]);
+    expect(versions[0].settings.carbRatio).to.deep.equal([{start: 0, amount: 15}]);
+    expect(versions[0].settings.bgTarget).to.deep.equal([{start: 0, target: 110, high: 120}]);
+    expect(versions[0].settings.insulinSensitivity).to.deep.equal([{start: 0, amount: 50}]);
+    expect(versions[1].settings.carbRatio).to.deep.equal([{start: 0, amount: 12}]);
+    expect(versions[1].settings.insulinSensitivity).to.deep.equal([{start: 0, amount: 50}]);
+    expect(versions[2].settings.insulinSensitivity).to.deep.equal([{start: 0, amount: 40}]);
+  });
+
+  it('does not report the download settings when the latest observation already disagrees', function() {
+    var versions = settingsHistory(current, [calc(1, 9, {carbRatio: 15})]);
+    expect(versions).to.have.length(1);
+    expect(versions[0].settings.carbRatio[0].amount).to.equal(15);
+  });
+});
@@ -0,0 +1,77 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var builder = require('../../lib/objectBuilder')();
+var oneTouchMini = require('../../lib/drivers/oneTouchMiniDriver');
+
+describe('oneTouchMini', function() {
+  // the records the meter sent back, newest first
+  var recorded = require('./mini-records.json');
+
+  it('fills in the UTC info of every reading from a TimezoneOffsetUtil', function(done) {
+    var sessionInfo = null;
+    var driver = oneTouchMini({
+      timezone: 'Europe/London',
+      builder: builder,
+      api: {upload: {toPlatform: function(records, info) { sessionInfo = info; }}}
+    });
+    var data = {model: 'UltraMini', serialNumber: 'C2Q5A0123', bgmReadings: _.cloneDeep(recorded)};
+    driver.processData(_.noop, data, function(err, data) {
+      var records = data.post_records;
+      expect(_.pluck(records, 'value')).to.deep.equal([81, 132, 177]);
+      expect(records[0].deviceTime).to.equal('2015-03-21T16:45:24');
+      expect(records[0].time).to.equal('2015-03-21T16:45:24.000Z');
+      expect(records[0].timezoneOffset).to.equal(0);
+      expect(records[0].conversionOffset).to.equal(0);
+      expect(records[0].clockDriftOffset).to.equal(0);
+      expect(records[0].deviceId).to.equal('OneTouchUltraMiniC2Q5A0123');
+      expect(_.every(records, function(rec) { return rec.index === undefined; })).to.be.true;
+      driver.uploadData(_.noop, data, function() {
+        expect(sessionInfo.timeProcessing).to.equal('across-the-board-timezone');
+        done();
+      });
+    });
+  });
+
+  it('gives the readings the clock drift measured at connect', function(done) {
+    var sessionInfo = null;
+    var driver = oneTouchMini({
+      timezone: 'Europe/London',
+      builder: builder,
+      api: {upload: {toPlatform: function(records, info) { sessionInfo = info; }}}
+    });
+    var drift = {deviceTime: '2015-03-21T17:00:00', computerTime: '2015-03-21T16:40:00.000Z',
+      clockDriftOffset: 1200000};
+    var data = {model: 'UltraMini', serialNumber: 'C2Q5A0123', bgmReadings: _.cloneDeep(recorded),
+      clockDrift: drift};
+    driver.processData(_.noop, data, function(err, data) {
+      var records = data.post_records;
+      expect(records[0].deviceTime).to.equal('2015-03-21T16:45:24');
+      expect(records[0].time).to.equal('2015-03-21T16:45:24.000Z');
+      expect(records[0].clockDriftOffset).to.equal(1200000);
+      driver.uploadData(_.noop, data, function() {
+        expect(sessionInfo.payload).to.deep.equal({clockDrift: drift});
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global afterEach, beforeEach, describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+var fs = require('fs');
+
+var builder = require('../../lib/objectBuilder')();
+var replayDevice = require('../../lib/replayDevice');
+var trafficRecorder = require('../../lib/trafficRecorder');
+var clockDrift = require('../../lib/clockDrift');
+var oneTouchUltra2 = require('../../lib/drivers/oneTouchUltra2');
+
+describe('oneTouchUltra2', function() {
+  // what the meter sent back for DMP
+  var recorded = fs.readFileSync(__dirname + '/ultra2-dmp.txt', {encoding: 'utf8'});
+
+  function toBytes(str) {
+    return new Uint8Array(_.map(str, function(c) { return c.charCodeAt(0); }));
+  }
+
+  // the meter's checksum: the sum of the characters before it
+  function withChecksum(line) {
+    var sum = _.reduce(line, function(s, c) { return s + c.charCodeAt(0); }, 0);
+    return line + ' ' + ('0000' + sum.toString(16).toUpperCase()).slice(-4);
+  }
+
+  // a session where the meter answers DMF and then DMSU? with `answers`
+  function capture(answers) {
+    var entries = [{t: 0, type: 'connect', port: '/dev/tty.usbserial'}];
+    _.each([['DMF', answers.clock], ['DMSU?', answers.units]], function(exchange) {
+      entries.push({t: 0, type: 'tx', data: trafficRecorder.toHex(toBytes('\x11\x0d' + exchange[0]))});
+      entries.push({t: 0, type: 'rx', data: trafficRecorder.toHex(toBytes(exchange[1] + '\r\n'))});
+    });
+    return {
+      format: 'tidepool-traffic',
+      version: 1,
+      mode: 'serial',
+      deviceInfo: {driverId: 'OneTouchUltra2', path: '/dev/tty.usbserial'},
+      entries: entries
+    };
+  }
+
+  function configure(answers, cb, api) {
+    var driver = oneTouchUltra2({
+      deviceComms: replayDevice({capture: capture(answers)}),
+      timezone: 'US/Pacific',
+      builder: builder,
+      api: api
+    });
+    driver.setup({}, _.noop, function(err, data) {
+      driver.connect(_.noop, data, function(err, data) {
+        expect(err).to.not.exist;
+        driver.getConfigInfo(_.noop, data, function(err, data) {
+          cb(err, data, driver);
+        });
+      });
+    });
+  }
+
+  function process(units, cb, dump) {
+    var sessionInfo = null;
+    var driver = oneTouchUltra2({
+      timezone: 'US/Pacific',
+      builder: builder,
+      api: {upload: {toPlatform: function(records, info) { sessionInfo = info; }}}
+    });
+    var data = {id: 'OneTouchUltra2 ', bytes: toBytes(dump || recorded), units: units};
+    driver.processData(_.noop, data, function(err, data) {
+      driver.uploadData(_.noop, data, function() {
+        cb(data, sessionInfo);
+      });
+    });
+  }
+
+  it('fills in the UTC info of every reading from a TimezoneOffsetUtil', function(done) {
+    process('mg/dL', function(data, sessionInfo) {
+      var records = data.post_records;
+      expect(records).to.have.length(4);
+      expect(_.pluck(records, 'deviceTime')).to.deep.equal([
+        '2015-03-20T06:58:30', '2015-03-20T21:12:05', '2015-03-21T16:42:11', '2015-03-21T16:45:24'
+      ]);
+      expect(records[3].time).to.equal('2015-03-21T23:45:24.000Z');
+      expect(records[3].timezoneOffset).to.equal(-420);
+      expect(records[3].conversionOffset).to.equal(0);
+      expect(records[3].clockDriftOffset).to.equal(0);
+      expect(_.every(records, function(rec) { return rec.index === undefined; })).to.be.true;
+      expect(sessionInfo.timeProcessing).to.equal('across-the-board-timezone');
+      done();
+    });
+  });
+
+  it('converts to the meter\'s units and keeps its meal flags', function(done) {
+    process('mmol/L', function(data) {
+      var records = data.post_records;
+      expect(_.pluck(records, 'units')).to.deep.equal(['mmol/L', 'mmol/L', 'mmol/L', 'mmol/L']);
+      expect(records[3].value).to.be.closeTo(4.5, 0.01);
+      expect(_.pluck(_.pluck(records, 'payload'), 'mealTag')).to.deep.equal([
+        'beforeMeal', 'afterMeal', 'beforeMeal', undefined
+      ]);
+      // the readings are indexed oldest first, skipping the control solution test
+      expect(_.pluck(_.pluck(records, 'payload'), 'logIndices')).to.deep.equal([[1], [2], [4], [5]]);
+      done();
+    });
+  });
+
+  it('sends control solution tests with the upload instead of as readings', function(done) {
+    process(null, function(data, sessionInfo) {
+      // the units are in the header too
+      expect(data.units).to.equal('mg/dL');
+      expect(sessionInfo.payload).to.deep.equal({controlSolutionTests: [{
+        deviceTime: '2015-03-21T07:39:46',
+        time: '2015-03-21T14:39:46.000Z',
+        value: 176,
+        units: 'mg/dL'
+      }]});
+      done();
+    });
+  });
+
+  describe('results', function() {
+    // the meter waits a second before reading each answer
+    this.timeout(5000);
+
+    it('asks the meter which units it shows', function(done) {
+      configure({
+        clock: 'F "SAT","03/21/15","16:47:02   " 0604',
+        units: 'SU?,"MMOL/L" 02CA'
+      }, function(err, data) {
+        expect(err).to.not.exist;
+        expect(data.units).to.equal('mmol/L');
+        done();
+      });
+    });
+
+    it('falls back to the units in the header when the meter doesn\'t say', function(done) {
+      var lines = recorded.split('\n');
+      lines[0] = withChecksum('P 005,"GMF600DCY","MMOL/L"');
+      process(null, function(data) {
+        expect(data.units).to.equal('mmol/L');
+        expect(_.pluck(data.post_records, 'units')).to.deep.equal(['mmol/L', 'mmol/L', 'mmol/L', 'mmol/L']);
+        // the results themselves are in mg/dL whatever the meter shows
+        expect(data.post_records[0].value).to.be.closeTo(98 / 18.01559, 0.0001);
+        done();
+      }, lines.join('\n'));
+    });
+
+    it('tags readings taken before or after a meal, but not those taken at neither', function(done) {
+      process('mg/dL', function(data) {
+        var neither = data.post_records[3];
+        expect(neither.value).to.equal(81);
+        expect(neither.payload.mealTag).to.not.exist;
+        expect(data.post_records[0].payload.mealTag).to.equal('beforeMeal');
+        expect(data.post_records[1].payload.mealTag).to.equal('afterMeal');
+        done();
+      });
+    });
+
+    it('leaves control solution tests out of the readings', function(done) {
+      process('mg/dL', function(data) {
+        expect(_.pluck(data.post_records, 'value')).to.deep.equal([98, 143, 105, 81]);
+        expect(_.pluck(data.controlSolutionTests, 'value')).to.deep.equal([176]);
+        done();
+      });
+    });
+  });
+
+  describe('clock drift', function() {
+    this.timeout(5000);
+
+    // measure the drift against a computer clock of 16:50 on the day of the readings
+    var measure = clockDrift.measure;
+    beforeEach(function() {
+      clockDrift.measure = function(deviceClock, timezone) {
+        return measure(deviceClock, timezone, '2015-03-21T23:50:00.000Z');
+      };
+    });
+
+    afterEach(function() {
+      clockDrift.measure = measure;
+    });
+
+    it('measures the drift from the meter\'s answer to DMF and gives it to the readings', function(done) {
+      var sessionInfo = null;
+      var api = {upload: {toPlatform: function(records, info) { sessionInfo = info; }}};
+      configure({
+        clock: 'F "SAT","03/21/15","16:47:02   " 0604',
+        units: 'SU?,"MG/DL " 02CA'
+      }, function(err, data, driver) {
+        expect(err).to.not.exist;
+        var drift = {
+          deviceTime: '2015-03-21T16:47:02',
+          computerTime: '2015-03-21T23:50:00.000Z',
+          clockDriftOffset: -178000
+        };
+        expect(data.clockDrift).to.deep.equal(drift);
+        data.bytes = toBytes(recorded);
+        driver.processData(_.noop, data, function(err, data) {
+          expect(_.uniq(_.pluck(data.post_records, 'clockDriftOffset'))).to.deep.equal([-178000]);
+          driver.uploadData(_.noop, data, function() {
+            expect(sessionInfo.payload.clockDrift).to.deep.equal(drift);
+            done();
+          });
+        });
+      }, api);
+    });
+  });
+});
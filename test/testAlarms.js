@@ -0,0 +1,55 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var alarms = require('../lib/alarms');
+var builder = require('../lib/objectBuilder')();
+
+describe('alarms.js', function() {
+  it('says whether every alarm in the vocabulary stops delivery', function() {
+    _.forEach(alarms.ALARMS, function(entry) {
+      expect(entry.alarmType).to.be.a('string');
+      expect(entry.stopsDelivery).to.be.a('boolean');
+    });
+  });
+
+  it('makes an alarm with the vendor code in the payload', function() {
+    var alarm = alarms.makeAlarm(builder, 'occlusion', 17, {alarmText: 'AlrmHAZ_PUMP_OCCL'});
+    expect(alarm.alarmType).to.equal('occlusion');
+    expect(alarm.payload).to.deep.equal({
+      alarm: 'occlusion',
+      stopsDelivery: true,
+      vendorCode: 17,
+      alarmText: 'AlrmHAZ_PUMP_OCCL'
+    });
+  });
+
+  it('refuses alarms that aren\'t in the vocabulary', function() {
+    expect(function() { alarms.makeAlarm(builder, 'podOnFire', 99); }).to.throw(Error);
+  });
+
+  it('reads whether an alarm stopped delivery from its payload, or else the vocabulary', function() {
+    expect(alarms.stopsDelivery({payload: {stopsDelivery: true}})).to.be.true;
+    expect(alarms.stopsDelivery({payload: {alarm: 'emptyReservoir'}})).to.be.true;
+    expect(alarms.stopsDelivery({payload: {alarm: 'lowReservoir'}})).to.be.false;
+    expect(alarms.stopsDelivery({})).to.be.false;
+  });
+});
@@ -0,0 +1,52 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global describe, it */
+
+var expect = require('salinity').expect;
+var sundial = require('sundial');
+
+var clockDrift = require('../lib/clockDrift');
+
+describe('clockDrift', function() {
+  describe('measure', function() {
+    it('measures a fast clock as a positive drift', function() {
+      var deviceClock = sundial.parseFromFormat('2015-06-01T08:20:00', 'YYYY-MM-DDTHH:mm:ss');
+      var drift = clockDrift.measure(deviceClock, 'US/Eastern', '2015-06-01T12:00:00.000Z');
+      expect(drift).to.deep.equal({
+        deviceTime: '2015-06-01T08:20:00',
+        computerTime: '2015-06-01T12:00:00.000Z',
+        clockDriftOffset: 20 * sundial.MIN_TO_MSEC
+      });
+    });
+
+    it('measures a slow clock as a negative drift', function() {
+      var deviceClock = sundial.parseFromFormat('2015-06-01T11:55:00', 'YYYY-MM-DDTHH:mm:ss');
+      var drift = clockDrift.measure(deviceClock, 'UTC', '2015-06-01T12:00:00.000Z');
+      expect(drift.clockDriftOffset).to.equal(-5 * sundial.MIN_TO_MSEC);
+    });
+  });
+
+  describe('exceedsThreshold', function() {
+    it('is true only when the clock is more than the threshold off, either way', function() {
+      expect(clockDrift.exceedsThreshold({clockDriftOffset: -16 * sundial.MIN_TO_MSEC})).to.be.true;
+      expect(clockDrift.exceedsThreshold({clockDriftOffset: 16 * sundial.MIN_TO_MSEC})).to.be.true;
+      expect(clockDrift.exceedsThreshold({clockDriftOffset: clockDrift.WARNING_THRESHOLD})).to.be.false;
+      expect(clockDrift.exceedsThreshold(null)).to.be.false;
+    });
+  });
+});
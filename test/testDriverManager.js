@@ -17,8 +17,10 @@
 
 /* global beforeEach, describe, it */
 
+var _ = require('lodash');
 var expect = require('salinity').expect;
 
+var cancelToken = require('../lib/cancelToken.js');
 var driverManager = require('../lib/driverManager.js');
 
 
@@ -42,6 +44,95 @@ describe('driverManager.js', function(){
     it('exists', function(){
       expect(manager).itself.to.respondTo('process');
     });
+
+    describe('cancelling', function(){
+      var called, token, hangIn, stopIn;
+
+      // a driver that records the steps it runs, and gets cancelled instead of
+      // finishing the `hangIn` step, or during the `stopIn` step, which then
+      // stops and calls back like a driver that checks the token between commands
+      function testDriver() {
+        var step = function(name) {
+          return function(progress, data, cb) {
+            called.push(name);
+            if (name === hangIn) {
+              return setTimeout(token.cancel, 0);
+            }
+            if (name === stopIn) {
+              token.cancel();
+              return setTimeout(function() {
+                called.push(name + ' stopped');
+                cb(cancelToken.makeError(name));
+              }, 5);
+            }
+            cb(null, _.assign({}, data, _.zipObject([name], [true])));
+          };
+        };
+        return {
+          setup: function(deviceInfo, progress, cb) {
+            called.push('setup');
+            cb(null, {});
+          },
+          connect: step('connect'),
+          getConfigInfo: step('getConfigInfo'),
+          fetchData: step('fetchData'),
+          processData: step('processData'),
+          uploadData: step('uploadData'),
+          disconnect: step('disconnect'),
+          cleanup: step('cleanup')
+        };
+      }
+
+      beforeEach(function(){
+        called = [];
+        token = cancelToken();
+        hangIn = 'fetchData';
+        stopIn = null;
+        manager = driverManager({Test: testDriver}, {Test: {cancelToken: token, cancelTimeout: 10}});
+      });
+
+      it('waits for the current step to stop before it disconnects and cleans up', function(done){
+        hangIn = null;
+        stopIn = 'fetchData';
+        manager.process('Test', function(err) {
+          expect(cancelToken.isCancelError(err)).to.be.true;
+          expect(err.step).to.equal('fetchData');
+          expect(called).to.deep.equal(
+            ['setup', 'connect', 'getConfigInfo', 'fetchData', 'fetchData stopped', 'disconnect', 'cleanup']
+          );
+          done();
+        });
+      });
+
+      it('abandons a step that does not stop and still disconnects and cleans up', function(done){
+        manager.process('Test', function(err, result) {
+          expect(cancelToken.isCancelError(err)).to.be.true;
+          expect(err.step).to.equal('fetchData');
+          expect(called).to.deep.equal(['setup', 'connect', 'getConfigInfo', 'fetchData', 'disconnect', 'cleanup']);
+          // disconnect gets the data from the last step that finished
+          expect(result.getConfigInfo).to.be.true;
+          done();
+        });
+      });
+
+      it('runs no steps but disconnect and cleanup if cancelled before it starts', function(done){
+        token.cancel();
+        manager.process('Test', function(err) {
+          expect(cancelToken.isCancelError(err)).to.be.true;
+          expect(called).to.deep.equal(['disconnect', 'cleanup']);
+          done();
+        });
+      });
+
+      it('runs every step when not cancelled', function(done){
+        hangIn = null;
+        manager.process('Test', function(err) {
+          expect(err).to.not.exist;
+          expect(called).to.have.length(8);
+          done();
+        });
+      });
+    });
   });
 
 });
\ No newline at end of file
@@ -0,0 +1,133 @@
+ /*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2014, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global beforeEach, describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var driverRegistry = require('../lib/driverRegistry.js');
+var manifest = require('../manifest.json');
+
+describe('driverRegistry.js', function(){
+
+  var registry;
+
+  function makeDriver(descriptors, steps) {
+    steps = steps || driverRegistry.REQUIRED_STEPS;
+    var driver = function(config) {
+      return _.zipObject(steps, _.map(steps, function() { return _.noop; }));
+    };
+    driver.descriptors = descriptors;
+    return driver;
+  }
+
+  function makeDescriptor(overrides) {
+    return _.assign({
+      driverId: 'FooMeter',
+      key: 'foometer',
+      name: 'Foo Meter',
+      deviceName: 'Foo Meter',
+      detail: 'Blood glucose meter',
+      mode: 'FTDI',
+      vendorId: 1234,
+      productId: 5678,
+      dataTypes: ['smbg']
+    }, overrides);
+  }
+
+  beforeEach(function(){
+    registry = driverRegistry();
+  });
+
+  describe('register', function(){
+    it('registers every device a driver describes, in order', function(){
+      var driver = makeDriver([
+        makeDescriptor(),
+        makeDescriptor({driverId: 'FooMeterUsb', key: 'foometerusb', mode: 'HID'})
+      ]);
+      registry.register(driver);
+      expect(registry.getDriverIds()).to.deep.equal(['FooMeter', 'FooMeterUsb']);
+      expect(registry.getDriver('FooMeterUsb')).to.equal(driver);
+      expect(registry.get('FooMeter').vendorId).to.equal(1234);
+    });
+
+    it('throws if the driver does not implement every step', function(){
+      var steps = _.without(driverRegistry.REQUIRED_STEPS, 'fetchData', 'cleanup');
+      var fn = function() {
+        registry.register(makeDriver([makeDescriptor()], steps));
+      };
+      expect(fn).to.throw('Driver "FooMeter" must implement fetchData, cleanup');
+    });
+
+    it('throws if a driverId is registered twice', function(){
+      registry.register(makeDriver([makeDescriptor()]));
+      var fn = function() {
+        registry.register(makeDriver([makeDescriptor()]));
+      };
+      expect(fn).to.throw('Driver "FooMeter" is already registered');
+    });
+
+    it('throws on an unknown mode', function(){
+      var fn = function() {
+        registry.register(makeDriver([makeDescriptor({mode: 'bluetooth'})]));
+      };
+      expect(fn).to.throw('Driver "FooMeter" has unknown mode "bluetooth"');
+    });
+
+    it('throws if a block mode device has no file extension', function(){
+      var fn = function() {
+        registry.register(makeDriver([makeDescriptor({mode: 'block'})]));
+      };
+      expect(fn).to.throw(/must have a file `extension`/);
+    });
+
+    it('throws if the driver has no descriptors', function(){
+      var fn = function() {
+        registry.register(makeDriver([]));
+      };
+      expect(fn).to.throw('A driver must export its `descriptors`');
+    });
+  });
+
+  describe('get', function(){
+    it('throws for an unregistered driver', function(){
+      var fn = function() {
+        registry.get('BarPump');
+      };
+      expect(fn).to.throw('Could not find driver "BarPump"');
+    });
+  });
+
+  describe('the uploader\'s drivers', function(){
+    var drivers = require('../lib/drivers');
+    var usbDevices = _.find(manifest.permissions, 'usbDevices').usbDevices;
+    var fields = ['driverId', 'mode', 'vendorId', 'productId', 'bitrate', 'macPortPattern', 'sendTimeout'];
+
+    it('are all in the manifest.json usbDevices permission', function(){
+      _.forEach(drivers.getAll(), function(descriptor) {
+        var usbDevice = _.find(usbDevices, {driverId: descriptor.driverId});
+        expect(usbDevice, descriptor.driverId).to.exist;
+        expect(_.pick(usbDevice, fields)).to.deep.equal(_.pick(descriptor, fields));
+      });
+    });
+
+    it('are the only devices in the manifest.json usbDevices permission', function(){
+      expect(_.sortBy(_.pluck(usbDevices, 'driverId'))).to.deep.equal(_.sortBy(drivers.getDriverIds()));
+    });
+  });
+});
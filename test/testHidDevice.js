@@ -20,8 +20,9 @@
  * Test for new hidDevice facilities
  * */
 
-/* global beforeEach, describe, it */
+/* global afterEach, beforeEach, describe, it */
 
+var _ = require('lodash');
 var expect = require('salinity').expect;
 
 var hidDevice = require('../lib/hidDevice.js');
@@ -36,9 +37,53 @@ describe('hidDevice.js', function(){
   });
 
   describe('connect', function(){
+    var disconnected;
+
+    beforeEach(function(){
+      disconnected = false;
+      global.chrome = {
+        hid: {
+          connect: function(deviceId, cb) { cb({connectionId: 7}); },
+          disconnect: function(id, cb) {
+            disconnected = true;
+            cb();
+          }
+        }
+      };
+    });
+
+    afterEach(function(){
+      delete global.chrome;
+    });
+
     it('exists', function(){
       expect(device).itself.to.respondTo('connect');
     });
+
+    it('calls back once, after the probe succeeds', function(done){
+      var calls = [];
+      device.connect({deviceId: 3}, _.noop, function(cb) { setTimeout(cb, 1); }, function(err){
+        calls.push(err);
+      });
+      expect(calls).to.be.empty;
+      setTimeout(function(){
+        expect(calls).to.deep.equal([undefined]);
+        done();
+      }, 10);
+    });
+
+    it('calls back once, with an error, when the probe fails', function(done){
+      var calls = [];
+      device.connect({deviceId: 3}, _.noop, function(cb) { cb(new Error('no answer')); }, function(err){
+        calls.push(err);
+      });
+      setTimeout(function(){
+        expect(calls).to.have.length(1);
+        expect(calls[0].message).to.contain('Could not connect to device');
+        expect(disconnected).to.be.true;
+        done();
+      }, 10);
+    });
   });
   describe('discardBytes', function(){
     it('exists', function(){
@@ -0,0 +1,138 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global beforeEach, describe, it */
+
+var _ = require('lodash');
+var EventEmitter = require('events').EventEmitter;
+var expect = require('salinity').expect;
+
+var nodeTransport = require('../lib/cli/nodeTransport.js');
+
+describe('nodeTransport.js', function() {
+  var chrome, port, written, hidDevice;
+
+  beforeEach(function() {
+    written = [];
+    var SerialPort = function(options) {
+      port = new EventEmitter();
+      port.path = options.path;
+      port.options = options;
+      port.open = function(cb) { cb(options.path === '/dev/nope' ? new Error('ENOENT') : null); };
+      port.write = function(buffer, cb) {
+        written.push(_.toArray(buffer));
+        cb();
+      };
+      port.drain = function(cb) { cb(); };
+      port.close = function(cb) { cb(); };
+      return port;
+    };
+    SerialPort.list = function() {
+      return Promise.resolve([
+        {path: '/dev/ttyUSB0', vendorId: '22a3', productId: '0047', manufacturer: 'Dexcom'},
+        {path: '/dev/ttyS0'}
+      ]);
+    };
+    var serialport = {SerialPort: SerialPort};
+    var hid = {
+      devices: function() {
+        return [
+          {path: 'hid-a', vendorId: 6777, productId: 28738},
+          {path: 'hid-b', vendorId: 1234, productId: 1}
+        ];
+      },
+      HID: function(path) {
+        hidDevice = {
+          path: path,
+          write: function(bytes) { written.push(bytes); },
+          read: function(cb) { cb(null, new Buffer([1, 2, 3])); },
+          close: _.noop
+        };
+        return hidDevice;
+      }
+    };
+    chrome = nodeTransport({serialport: serialport, hid: hid});
+  });
+
+  describe('serial', function() {
+    it('lists ports with their USB ids as numbers', function(done) {
+      chrome.serial.getDevices(function(ports) {
+        expect(ports[0]).to.deep.equal({
+          path: '/dev/ttyUSB0',
+          vendorId: 8867,
+          productId: 71,
+          displayName: 'Dexcom'
+        });
+        expect(ports[1].vendorId).to.be.undefined;
+        done();
+      });
+    });
+
+    it('lists no ports when serialport can\'t list them', function(done) {
+      chrome = nodeTransport({serialport: {SerialPort: {list: function() {
+        return Promise.reject(new Error('EACCES'));
+      }}}});
+      chrome.serial.getDevices(function(ports) {
+        expect(ports).to.deep.equal([]);
+        done();
+      });
+    });
+
+    it('sends and receives bytes on a connection', function(done) {
+      chrome.serial.connect('/dev/ttyUSB0', {bitrate: 19200}, function(conn) {
+        expect(chrome.runtime.lastError).to.be.undefined;
+        expect(port.options).to.deep.equal({path: '/dev/ttyUSB0', baudRate: 19200, autoOpen: false});
+        chrome.serial.onReceive.addListener(function(info) {
+          expect(info.connectionId).to.equal(conn.connectionId);
+          expect(_.toArray(new Uint8Array(info.data))).to.deep.equal([6]);
+          done();
+        });
+        chrome.serial.send(conn.connectionId, new Uint8Array([2, 5]).buffer, function(info) {
+          expect(info.bytesSent).to.equal(2);
+          expect(written).to.deep.equal([[2, 5]]);
+          port.emit('data', new Buffer([6]));
+        });
+      });
+    });
+
+    it('reports failing to connect through runtime.lastError', function(done) {
+      chrome.serial.connect('/dev/nope', {}, function(conn) {
+        expect(conn).to.not.exist;
+        expect(chrome.runtime.lastError.message).to.equal('ENOENT');
+        done();
+      });
+    });
+  });
+
+  describe('hid', function() {
+    it('numbers the matching devices and talks to them by number', function(done) {
+      chrome.hid.getDevices({vendorId: 6777, productId: 28738}, function(devices) {
+        expect(devices).to.have.length(1);
+        chrome.hid.connect(devices[0].deviceId, function(conn) {
+          expect(hidDevice.path).to.equal('hid-a');
+          chrome.hid.send(conn.connectionId, 0, new Uint8Array([9, 8]).buffer, function() {
+            expect(written).to.deep.equal([[0, 9, 8]]);
+            chrome.hid.receive(conn.connectionId, function(reportId, data) {
+              expect(_.toArray(new Uint8Array(data))).to.deep.equal([1, 2, 3]);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
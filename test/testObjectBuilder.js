@@ -185,6 +185,33 @@ describe('objectBuilder.js', function(){
     });   
   });
 
+  describe('makeDeviceEventPrime', function(){
+
+    var defaults = {deviceId:'makeDeviceEventPrime'};
+
+    beforeEach(function(){
+      bob = ObjectBuilder();
+      bob.setDefaults(defaults);
+    });
+
+    it('works', function(){
+      var prime = bob.makeDeviceEventPrime();
+
+      expect(prime.deviceId).to.equal(defaults.deviceId);
+      expect(prime.type).to.equal('deviceEvent');
+      expect(prime.subType).to.equal('prime');
+      expect(prime.time).to.equal(REQUIRED);
+      expect(prime.timezoneOffset).to.equal(REQUIRED);
+      expect(prime.conversionOffset).to.equal(REQUIRED);
+      expect(prime.deviceTime).to.equal(REQUIRED);
+      expect(prime.primeTarget).to.equal(REQUIRED);
+
+      expect(prime.clockDriftOffset).to.equal(OPTIONAL);
+      expect(prime.volume).to.equal(OPTIONAL);
+      expect(prime.payload).to.equal(OPTIONAL);
+    });
+  });
+
   describe('makeDeviceEventReservoirChange', function(){
 
     var defaults = {deviceId:'makeDeviceEventReservoirChange'};
@@ -211,6 +238,33 @@ describe('objectBuilder.js', function(){
     });   
   });
 
+  describe('makeDeviceEventSensorState', function(){
+
+    var defaults = {deviceId:'makeDeviceEventSensorState'};
+
+    beforeEach(function(){
+      bob = ObjectBuilder();
+      bob.setDefaults(defaults);
+    });
+
+    it('works', function(){
+      var sensorState = bob.makeDeviceEventSensorState();
+
+      expect(sensorState.deviceId).to.equal(defaults.deviceId);
+      expect(sensorState.type).to.equal('deviceEvent');
+      expect(sensorState.subType).to.equal('sensorState');
+      expect(sensorState.time).to.equal(REQUIRED);
+      expect(sensorState.timezoneOffset).to.equal(REQUIRED);
+      expect(sensorState.conversionOffset).to.equal(REQUIRED);
+      expect(sensorState.deviceTime).to.equal(REQUIRED);
+      expect(sensorState.state).to.equal(REQUIRED);
+
+      expect(sensorState.clockDriftOffset).to.equal(OPTIONAL);
+      expect(sensorState.duration).to.equal(OPTIONAL);
+      expect(sensorState.payload).to.equal(OPTIONAL);
+    });
+  });
+
   describe('makedeviceEventResume', function(){
 
     var defaults = {deviceId:'makeDeviceEventResume'};
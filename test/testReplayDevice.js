@@ -0,0 +1,225 @@
+/*
+ * == BSD2 LICENSE ==
+ * Copyright (c) 2015, Tidepool Project
+ *
+ * This program is free software; you can redistribute it and/or modify it under
+ * the terms of the associated License, which is identical to the BSD 2-Clause
+ * License as published by the Open Source Initiative at opensource.org.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or FITNESS
+ * FOR A PARTICULAR PURPOSE. See the License for more details.
+ *
+ * You should have received a copy of the License along with this program; if
+ * not, you can obtain one from Tidepool Project at tidepool.org.
+ * == BSD2 LICENSE ==
+ */
+
+/* global after, before, describe, it */
+
+var _ = require('lodash');
+var expect = require('salinity').expect;
+
+var serialDevice = require('../lib/serialDevice.js');
+var replayDevice = require('../lib/replayDevice.js');
+var trafficRecorder = require('../lib/trafficRecorder.js');
+
+function toBytes(str) {
+  return new Uint8Array(_.map(str, function(c) { return c.charCodeAt(0); }));
+}
+
+function toStr(bytes) {
+  return String.fromCharCode.apply(null, bytes);
+}
+
+// packets are lines
+function lineHandler(buf) {
+  for (var i = 0; i < buf.len(); i++) {
+    if (buf.get(i) === 0x0a) {
+      var packet = toStr(buf.bytes().subarray(0, i + 1));
+      buf.discard(i + 1);
+      return packet;
+    }
+  }
+  return null;
+}
+
+function waitForPackets(comms, count, cb) {
+  var packets = [];
+  var listen = function() {
+    while (comms.hasAvailablePacket()) {
+      packets.push(comms.nextPacket());
+    }
+    if (packets.length >= count) {
+      return cb(null, packets);
+    }
+    setTimeout(listen, 1);
+  };
+  listen();
+}
+
+// a little session like a driver's: say hello, then ask for two readings
+function talk(comms, cb) {
+  var probe = function(done) {
+    comms.writeSerial(toBytes('hi\n').buffer, function(err) {
+      if (err) {
+        return done(err);
+      }
+      waitForPackets(comms, 1, function(err, packets) {
+        done(packets[0] === 'hello\n' ? null : new Error('not our device'));
+      });
+    });
+  };
+  comms.connect({driverId: 'Test'}, lineHandler, probe, function(err) {
+    if (err) {
+      return cb(err);
+    }
+    comms.writeSerial(toBytes('get\n').buffer, function(err) {
+      if (err) {
+        return cb(err);
+      }
+      waitForPackets(comms, 2, function(err, packets) {
+        comms.disconnect(function() {
+          cb(null, packets);
+        });
+      });
+    });
+  });
+}
+
+describe('replayDevice.js', function() {
+
+  describe('with a session recorded from serialDevice', function() {
+    var capture;
+
+    before(function(done) {
+      var listener = null;
+      var responses = {
+        'hi\n': ['hello\n'],
+        'get\n': ['reading 1\nread', 'ing 2\n']
+      };
+      global.chrome = {
+        runtime: {},
+        serial: {
+          onReceive: {
+            addListener: function(fn) { listener = fn; },
+            removeListener: _.noop
+          },
+          getDevices: function(cb) { cb([{path: '/dev/cu.usbTest'}]); },
+          connect: function(path, opts, cb) { cb({connectionId: 7, name: path}); },
+          disconnect: function(id, cb) { cb(true); },
+          send: function(id, bytes, cb) {
+            cb({bytesSent: bytes.byteLength});
+            _.forEach(responses[toStr(new Uint8Array(bytes))], function(response) {
+              setTimeout(function() {
+                listener({connectionId: 7, data: toBytes(response).buffer});
+              }, 1);
+            });
+          }
+        }
+      };
+      var recorder = trafficRecorder();
+      talk(serialDevice({recorder: recorder}), function(err, packets) {
+        expect(err).to.not.exist;
+        expect(packets).to.deep.equal(['reading 1\n', 'reading 2\n']);
+        capture = JSON.parse(recorder.serialize());
+        done();
+      });
+    });
+
+    after(function() {
+      delete global.chrome;
+    });
+
+    it('records the whole session', function() {
+      expect(capture.mode).to.equal('serial');
+      expect(_.pluck(capture.entries, 'type')).to.deep.equal(
+        ['connect', 'tx', 'rx', 'tx', 'rx', 'rx', 'disconnect']
+      );
+      expect(capture.entries[0].port).to.equal('/dev/cu.usbTest');
+      expect(capture.entries[1].data).to.equal('68 69 0a');
+      expect(_.every(capture.entries, function(entry) { return entry.t >= 0; })).to.be.true;
+    });
+
+    it('plays the session back to the same conversation', function(done) {
+      var comms = replayDevice({capture: capture});
+      talk(comms, function(err, packets) {
+        expect(err).to.not.exist;
+        expect(packets).to.deep.equal(['reading 1\n', 'reading 2\n']);
+        expect(comms.isFinished()).to.be.true;
+        done();
+      });
+    });
+  });
+
+  describe('replay', function() {
+    function makeCapture(mode, entries) {
+      return {
+        format: 'tidepool-traffic',
+        version: 1,
+        mode: mode,
+        deviceInfo: {},
+        started: '2015-06-01T12:00:00.000Z',
+        entries: _.map(entries, function(entry) {
+          var type = entry[0], value = entry[1];
+          if (type === 'tx' || type === 'rx') {
+            return {t: 0, type: type, data: trafficRecorder.toHex(toBytes(value))};
+          }
+          return {t: 0, type: type};
+        })
+      };
+    }
+
+    it('moves on to the next connection when the probe fails', function(done) {
+      var comms = replayDevice({capture: makeCapture('serial', [
+        ['connect'], ['tx', 'hi\n'], ['rx', 'what?\n'], ['disconnect'],
+        ['connect'], ['tx', 'hi\n'], ['rx', 'hello\n'],
+        ['tx', 'get\n'], ['rx', 'reading 1\n'], ['rx', 'reading 2\n'], ['disconnect']
+      ])});
+      talk(comms, function(err, packets) {
+        expect(err).to.not.exist;
+        expect(packets).to.deep.equal(['reading 1\n', 'reading 2\n']);
+        expect(comms.isFinished()).to.be.true;
+        done();
+      });
+    });
+
+    it('fails a write that does not match the capture', function(done) {
+      var comms = replayDevice({capture: makeCapture('serial', [
+        ['connect'], ['tx', 'hi\n'], ['rx', 'hello\n'], ['tx', 'put\n']
+      ])});
+      talk(comms, function(err) {
+        expect(err.message).to.contain('Replay expected tx 70 75 74 0a');
+        done();
+      });
+    });
+
+    it('hands out what an HID device sent from receive()', function(done) {
+      var comms = replayDevice({capture: makeCapture('HID', [
+        ['connect'], ['tx', 'get'], ['rx', 'one'], ['rx', 'two'], ['disconnect']
+      ])});
+      comms.connect({}, _.noop, function(cb) { cb(); }, function(err) {
+        expect(err).to.not.exist;
+        comms.send(toBytes('get').buffer, function(err) {
+          expect(err).to.not.exist;
+          comms.receive(function(first) {
+            expect(toStr(new Uint8Array(first))).to.equal('one');
+            comms.receive(function(second) {
+              expect(toStr(new Uint8Array(second))).to.equal('two');
+              comms.disconnect({}, function() {
+                expect(comms.isFinished()).to.be.true;
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('rejects files that are not traffic captures', function() {
+      expect(function() {
+        replayDevice({capture: '{"entries": []}'});
+      }).to.throw('Not a traffic capture');
+    });
+  });
+});
@@ -59,6 +59,16 @@ describe('TimezoneOffsetUtil.js', function(){
     });
   });
 
+  it('gives a measured clock drift as the `clockDriftOffset` across-the-board', function(){
+    var util = new TZOUtil('US/Eastern', '2016-01-01T00:00:00.000Z', [], 125000);
+    expect(util.lookup(new Date('2015-04-01T00:00:00'))).to.deep.equal({
+      time: '2015-04-01T04:00:00.000Z',
+      timezoneOffset: -240,
+      clockDriftOffset: 125000,
+      conversionOffset: 0
+    });
+  });
+
   it('identifies the type of timezone offset production used as `utc-bootstrapping` or `across-the-board-timezone`', function() {
     var atbUtil = new TZOUtil('US/Eastern', '2016-01-01T00:00:00.000Z', []);
     expect(atbUtil.type).to.equal('across-the-board-timezone');
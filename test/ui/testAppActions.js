@@ -23,7 +23,7 @@ var appState = require('../../lib/state/appState');
 
 describe('appActions', function() {
   // Mock all I/O
-  var config, now, sundial, localStore, api, jellyfish, device, carelink;
+  var config, now, sundial, localStore, api, jellyfish, device, carelink, outbox, repeats;
   var app;
   var appActions;
 
@@ -67,6 +67,9 @@ describe('appActions', function() {
     jellyfish = {};
     device = {};
     carelink = {};
+    outbox = {count: function() { return 0; }};
+    // each call to repeat(), where `again` is whether the last try asked for another
+    repeats = [];
 
     app = {
       state: {},
@@ -83,7 +86,18 @@ describe('appActions', function() {
       '../core/api': api,
       '../jellyfishClient': function() { return jellyfish; },
       '../core/device': device,
-      '../core/carelink': carelink
+      '../core/carelink': carelink,
+      '../core/outbox': outbox,
+      '../core/repeat': function(fn) {
+        var repeated = {again: false, stopped: false};
+        repeated.tryAgain = function() {
+          repeated.again = false;
+          fn(function() { repeated.again = true; });
+        };
+        repeats.push(repeated);
+        repeated.tryAgain();
+        return function() { repeated.stopped = true; };
+      }
     });
     appActions.bindApp(app);
   });
@@ -546,6 +560,65 @@ describe('appActions', function() {
       });
     });
 
+    it('adds an upload for each connected device of the same driver', function(done) {
+      app.state.uploads = [
+        {source: {type: 'carelink'}},
+        {key: 'dexcom', name: 'Dexcom', source: {type: 'device', driverId: 'DexcomG4'}},
+        {key: 'omnipod', name: 'OmniPod', source: {type: 'device', driverId: 'InsOmn'}}
+      ];
+      connectedDevices = [
+        {driverId: 'DexcomG4', port: '/dev/cu.usbmodem1'},
+        {driverId: 'DexcomG4', port: '/dev/cu.usbmodem2'}
+      ];
+
+      appActions.detectDevices(function(err) {
+        if (err) throw err;
+        expect(_.pluck(app.state.uploads, 'key')).to.deep.equal(
+          [undefined, 'dexcom', 'dexcom', 'omnipod']
+        );
+        expect(app.state.uploads[2].name).to.equal('Dexcom');
+        expect(app.state.uploads[1].source.port).to.equal('/dev/cu.usbmodem1');
+        expect(app.state.uploads[2].source.port).to.equal('/dev/cu.usbmodem2');
+        expect(app.state.uploads[2].source.connected).to.be.true;
+        done();
+      });
+    });
+
+    it('keeps each device on the upload for its port', function(done) {
+      app.state.uploads = [
+        {key: 'dexcom', source: {type: 'device', driverId: 'DexcomG4', port: 'COM4'}, progress: {step: 'cleanup'}},
+        {key: 'dexcom', source: {type: 'device', driverId: 'DexcomG4', port: 'COM3'}}
+      ];
+      connectedDevices = [
+        {driverId: 'DexcomG4', port: 'COM3'},
+        {driverId: 'DexcomG4', port: 'COM4'}
+      ];
+
+      appActions.detectDevices(function(err) {
+        if (err) throw err;
+        expect(app.state.uploads).to.have.length(2);
+        expect(app.state.uploads[0].source.port).to.equal('COM4');
+        expect(app.state.uploads[0].progress).to.exist;
+        expect(app.state.uploads[1].source.port).to.equal('COM3');
+        done();
+      });
+    });
+
+    it('removes the extra uploads of a driver when its devices are disconnected', function(done) {
+      app.state.uploads = [
+        {key: 'dexcom', source: {type: 'device', driverId: 'DexcomG4', port: 'COM3', connected: true}},
+        {key: 'dexcom', source: {type: 'device', driverId: 'DexcomG4', port: 'COM4', connected: true}}
+      ];
+      connectedDevices = [];
+
+      appActions.detectDevices(function(err) {
+        if (err) throw err;
+        expect(app.state.uploads).to.have.length(1);
+        expect(app.state.uploads[0].source.connected).to.be.false;
+        done();
+      });
+    });
+
   });
 
   describe('chooseDevices', function() {
@@ -665,6 +738,54 @@ describe('appActions', function() {
         .to.throw(appActions.errorText.E_UPLOAD_IN_PROGRESS);
     });
 
+    it('allows an upload to start while another device is uploading', function(done) {
+      device.detect = function(driverId, options, cb) { return cb(null, [{}]); };
+      device.upload = function(driverId, options, cb) { return cb(null, []); };
+      app.state.uploads = [
+        {source: {type: 'device', driverId: 'DexcomG4'}, progress: {}},
+        {source: {type: 'device', driverId: 'DexcomG4'}}
+      ];
+
+      appActions.upload(1, {}, function(err) {
+        expect(err).to.not.exist;
+        expect(app.state.uploads[0].progress.finish).to.not.exist;
+        expect(app.state.uploads[1].progress.success).to.be.true;
+        done();
+      });
+    });
+
+    it('uploads from the device on the upload\'s port', function(done) {
+      device.detect = function(driverId, options, cb) {
+        return cb(null, [{port: 'COM3'}, {port: 'COM4'}]);
+      };
+      device.upload = function(driverId, options, cb) {
+        expect(options.port).to.equal('COM4');
+        return cb(null, []);
+      };
+      app.state.uploads = [
+        {source: {type: 'device', driverId: 'DexcomG4', port: 'COM4'}}
+      ];
+
+      appActions.upload(0, {}, done);
+    });
+
+    it('fails if no device is connected on the upload\'s port', function(done) {
+      device.detect = function(driverId, options, cb) {
+        return cb(null, [{port: 'COM3'}]);
+      };
+      device.upload = function() {
+        throw new Error('should not upload');
+      };
+      app.state.uploads = [
+        {source: {type: 'device', driverId: 'DexcomG4', port: 'COM4'}}
+      ];
+
+      appActions.upload(0, {}, function(err) {
+        expect(err.message).to.equal(appActions.errorText.E_DEVICE_NOT_CONNECTED);
+        done();
+      });
+    });
+
     it('starts upload with correct progress data', function() {
       now = '2014-01-31T22:00:00-05:00';
       device.detect = _.noop;
@@ -688,7 +809,7 @@ describe('appActions', function() {
     });
 
     it('updates upload with correct progress data', function(done) {
-      device.detect = function(driverId, options, cb) { return cb(null, {}); };
+      device.detect = function(driverId, options, cb) { return cb(null, [{}]); };
       device.upload = function(driverId, options, cb) {
         options.progress('foo', 50);
         expect(app.state.uploads[0].progress).to.have.property('step', 'foo');
@@ -708,7 +829,7 @@ describe('appActions', function() {
 
     it('adds correct object to upload history when complete', function(done) {
       now = '2014-01-31T22:00:00-05:00';
-      device.detect = function(driverId, options, cb) { return cb(null, {}); };
+      device.detect = function(driverId, options, cb) { return cb(null, [{}]); };
       device.upload = function(driverId, options, cb) {
         now = '2014-01-31T22:00:30-05:00';
         options.progress('cleanup', 100);
@@ -743,11 +864,111 @@ describe('appActions', function() {
       });
     });
 
+    it('marks the upload history as queued when the platform was unreachable', function(done) {
+      now = '2014-01-31T22:00:00-05:00';
+      device.detect = function(driverId, options, cb) { return cb(null, [{}]); };
+      device.upload = function(driverId, options, cb) {
+        now = '2014-01-31T22:00:30-05:00';
+        options.progress('cleanup', 100);
+        return cb(null, [{}, {}], 'outbox_abc123');
+      };
+      app.state.targetId = '11';
+      app.state.uploads = [{
+        source: {
+          type: 'device',
+          driverId: 'DexcomG4'
+        }
+      }];
+
+      appActions.upload(0, {}, function(err) {
+        if (err) throw err;
+        expect(app.state.uploads[0].progress.success).to.be.true;
+        expect(app.state.uploads[0].progress.queued).to.be.true;
+        expect(app.state.uploads[0].progress.queueId).to.equal('outbox_abc123');
+        expect(uploadDeviceMetricsCall.one).to.equal(appActions.trackedState.UPLOAD_QUEUED+' DexcomG4');
+        done();
+      });
+    });
+
+    it('keeps the rows of a CareLink export that could not be read in the upload history', function(done) {
+      var unsupportedRows = [
+        {index: 12, timestamp: '1/3/15 08:00:00', rawType: 'BolusNormal',
+          model: 'MiniMed 670G - 1780', reason: 'unsupported model'}
+      ];
+      api.upload = {
+        fetchCarelinkData: function(payload, cb) { return cb(null, 'csv'); }
+      };
+      carelink.upload = function(data, options, cb) {
+        return cb(null, [{}, {}], unsupportedRows);
+      };
+      app.state.targetId = '11';
+      app.state.uploads = [{source: {type: 'carelink'}}];
+
+      appActions.upload(0, {username: 'bob', password: 'secret'}, function(err) {
+        if (err) throw err;
+        expect(app.state.uploads[0].progress.success).to.be.true;
+        expect(app.state.uploads[0].progress.count).to.equal(2);
+        expect(app.state.uploads[0].progress.unsupportedRows).to.deep.equal(unsupportedRows);
+        done();
+      });
+    });
+
+    it('keeps the clock drift measured from the device in the upload history', function(done) {
+      var drift = {deviceTime: '2014-01-31T22:20:00', computerTime: '2014-01-31T22:00:00-05:00',
+        clockDriftOffset: 1200000};
+      device.detect = function(driverId, options, cb) { return cb(null, [{}]); };
+      device.upload = function(driverId, options, cb) {
+        return cb(null, [{}], null, {clockDrift: drift});
+      };
+      app.state.targetId = '11';
+      app.state.uploads = [{source: {type: 'device', driverId: 'OneTouchMini'}}];
+
+      appActions.upload(0, {}, function(err) {
+        if (err) throw err;
+        expect(app.state.uploads[0].progress.clockDrift).to.deep.equal(drift);
+        expect(app.state.uploads[0].history[0].clockDrift).to.deep.equal(drift);
+        done();
+      });
+    });
+
+    it('records a cancelled upload in the upload history', function(done) {
+      now = '2014-01-31T22:00:00-05:00';
+      device.detect = function(driverId, options, cb) { return cb(null, [{}]); };
+      device.upload = function(driverId, options, cb) {
+        now = '2014-01-31T22:00:30-05:00';
+        options.progress('fetchData', 30);
+        options.cancelToken.onCancel(function() {
+          var err = new Error('Upload cancelled');
+          err.cancelled = true;
+          cb(err);
+        });
+        appActions.cancelUpload(0);
+      };
+      app.state.targetId = '11';
+      app.state.uploads = [{
+        source: {
+          type: 'device',
+          driverId: 'DexcomG4'
+        }
+      }];
+
+      appActions.upload(0, {}, function(err) {
+        expect(err.cancelled).to.be.true;
+        var instance = app.state.uploads[0].progress;
+        expect(instance.cancelled).to.be.true;
+        expect(instance.error).to.not.exist;
+        expect(instance.finish).to.equal('2014-01-31T22:00:30-05:00');
+        expect(app.state.uploads[0].history[0]).to.equal(instance);
+        expect(uploadDeviceMetricsCall.one).to.equal(appActions.trackedState.UPLOAD_CANCELLED+' DexcomG4');
+        done();
+      });
+    });
+
     it('adds correct object to upload history when upload failed', function(done) {
       now = '2014-01-31T22:00:00-05:00';
       var uploadError = new Error('oops');
       uploadError.step = 'fetching_carelink';
-      device.detect = function(driverId, options, cb) { return cb(null, {}); };
+      device.detect = function(driverId, options, cb) { return cb(null, [{}]); };
       device.upload = function(driverId, options, cb) {
         now = '2014-01-31T22:00:30-05:00';
         options.progress('fetchData', 50);
@@ -791,7 +1012,7 @@ describe('appActions', function() {
     });
 
     it('adds to upload history most recent first', function(done) {
-      device.detect = function(driverId, options, cb) { return cb(null, {}); };
+      device.detect = function(driverId, options, cb) { return cb(null, [{}]); };
       device.upload = function(driverId, options, cb) { return cb(null, []); };
       app.state.uploads = [{
         source: {
@@ -891,7 +1112,7 @@ describe('appActions', function() {
 
     it('each error has a detailed `debug` string attached for logging', function(done) {
       now = '2014-01-31T22:00:00-05:00';
-      device.detect = function(driverId, options, cb) { return cb(null, {}); };
+      device.detect = function(driverId, options, cb) { return cb(null, [{}]); };
       device.upload = function(driverId, options, cb) {
         now = '2014-01-31T22:00:30-05:00';
         options.progress('fetchData', 50);
@@ -918,7 +1139,7 @@ describe('appActions', function() {
 
     it('redirects to the `error` page if jellyfish errors because uploader is out-of-date', function(done) {
       now = '2014-01-31T22:00:00-05:00';
-      device.detect = function(driverId, options, cb) { return cb(null, {}); };
+      device.detect = function(driverId, options, cb) { return cb(null, [{}]); };
       device.upload = function(driverId, options, cb) {
         now = '2014-01-31T22:00:30-05:00';
         options.progress('fetchData', 50);
@@ -942,4 +1163,71 @@ describe('appActions', function() {
 
   });
 
-});
\ No newline at end of file
+  describe('outbox sync', function() {
+    var queued;
+
+    beforeEach(function() {
+      queued = 2;
+      outbox.count = function() { return queued; };
+      app.state.uploads = [];
+    });
+
+    it('doesn\'t start when nothing is queued', function() {
+      queued = 0;
+      appActions._startOutboxSync();
+      expect(repeats).to.be.empty;
+    });
+
+    it('keeps trying while uploads are still queued', function() {
+      device.syncOutbox = function(cb) { cb(new Error('offline'), []); };
+      appActions._startOutboxSync();
+      expect(repeats).to.have.length(1);
+      expect(repeats[0].again).to.be.true;
+      // already running
+      appActions._startOutboxSync();
+      expect(repeats).to.have.length(1);
+    });
+
+    it('stops once the outbox is empty, and starts again when an upload is queued', function() {
+      var sync = function(cb) {
+        queued = 0;
+        cb(null, ['outbox_abc123']);
+      };
+      device.syncOutbox = function(cb) { cb(null, []); };
+      appActions._startOutboxSync();
+      device.syncOutbox = sync;
+      repeats[0].tryAgain();
+      expect(repeats[0].again).to.be.false;
+
+      queued = 1;
+      appActions._startOutboxSync();
+      expect(repeats).to.have.length(2);
+    });
+
+    it('stops at once if the first try empties the outbox', function() {
+      device.syncOutbox = function(cb) {
+        queued = 0;
+        cb(null, ['outbox_abc123']);
+      };
+      appActions._startOutboxSync();
+      expect(repeats[0].again).to.be.false;
+
+      queued = 1;
+      appActions._startOutboxSync();
+      expect(repeats).to.have.length(2);
+    });
+
+    it('stops at logout', function(done) {
+      device.syncOutbox = function(cb) { cb(null, []); };
+      api.user = {logout: function(cb) { cb(); }};
+      api.metrics = {track: function() {}};
+      appActions._startOutboxSync();
+      appActions.logout(function(err) {
+        if (err) throw err;
+        expect(repeats[0].stopped).to.be.true;
+        done();
+      });
+    });
+  });
+
+});
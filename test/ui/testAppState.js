@@ -107,6 +107,22 @@ describe('appState', function() {
 
   });
 
+  describe('isUploadInProgress', function() {
+
+    it('tells whether the upload at the given index is in progress', function() {
+      app.state.uploads = [
+        {progress: {}},
+        {progress: {finish: '2015-06-01T12:00:00.000Z'}},
+        {}
+      ];
+
+      expect(appState.isUploadInProgress(0)).to.be.true;
+      expect(appState.isUploadInProgress(1)).to.be.false;
+      expect(appState.isUploadInProgress(2)).to.be.false;
+    });
+
+  });
+
   describe('deviceCount', function() {
 
     it('returns number of uploads coming from a device', function() {
@@ -136,7 +152,18 @@ describe('appState', function() {
       expect(uploads).to.have.length(1);
     });
 
-    it('adds disabled flag to all uploads not in progress if one is in progress', function() {
+    it('adds the index of each upload in the full list of uploads', function() {
+      app.state.uploads = [
+        {key: 'whatevs'},
+        {key: 'foo'},
+        {key: 'foo'}
+      ];
+
+      var uploads = appState.uploadsWithFlags();
+      expect(_.pluck(uploads, 'index')).to.deep.equal([1, 2]);
+    });
+
+    it('does not disable other uploads while one is in progress', function() {
       app.state.uploads = [
         {key: 'whatevs'},
         {key: 'foo'},
@@ -145,7 +172,7 @@ describe('appState', function() {
 
       var uploads = appState.uploadsWithFlags();
       expect(uploads).to.have.length(2);
-      expect(uploads[0].disabled).to.be.true;
+      expect(uploads[0].disabled).to.be.not.ok;
       expect(uploads[1].disabled).to.be.not.ok;
     });
 
@@ -229,6 +256,55 @@ describe('appState', function() {
       expect(uploads[1].successful).to.not.be.ok;
     });
 
+    it('adds queued flag if current instance was queued for later', function() {
+      app.state.uploads = [
+        {key: 'foo', progress: {finish: '2014-01-31T12:00:00Z', success: true, queued: true}},
+        {key: 'bar', progress: {finish: '2014-01-31T12:00:00Z', success: true}}
+      ];
+
+      var uploads = appState.uploadsWithFlags();
+      expect(uploads).to.have.length(2);
+      expect(uploads[0].queued).to.be.ok;
+      expect(uploads[1].queued).to.not.be.ok;
+    });
+
+    it('adds the unsupported rows if current instance had rows it could not read', function() {
+      var unsupportedRows = [{index: 12, model: 'MiniMed 670G - 1780', reason: 'unsupported model'}];
+      app.state.uploads = [
+        {key: 'foo', progress: {finish: '2014-01-31T12:00:00Z', success: true, unsupportedRows: unsupportedRows}},
+        {key: 'bar', progress: {finish: '2014-01-31T12:00:00Z', success: true}}
+      ];
+
+      var uploads = appState.uploadsWithFlags();
+      expect(uploads[0].unsupportedRows).to.deep.equal(unsupportedRows);
+      expect(uploads[1].unsupportedRows).to.not.be.ok;
+    });
+
+    it('adds the clock drift if the device clock was too far off', function() {
+      app.state.uploads = [
+        {key: 'foo', progress: {finish: '2014-01-31T12:00:00Z', success: true,
+          clockDrift: {clockDriftOffset: -20 * 60000}}},
+        {key: 'bar', progress: {finish: '2014-01-31T12:00:00Z', success: true,
+          clockDrift: {clockDriftOffset: 2 * 60000}}}
+      ];
+
+      var uploads = appState.uploadsWithFlags();
+      expect(uploads[0].clockDrift.clockDriftOffset).to.equal(-20 * 60000);
+      expect(uploads[1].clockDrift).to.not.be.ok;
+    });
+
+    it('adds cancelled flag if current instance was cancelled', function() {
+      app.state.uploads = [
+        {key: 'foo', progress: {finish: '2014-01-31T12:00:00Z', cancelled: true}},
+        {key: 'bar', progress: {finish: '2014-01-31T12:00:00Z', error: 'oops'}}
+      ];
+
+      var uploads = appState.uploadsWithFlags();
+      expect(uploads[0].cancelled).to.be.ok;
+      expect(uploads[0].failed).to.not.be.ok;
+      expect(uploads[1].cancelled).to.not.be.ok;
+    });
+
     it('adds failed flag if current instance failed', function() {
       app.state.uploads = [
         {key: 'foo', progress: {finish: '2014-01-31T12:00:00Z', error: 'oops'}},